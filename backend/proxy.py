@@ -0,0 +1,137 @@
+"""Read-only pass-through proxy from ``/api/now/*`` to a ServiceNow instance.
+
+Browsers can't call an instance's Table API cross-origin, so when
+``server.py`` is started with ``--instance`` (or ``SN_INSTANCE``) the
+standalone page's same-origin ``/api/now/...`` requests are forwarded here
+instead of being answered by the fixture store.
+
+- Only GET/HEAD, and only ``/api/now/table/<table>[/<sys_id>]`` and
+  ``/api/now/stats/<table>`` for tables in the allow-list.
+- Credentials are injected server side from the environment
+  (``SN_USERNAME``/``SN_PASSWORD`` for basic auth, or ``SN_TOKEN`` for a
+  bearer token); the browser never sees them. Whatever Authorization the
+  client sent is dropped.
+- Cookies are stripped in both directions.
+
+Any HTTP server speaking the Table API can be the upstream, including a
+second ``server.py`` serving the mock fixtures.
+"""
+
+from __future__ import annotations
+
+import base64
+import socket
+from urllib.error import HTTPError, URLError
+from urllib.parse import quote, unquote, urlparse
+from urllib.request import HTTPRedirectHandler, Request, build_opener
+
+DEFAULT_ALLOWED_TABLES = (
+    'task_ci', 'change_request', 'cmdb_ci', 'cmdb_rel_ci', 'incident',
+    'sys_user_group', 'cmdb_ci_service', 'cmdb_rel_type',
+)
+READ_METHODS = ('GET', 'HEAD')
+API_ROOTS = ('table', 'stats')
+
+# Client request headers passed upstream; everything else (Cookie,
+# Authorization, X-UserToken, Host...) is dropped.
+FORWARD_REQUEST_HEADERS = ('Accept', 'X-ServiceNow-API-Version', 'X-No-Response-Body')
+# Upstream response headers passed back to the browser.
+FORWARD_RESPONSE_HEADERS = ('Content-Type', 'X-Total-Count', 'Link', 'Retry-After', 'Location')
+
+
+class _NoRedirect(HTTPRedirectHandler):
+    """Return redirects (e.g. to a login page) to the client instead of
+    following them with the injected credentials."""
+
+    def redirect_request(self, req, fp, code, msg, headers, newurl):
+        return None
+
+
+class ProxyError(Exception):
+    """Request rejected or failed before reaching the client as an upstream response."""
+
+    def __init__(self, status, message, detail=None):
+        super().__init__(message)
+        self.status = status
+        self.message = message
+        self.detail = detail
+
+    def to_body(self):
+        return {'error': {'message': self.message, 'detail': self.detail}, 'status': 'failure'}
+
+
+class InstanceProxy:
+    """Forwards allow-listed read-only Table / Aggregate API calls to one instance."""
+
+    def __init__(self, instance_url, username=None, password=None, token=None,
+                 allowed_tables=DEFAULT_ALLOWED_TABLES, timeout=30):
+        parsed = urlparse(instance_url)
+        if parsed.scheme not in ('http', 'https') or not parsed.netloc:
+            raise ValueError('instance URL must be http(s)://host[:port], got %r' % instance_url)
+        self.instance_url = '%s://%s' % (parsed.scheme, parsed.netloc)
+        self.allowed_tables = frozenset(allowed_tables)
+        self.timeout = timeout
+        self._opener = build_opener(_NoRedirect)
+        if token:
+            self._authorization = 'Bearer ' + token
+        elif username:
+            raw = ('%s:%s' % (username, password or '')).encode('utf-8')
+            self._authorization = 'Basic ' + base64.b64encode(raw).decode('ascii')
+        else:
+            self._authorization = None
+        self.auth_mode = 'bearer' if token else ('basic (%s)' % username if username else 'none')
+
+    def __repr__(self):
+        return 'InstanceProxy(%s, auth=%s)' % (self.instance_url, self.auth_mode)
+
+    def check(self, method, path):
+        """Validate method and path; returns the path re-quoted for upstream."""
+        if method not in READ_METHODS:
+            raise ProxyError(405, 'Method not allowed', 'The proxy is read-only (GET/HEAD)')
+        parts = [unquote(p) for p in path.split('/') if p]
+        # ['api', 'now', <root>, <table>, [<sys_id>]]
+        if len(parts) < 4 or parts[:2] != ['api', 'now'] or parts[2] not in API_ROOTS:
+            raise ProxyError(404, 'Not proxied', path)
+        root, table = parts[2], parts[3]
+        if len(parts) > (5 if root == 'table' else 4):
+            raise ProxyError(400, 'Invalid API path', path)
+        if table not in self.allowed_tables:
+            raise ProxyError(403, 'Table not allowed', table + ' is not in the proxy allow-list')
+        return '/' + '/'.join(quote(p, safe='') for p in parts)
+
+    def forward(self, method, path, query, headers):
+        """Forward one request. Returns ``(status, headers, body)``.
+
+        ``headers`` is the client's header mapping. HTTP errors from the
+        instance are passed through as-is; connection failures raise
+        ProxyError with 502 / 504.
+        """
+        upstream_path = self.check(method, path)
+        url = self.instance_url + upstream_path + ('?' + query if query else '')
+
+        request = Request(url, method=method)
+        for name in FORWARD_REQUEST_HEADERS:
+            if headers.get(name):
+                request.add_header(name, headers[name])
+        if not headers.get('Accept'):
+            request.add_header('Accept', 'application/json')
+        if self._authorization:
+            request.add_header('Authorization', self._authorization)
+
+        try:
+            with self._opener.open(request, timeout=self.timeout) as response:
+                return response.status, self._response_headers(response.headers), response.read()
+        except HTTPError as err:
+            return err.code, self._response_headers(err.headers), err.read()
+        except (socket.timeout, TimeoutError):
+            raise ProxyError(504, 'Upstream timed out', self.instance_url)
+        except URLError as err:
+            if isinstance(err.reason, (socket.timeout, TimeoutError)):
+                raise ProxyError(504, 'Upstream timed out', self.instance_url)
+            raise ProxyError(502, 'Upstream unreachable', '%s: %s' % (self.instance_url, err.reason))
+
+    @staticmethod
+    def _response_headers(upstream):
+        if upstream is None:
+            return {}
+        return {name: upstream[name] for name in FORWARD_RESPONSE_HEADERS if upstream.get(name)}
@@ -5,6 +5,11 @@ Serves static files from a directory (defaults to ./dist) and exposes
 a couple of tiny JSON endpoints:
 - /api/health
 - /api/sample-graph
+- /api/now/table/<table>[/<sys_id>] (mock Table API, see table_api.py)
+- /api/now/stats/<table> (mock Aggregate API)
+
+With --instance (or SN_INSTANCE) the /api/now/* routes are instead proxied
+read-only to that ServiceNow instance, see proxy.py.
 """
 
 from __future__ import annotations
@@ -16,10 +21,16 @@ import sys
 from http import HTTPStatus
 from http.server import HTTPServer, SimpleHTTPRequestHandler
 from pathlib import Path
-from urllib.parse import urlparse
+from urllib.parse import parse_qsl, unquote, urlparse
+
+from proxy import DEFAULT_ALLOWED_TABLES, InstanceProxy, ProxyError
+from table_api import DEFAULT_SEED, TableAPIError, TableStore
 
 ROOT_DIR = Path(__file__).resolve().parent.parent
 SAMPLE_GRAPH_PATH = ROOT_DIR / 'data' / 'sample-graph.json'
+TABLE_API_PREFIX = '/api/now/table/'
+STATS_API_PREFIX = '/api/now/stats/'
+NOW_API_PREFIX = '/api/now/'
 
 
 class BackendHandler(SimpleHTTPRequestHandler):
@@ -29,16 +40,93 @@ class BackendHandler(SimpleHTTPRequestHandler):
     production server, just a predictable local backend.
     """
 
-    def _send_json(self, status, payload):
+    # Fixture-backed mock Table API store, created in main().
+    table_store = None
+    # InstanceProxy replacing the mock store when --instance is given.
+    proxy = None
+
+    def _send_json(self, status, payload, headers=None):
         body = json.dumps(payload, indent=2).encode('utf-8')
         self.send_response(status)
         self.send_header('Content-Type', 'application/json; charset=utf-8')
         self.send_header('Cache-Control', 'no-cache')
         self.send_header('Access-Control-Allow-Origin', '*')
+        self.send_header('Access-Control-Expose-Headers', 'X-Total-Count')
+        for name, value in (headers or {}).items():
+            self.send_header(name, value)
         self.send_header('Content-Length', str(len(body)))
         self.end_headers()
         self.wfile.write(body)
 
+    def _handle_table_api(self, parsed):
+        """GET /api/now/table/<table>[/<sys_id>] against the fixture store."""
+        parts = [unquote(p) for p in parsed.path[len(TABLE_API_PREFIX):].split('/') if p]
+        params = dict(parse_qsl(parsed.query, keep_blank_values=True))
+        base_url = 'http://' + (self.headers.get('Host') or 'localhost')
+        store = type(self).table_store
+
+        try:
+            if len(parts) == 1:
+                rows, total = store.query(parts[0], params, base_url)
+                self._send_json(HTTPStatus.OK, {'result': rows}, {'X-Total-Count': str(total)})
+            elif len(parts) == 2:
+                row = store.get(parts[0], parts[1], params, base_url)
+                self._send_json(HTTPStatus.OK, {'result': row})
+            else:
+                raise TableAPIError(HTTPStatus.BAD_REQUEST, 'Invalid table API path', parsed.path)
+        except TableAPIError as err:
+            self._send_json(err.status, err.to_body())
+
+    def _handle_stats_api(self, parsed):
+        """GET /api/now/stats/<table> (Aggregate API) against the fixture store."""
+        parts = [unquote(p) for p in parsed.path[len(STATS_API_PREFIX):].split('/') if p]
+        params = dict(parse_qsl(parsed.query, keep_blank_values=True))
+
+        try:
+            if len(parts) != 1:
+                raise TableAPIError(HTTPStatus.BAD_REQUEST, 'Invalid stats API path', parsed.path)
+            result = type(self).table_store.aggregate(parts[0], params)
+            self._send_json(HTTPStatus.OK, {'result': result})
+        except TableAPIError as err:
+            self._send_json(err.status, err.to_body())
+
+    def _handle_proxy(self, parsed):
+        """Forward /api/now/* to the configured instance."""
+        try:
+            status, headers, body = type(self).proxy.forward(
+                self.command, parsed.path, parsed.query, self.headers)
+        except ProxyError as err:
+            self._send_json(err.status, err.to_body())
+            return
+
+        self.send_response(status)
+        for name, value in headers.items():
+            self.send_header(name, value)
+        # No CORS headers: proxied responses are read with the injected
+        # credentials and only the same-origin page may see them.
+        self.send_header('Cache-Control', 'no-cache')
+        self.send_header('Content-Length', str(len(body)))
+        self.end_headers()
+        if self.command != 'HEAD':
+            self.wfile.write(body)
+
+    def _reject_write(self):
+        """The /api/now/* routes are read-only, mock or proxied."""
+        if urlparse(self.path).path.startswith(NOW_API_PREFIX):
+            self._send_json(HTTPStatus.METHOD_NOT_ALLOWED, ProxyError(
+                HTTPStatus.METHOD_NOT_ALLOWED, 'Method not allowed', 'The API is read-only (GET/HEAD)').to_body())
+            return
+        self.send_error(HTTPStatus.NOT_IMPLEMENTED, 'Unsupported method (%r)' % self.command)
+
+    do_POST = do_PUT = do_PATCH = do_DELETE = _reject_write
+
+    def do_HEAD(self):
+        parsed = urlparse(self.path)
+        if type(self).proxy and parsed.path.startswith(NOW_API_PREFIX):
+            self._handle_proxy(parsed)
+            return
+        return super().do_HEAD()
+
     def do_GET(self):
         parsed = urlparse(self.path)
 
@@ -68,6 +156,18 @@ class BackendHandler(SimpleHTTPRequestHandler):
             self._send_json(HTTPStatus.OK, payload)
             return
 
+        if type(self).proxy and parsed.path.startswith(NOW_API_PREFIX):
+            self._handle_proxy(parsed)
+            return
+
+        if parsed.path.startswith(TABLE_API_PREFIX):
+            self._handle_table_api(parsed)
+            return
+
+        if parsed.path.startswith(STATS_API_PREFIX):
+            self._handle_stats_api(parsed)
+            return
+
         # Fallback to static file serving
         return super().do_GET()
 
@@ -77,6 +177,15 @@ def parse_args(argv=None):
     parser.add_argument('--host', default='127.0.0.1')
     parser.add_argument('--port', type=int, default=int(os.environ.get('PORT', 3000)))
     parser.add_argument('--root', default=os.environ.get('BACKEND_ROOT', 'dist'))
+    parser.add_argument('--seed', type=int, default=int(os.environ.get('FIXTURE_SEED', DEFAULT_SEED)),
+                        help='seed for the mock Table API fixture data')
+    parser.add_argument('--instance', default=os.environ.get('SN_INSTANCE'),
+                        help='proxy /api/now/* read-only to this instance URL instead of the mock '
+                             '(credentials from SN_USERNAME/SN_PASSWORD or SN_TOKEN)')
+    parser.add_argument('--allow-tables', default=os.environ.get('SN_ALLOWED_TABLES', ','.join(DEFAULT_ALLOWED_TABLES)),
+                        help='comma-separated tables the proxy may read')
+    parser.add_argument('--proxy-timeout', type=float, default=float(os.environ.get('SN_PROXY_TIMEOUT', 30)),
+                        help='upstream timeout in seconds')
     return parser.parse_args(argv)
 
 
@@ -89,6 +198,17 @@ def main(argv=None):
 
     os.chdir(root_dir)
     handler_class = BackendHandler
+    handler_class.table_store = TableStore(seed=args.seed)
+    if args.instance:
+        # Credentials come from the environment only, never argv or logs
+        handler_class.proxy = InstanceProxy(
+            args.instance,
+            username=os.environ.get('SN_USERNAME'),
+            password=os.environ.get('SN_PASSWORD'),
+            token=os.environ.get('SN_TOKEN'),
+            allowed_tables=[t.strip() for t in args.allow_tables.split(',') if t.strip()],
+            timeout=args.proxy_timeout,
+        )
 
     httpd = HTTPServer((args.host, args.port), handler_class)
     print(f"Backend serving on http://{args.host}:{args.port}")
@@ -96,6 +216,13 @@ def main(argv=None):
     print("API endpoints:")
     print("  - GET /api/health")
     print("  - GET /api/sample-graph")
+    if handler_class.proxy:
+        proxy = handler_class.proxy
+        print(f"  - GET /api/now/* -> {proxy.instance_url} (auth: {proxy.auth_mode}, "
+              f"{len(proxy.allowed_tables)} tables allowed)")
+    else:
+        print(f"  - GET /api/now/table/<table>[/<sys_id>] (fixture seed {args.seed})")
+        print("  - GET /api/now/stats/<table>")
     try:
         httpd.serve_forever()
     except KeyboardInterrupt:
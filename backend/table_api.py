@@ -0,0 +1,823 @@
+"""Mock ServiceNow Table API for local development.
+
+Answers ``GET /api/now/table/<table>[/<sys_id>]`` from seeded, deterministic
+fixture data so ``SNTableAPI``, ``paginate`` and ``BSMDiscovery._adaptSNData``
+can be exercised without an instance.
+
+Supported tables: task_ci, change_request, cmdb_ci, cmdb_rel_ci, incident,
+plus the reference targets they point at (sys_user_group, cmdb_ci_service,
+cmdb_rel_type).
+
+Supported parameters:
+- sysparm_query: ``=``, ``!=``, ``>=``, ``<=``, ``>``, ``<``, LIKE,
+  STARTSWITH, IN, BETWEEN, ISEMPTY, ISNOTEMPTY joined with ``^`` / ``^OR`` /
+  ``^NQ``, and ORDERBY / ORDERBYDESC. Date values may use the
+  ``javascript:gs.*`` helpers emitted by SNQuery (daysAgo, daysAgoStart,
+  daysAgoEnd, hoursAgo, beginningOfToday, endOfToday, dateGenerate).
+- sysparm_fields (with dot-walking, e.g. ``task.assignment_group.sys_id``)
+- sysparm_limit / sysparm_offset
+- sysparm_display_value (false, true, all)
+- sysparm_exclude_reference_link
+- sysparm_orderby / sysparm_orderbydesc (as sent by SNTableAPI)
+
+The response carries ``X-Total-Count`` with the number of matching rows
+before limit/offset are applied.
+
+``GET /api/now/stats/<table>`` (Aggregate API) takes the same sysparm_query
+plus sysparm_count, sysparm_group_by, sysparm_avg_fields /
+sysparm_min_fields / sysparm_max_fields / sysparm_sum_fields,
+sysparm_having (``aggregate^field^operator^value``, comma separated),
+sysparm_orderby (a group-by field or ``COUNT`` / ``AVG^field`` etc., with an
+optional ``^DESC``) and sysparm_display_value.
+"""
+
+from __future__ import annotations
+
+import random
+import re
+from datetime import datetime, timedelta
+
+DEFAULT_SEED = 42
+DEFAULT_LIMIT = 10000
+DATE_FORMAT = '%Y-%m-%d %H:%M:%S'
+
+# Fixture window matches the default query range in bsm-discovery.html.
+WINDOW_START = datetime(2025, 1, 15)
+WINDOW_DAYS = 90
+
+RISK_CHOICES = {'1': 'Critical', '2': 'High', '3': 'Medium', '4': 'Low'}
+IMPACT_CHOICES = {'1': '1 - High', '2': '2 - Medium', '3': '3 - Low'}
+TYPE_CHOICES = {'standard': 'Standard', 'normal': 'Normal', 'emergency': 'Emergency'}
+PRIORITY_CHOICES = {
+    '1': '1 - Critical', '2': '2 - High', '3': '3 - Moderate', '4': '4 - Low', '5': '5 - Planning',
+}
+CHANGE_STATE_CHOICES = {'-5': 'New', '-1': 'Implement', '0': 'Review', '3': 'Closed'}
+CLOSE_CODE_CHOICES = {
+    'successful': 'Successful', 'successful_issues': 'Successful with issues', 'unsuccessful': 'Unsuccessful',
+}
+INCIDENT_STATE_CHOICES = {'1': 'New', '2': 'In Progress', '6': 'Resolved', '7': 'Closed'}
+
+# Field definitions per table. ``('ref', table)`` marks a reference field,
+# ``('choice', {value: label})`` a choice field; anything else is a string.
+STRING = 'string'
+SCHEMAS = {
+    'sys_user_group': {
+        'display': 'name',
+        'fields': {'sys_id': STRING, 'name': STRING, 'sys_created_on': STRING, 'sys_updated_on': STRING},
+    },
+    'cmdb_ci_service': {
+        'display': 'name',
+        'fields': {
+            'sys_id': STRING, 'name': STRING, 'sys_class_name': STRING,
+            'sys_created_on': STRING, 'sys_updated_on': STRING,
+        },
+    },
+    'cmdb_ci': {
+        'display': 'name',
+        'fields': {
+            'sys_id': STRING, 'name': STRING, 'sys_class_name': STRING, 'u_role': STRING,
+            'ip_address': STRING, 'model_id': STRING, 'os': STRING, 'operational_status': STRING,
+            'sys_created_on': STRING, 'sys_updated_on': STRING,
+        },
+    },
+    'cmdb_rel_type': {
+        'display': 'name',
+        'fields': {'sys_id': STRING, 'name': STRING},
+    },
+    'cmdb_rel_ci': {
+        'display': 'sys_id',
+        'fields': {
+            'sys_id': STRING,
+            'parent': ('ref', 'cmdb_ci'),
+            'child': ('ref', 'cmdb_ci'),
+            'type': ('ref', 'cmdb_rel_type'),
+            'sys_created_on': STRING, 'sys_updated_on': STRING,
+        },
+    },
+    'change_request': {
+        'display': 'number',
+        'fields': {
+            'sys_id': STRING, 'number': STRING, 'sys_class_name': STRING, 'short_description': STRING,
+            'type': ('choice', TYPE_CHOICES),
+            'risk': ('choice', RISK_CHOICES),
+            'impact': ('choice', IMPACT_CHOICES),
+            'state': ('choice', CHANGE_STATE_CHOICES),
+            'close_code': ('choice', CLOSE_CODE_CHOICES),
+            'on_hold': STRING, 'cab_required': STRING,
+            'u_impact_region': STRING,
+            'assignment_group': ('ref', 'sys_user_group'),
+            'business_service': ('ref', 'cmdb_ci_service'),
+            'cmdb_ci': ('ref', 'cmdb_ci'),
+            'opened_at': STRING, 'closed_at': STRING,
+            'start_date': STRING, 'end_date': STRING, 'work_start': STRING, 'work_end': STRING,
+            'sys_created_on': STRING, 'sys_updated_on': STRING,
+        },
+    },
+    'task_ci': {
+        'display': 'sys_id',
+        'fields': {
+            'sys_id': STRING,
+            'task': ('ref', 'change_request'),
+            'ci_item': ('ref', 'cmdb_ci'),
+            'sys_created_on': STRING, 'sys_updated_on': STRING,
+        },
+    },
+    'incident': {
+        'display': 'number',
+        'fields': {
+            'sys_id': STRING, 'number': STRING, 'short_description': STRING,
+            'priority': ('choice', PRIORITY_CHOICES),
+            'state': ('choice', INCIDENT_STATE_CHOICES),
+            'cmdb_ci': ('ref', 'cmdb_ci'),
+            'business_service': ('ref', 'cmdb_ci_service'),
+            'assignment_group': ('ref', 'sys_user_group'),
+            'parent_incident': ('ref', 'incident'),
+            'opened_at': STRING, 'resolved_at': STRING,
+            'sys_created_on': STRING, 'sys_updated_on': STRING,
+        },
+    },
+}
+
+GROUPS = [
+    ('Network Operations', ['network_gear']),
+    ('Linux Engineering', ['linux_server']),
+    ('Windows Engineering', ['windows_server']),
+    ('Storage Admin', ['storage']),
+    ('Application Support', ['application']),
+    ('Database Admin', ['linux_server', 'windows_server']),
+    ('Cloud Infrastructure', ['linux_server', 'application']),
+    ('Service Desk', ['application', 'windows_server']),
+]
+
+SERVICES = [
+    ('Email Service', ['linux_server', 'application', 'network_gear']),
+    ('ERP Platform', ['linux_server', 'windows_server', 'storage', 'application']),
+    ('Customer Portal', ['linux_server', 'application', 'network_gear']),
+    ('HR Management System', ['windows_server', 'application', 'storage']),
+    ('Data Analytics Platform', ['linux_server', 'storage', 'application']),
+    ('Corporate Network', ['network_gear', 'linux_server']),
+]
+
+CI_TEMPLATES = {
+    'linux_server': {
+        'class': 'cmdb_ci_linux_server',
+        'names': ['web-lnx', 'app-lnx', 'db-lnx', 'api-lnx', 'batch-lnx', 'cache-lnx', 'mq-lnx', 'etl-lnx'],
+        'os': ['RHEL 8.6', 'RHEL 9.1', 'Ubuntu 22.04'],
+        'models': ['Dell PowerEdge R640', 'HP ProLiant DL380 Gen10', 'VMware vSphere VM'],
+    },
+    'windows_server': {
+        'class': 'cmdb_ci_win_server',
+        'names': ['dc-win', 'file-win', 'app-win', 'sql-win', 'iis-win', 'exchange-win'],
+        'os': ['Windows Server 2019', 'Windows Server 2022'],
+        'models': ['Dell PowerEdge R640', 'VMware vSphere VM'],
+    },
+    'network_gear': {
+        'class': 'cmdb_ci_netgear',
+        'names': ['core-sw', 'dist-sw', 'fw', 'lb', 'router', 'vpn-gw'],
+        'os': ['IOS-XE 17.6', 'NX-OS 10.2', 'FortiOS 7.2'],
+        'models': ['Cisco Catalyst 9300', 'Cisco Nexus 9000', 'F5 BIG-IP i5800'],
+    },
+    'storage': {
+        'class': 'cmdb_ci_storage_device',
+        'names': ['san', 'nas', 'backup-store', 'object-store'],
+        'os': ['ONTAP 9.12', 'PowerStore OS 3.0'],
+        'models': ['NetApp FAS8700', 'Dell PowerStore 500T'],
+    },
+    'application': {
+        'class': 'cmdb_ci_appl',
+        'names': ['erp-app', 'crm-app', 'portal-app', 'bi-app', 'hrms-app', 'email-app', 'payment-app'],
+        'os': ['Java 17 / Tomcat 10', 'Node.js 20 LTS', '.NET 8'],
+        'models': ['Kubernetes Pod', 'Docker Container'],
+    },
+}
+
+REGIONS = ['US-East', 'US-West', 'EU-West', 'EU-Central', 'APAC']
+REL_TYPES = ['Depends on::Used by', 'Runs on::Runs', 'Hosted on::Hosts', 'Connects to::Connected by']
+
+CONDITION_RE = re.compile(
+    r'^([a-z0-9_.]+)(ISNOTEMPTY|ISEMPTY|NOT LIKE|NOT IN|LIKE|STARTSWITH|ENDSWITH|BETWEEN|IN|!=|>=|<=|=|>|<)(.*)$',
+    re.DOTALL,
+)
+GS_CALL_RE = re.compile(r"^javascript:gs\.(\w+)\(([^)]*)\)$")
+AGGREGATES = ('avg', 'min', 'max', 'sum')
+HAVING_OPERATORS = {
+    '=': lambda a, b: a == b, '!=': lambda a, b: a != b,
+    '>': lambda a, b: a > b, '>=': lambda a, b: a >= b,
+    '<': lambda a, b: a < b, '<=': lambda a, b: a <= b,
+}
+
+
+class TableAPIError(Exception):
+    """Request error rendered as a ServiceNow-style error body."""
+
+    def __init__(self, status, message, detail=None):
+        super().__init__(message)
+        self.status = status
+        self.message = message
+        self.detail = detail
+
+    def to_body(self):
+        return {'error': {'message': self.message, 'detail': self.detail}, 'status': 'failure'}
+
+
+# ──────────────────────────────────────────────
+#  Fixtures
+# ──────────────────────────────────────────────
+
+def change_lifecycle(rng, change_type, risk, opened, closed, stamp):
+    """Planned / actual window, close code and flags of a closed change.
+
+    Riskier and emergency changes fail more often; failed ones overrun.
+    """
+    planned_hours = rng.randint(1, 6)
+    slack = max((closed - opened - timedelta(hours=planned_hours)).total_seconds(), 0)
+    start = opened + timedelta(seconds=slack * rng.random())
+    end = start + timedelta(hours=planned_hours)
+    failure = {'1': 0.25, '2': 0.15, '3': 0.08, '4': 0.04}[risk] * (1.6 if change_type == 'emergency' else 1)
+    outcome = rng.random()
+    if outcome < failure:
+        close_code = 'unsuccessful'
+    elif outcome < failure + 0.1:
+        close_code = 'successful_issues'
+    else:
+        close_code = 'successful'
+    work_start = start + timedelta(minutes=rng.randint(-30, 15))
+    work_hours = planned_hours * (0.6 + rng.random() * 0.6) * (1.5 if close_code == 'unsuccessful' else 1)
+    return {
+        'close_code': close_code,
+        'start_date': stamp(start),
+        'end_date': stamp(end),
+        'work_start': stamp(work_start),
+        'work_end': stamp(min(work_start + timedelta(hours=work_hours), closed)),
+        'on_hold': 'false',
+        'cab_required': 'true' if change_type == 'emergency' or (change_type == 'normal' and risk in ('1', '2')) else 'false',
+    }
+
+
+def build_fixtures(seed=DEFAULT_SEED, change_count=150, incident_count=60):
+    """Generate deterministic fixture rows keyed by table name."""
+    rng = random.Random(seed)
+    # Change lifecycle draws use their own stream so the other fixtures stay put
+    lifecycle_rng = random.Random(seed + 1)
+
+    def sys_id():
+        return '%032x' % rng.getrandbits(128)
+
+    def stamp(dt):
+        return dt.strftime(DATE_FORMAT)
+
+    def random_time(start=WINDOW_START, days=WINDOW_DAYS):
+        return start + timedelta(seconds=rng.randint(0, days * 86400))
+
+    created = stamp(WINDOW_START - timedelta(days=365))
+    tables = {name: [] for name in SCHEMAS}
+
+    groups = []
+    for name, focus in GROUPS:
+        row = {'sys_id': sys_id(), 'name': name, 'sys_created_on': created, 'sys_updated_on': created}
+        tables['sys_user_group'].append(row)
+        groups.append((row, focus))
+
+    services = []
+    for name, ci_classes in SERVICES:
+        row = {
+            'sys_id': sys_id(), 'name': name, 'sys_class_name': 'cmdb_ci_service',
+            'sys_created_on': created, 'sys_updated_on': created,
+        }
+        tables['cmdb_ci_service'].append(row)
+        services.append((row, ci_classes))
+
+    cis_by_kind = {}
+    for kind, template in CI_TEMPLATES.items():
+        cis_by_kind[kind] = []
+        for index, base in enumerate(template['names']):
+            row = {
+                'sys_id': sys_id(),
+                'name': '%s-%02d' % (base, index + 1),
+                'sys_class_name': template['class'],
+                'u_role': kind.replace('_', ' '),
+                'ip_address': '10.%d.%d.%d' % (rng.randint(0, 20), rng.randint(0, 254), rng.randint(1, 254)),
+                'model_id': rng.choice(template['models']),
+                'os': rng.choice(template['os']),
+                'operational_status': '1',
+                'sys_created_on': created,
+                'sys_updated_on': stamp(random_time()),
+            }
+            tables['cmdb_ci'].append(row)
+            cis_by_kind[kind].append(row)
+
+    rel_types = []
+    for name in REL_TYPES:
+        row = {'sys_id': sys_id(), 'name': name}
+        tables['cmdb_rel_type'].append(row)
+        rel_types.append(row)
+
+    # Relationships: applications run on servers, servers sit behind network gear
+    servers = cis_by_kind['linux_server'] + cis_by_kind['windows_server']
+    for app in cis_by_kind['application']:
+        for host in rng.sample(servers, 2):
+            tables['cmdb_rel_ci'].append({
+                'sys_id': sys_id(), 'parent': app['sys_id'], 'child': host['sys_id'],
+                'type': rel_types[1]['sys_id'], 'sys_created_on': created, 'sys_updated_on': created,
+            })
+    for server in servers:
+        gear = rng.choice(cis_by_kind['network_gear'])
+        tables['cmdb_rel_ci'].append({
+            'sys_id': sys_id(), 'parent': server['sys_id'], 'child': gear['sys_id'],
+            'type': rel_types[3]['sys_id'], 'sys_created_on': created, 'sys_updated_on': created,
+        })
+        if rng.random() < 0.4:
+            store = rng.choice(cis_by_kind['storage'])
+            tables['cmdb_rel_ci'].append({
+                'sys_id': sys_id(), 'parent': server['sys_id'], 'child': store['sys_id'],
+                'type': rel_types[0]['sys_id'], 'sys_created_on': created, 'sys_updated_on': created,
+            })
+
+    # Changes: each touches 1-5 CIs drawn from its service's CI classes
+    for index in range(change_count):
+        service, ci_classes = rng.choice(services)
+        candidates = [ci for kind in ci_classes for ci in cis_by_kind[kind]]
+        focused = [g for g, focus in groups if set(focus) & set(ci_classes)] or [g for g, _ in groups]
+        group = rng.choice(focused)
+        change_type = rng.choices(['standard', 'normal', 'emergency'], weights=[5, 4, 1])[0]
+        opened = random_time()
+        closed = opened + timedelta(hours=rng.randint(1, 96))
+        change = {
+            'sys_id': sys_id(),
+            'number': 'CHG%07d' % (30001 + index),
+            'sys_class_name': 'change_request',
+            'short_description': '%s change for %s' % (TYPE_CHOICES[change_type], service['name']),
+            'type': change_type,
+            'risk': rng.choices(['1', '2', '3', '4'], weights=[1, 2, 4, 3])[0],
+            'impact': rng.choice(['1', '2', '3']),
+            'state': '3',
+            'u_impact_region': rng.choice(REGIONS),
+            'assignment_group': group['sys_id'],
+            'business_service': service['sys_id'],
+            'cmdb_ci': '',
+            'opened_at': stamp(opened),
+            'closed_at': stamp(closed),
+            'sys_created_on': stamp(opened),
+            'sys_updated_on': stamp(closed),
+        }
+        members = rng.sample(candidates, min(len(candidates), rng.randint(1, 5)))
+        change['cmdb_ci'] = members[0]['sys_id']
+        change.update(change_lifecycle(lifecycle_rng, change_type, change['risk'], opened, closed, stamp))
+        tables['change_request'].append(change)
+        for ci in members:
+            tables['task_ci'].append({
+                'sys_id': sys_id(), 'task': change['sys_id'], 'ci_item': ci['sys_id'],
+                'sys_created_on': change['sys_created_on'], 'sys_updated_on': change['sys_created_on'],
+            })
+
+    # Incidents: mostly on changed CIs, some children of an earlier incident
+    changed_cis = [row['ci_item'] for row in tables['task_ci']]
+    ci_by_id = {ci['sys_id']: ci for ci in tables['cmdb_ci']}
+    for index in range(incident_count):
+        ci = ci_by_id[rng.choice(changed_cis)]
+        service, _ = rng.choice(services)
+        group, _ = rng.choice(groups)
+        opened = random_time()
+        resolved = opened + timedelta(hours=rng.randint(1, 72))
+        parent = ''
+        if tables['incident'] and rng.random() < 0.2:
+            parent = rng.choice(tables['incident'])['sys_id']
+        tables['incident'].append({
+            'sys_id': sys_id(),
+            'number': 'INC%07d' % (10001 + index),
+            'short_description': '%s degraded' % ci['name'],
+            'priority': rng.choices(['1', '2', '3', '4', '5'], weights=[1, 2, 4, 3, 1])[0],
+            'state': '6',
+            'cmdb_ci': ci['sys_id'],
+            'business_service': service['sys_id'],
+            'assignment_group': group['sys_id'],
+            'parent_incident': parent,
+            'opened_at': stamp(opened),
+            'resolved_at': stamp(resolved),
+            'sys_created_on': stamp(opened),
+            'sys_updated_on': stamp(resolved),
+        })
+
+    return tables
+
+
+# ──────────────────────────────────────────────
+#  Encoded query parsing
+# ──────────────────────────────────────────────
+
+def parse_query(encoded):
+    """Parse a sysparm_query string.
+
+    Returns ``(queries, order_by)`` where ``queries`` is a list of ``^NQ``
+    alternatives, each a list of AND-ed OR-groups of ``(field, op, value)``
+    conditions, and ``order_by`` a list of ``(field, descending)``.
+    """
+    queries = []
+    order_by = []
+    if not encoded:
+        return queries, order_by
+
+    for part in encoded.split('^NQ'):
+        groups = []
+        for token in _split_terms(part):
+            if not token or token == 'EQ':
+                continue
+            if token.startswith('ORDERBYDESC'):
+                order_by.append((token[len('ORDERBYDESC'):], True))
+                continue
+            if token.startswith('ORDERBY'):
+                order_by.append((token[len('ORDERBY'):], False))
+                continue
+            if token.startswith('OR'):
+                if not groups:
+                    raise TableAPIError(400, 'Invalid query', '^OR without a preceding condition: ' + token)
+                groups[-1].append(_parse_condition(token[2:]))
+                continue
+            groups.append([_parse_condition(token)])
+        if groups:
+            queries.append(groups)
+    return queries, order_by
+
+
+def _split_terms(part):
+    """Split on ``^`` while keeping ``^^`` (an escaped caret) inside values."""
+    terms = ['']
+    index = 0
+    while index < len(part):
+        char = part[index]
+        if char == '^':
+            if part[index + 1:index + 2] == '^':
+                terms[-1] += '^'
+                index += 2
+                continue
+            terms.append('')
+        else:
+            terms[-1] += char
+        index += 1
+    return terms
+
+
+def _parse_condition(term):
+    match = CONDITION_RE.match(term)
+    if not match:
+        raise TableAPIError(400, 'Invalid query', 'Could not parse condition: ' + term)
+    return match.group(1), match.group(2), match.group(3)
+
+
+# ──────────────────────────────────────────────
+#  Store
+# ──────────────────────────────────────────────
+
+class TableStore:
+    """In-memory tables with Table API style querying."""
+
+    def __init__(self, tables=None, seed=DEFAULT_SEED):
+        self.tables = tables if tables is not None else build_fixtures(seed)
+        self._index = {
+            name: {row['sys_id']: row for row in rows}
+            for name, rows in self.tables.items()
+        }
+
+    # -- field resolution --
+
+    def resolve(self, table, row, path):
+        """Resolve a (possibly dot-walked) field.
+
+        Returns ``(value, display_value, ref_table)``; ``ref_table`` is set
+        when the final field is a reference.
+        """
+        segments = path.split('.')
+        for position, name in enumerate(segments):
+            schema = SCHEMAS[table]['fields'].get(name)
+            if schema is None or row is None:
+                return '', '', None
+            value = row.get(name, '')
+            if position == len(segments) - 1:
+                return value, self._display(schema, value), _ref_table(schema)
+            ref = _ref_table(schema)
+            if not ref:
+                return '', '', None
+            table = ref
+            row = self._index[ref].get(value)
+        return '', '', None
+
+    def _display(self, schema, value):
+        if not value:
+            return ''
+        ref = _ref_table(schema)
+        if ref:
+            target = self._index[ref].get(value)
+            return target.get(SCHEMAS[ref]['display'], '') if target else ''
+        if isinstance(schema, tuple) and schema[0] == 'choice':
+            return schema[1].get(value, value)
+        return value
+
+    # -- querying --
+
+    def query(self, table, params, base_url=''):
+        """Run a list query. Returns ``(result_rows, total_count)``."""
+        self._check_table(table)
+        queries, order_by = parse_query(params.get('sysparm_query', ''))
+        if params.get('sysparm_orderby'):
+            descending = params.get('sysparm_orderbydesc', 'false') == 'true'
+            order_by.append((params['sysparm_orderby'], descending))
+
+        rows = [row for row in self.tables[table] if self._matches(table, row, queries)]
+
+        # Stable sorts applied last-key-first give multi-key ordering
+        for field, descending in reversed(order_by):
+            rows.sort(key=lambda row, f=field: _sort_key(self.resolve(table, row, f)[0]), reverse=descending)
+
+        limit = _int_param(params, 'sysparm_limit', DEFAULT_LIMIT)
+        offset = _int_param(params, 'sysparm_offset', 0)
+        page = rows[offset:offset + limit]
+        return [self.format_row(table, row, params, base_url) for row in page], len(rows)
+
+    def get(self, table, sys_id, params, base_url=''):
+        self._check_table(table)
+        row = self._index[table].get(sys_id)
+        if row is None:
+            raise TableAPIError(404, 'No Record found', 'Record doesn\'t exist or ACL restricts the record retrieval')
+        return self.format_row(table, row, params, base_url)
+
+    def aggregate(self, table, params):
+        """Run an Aggregate API query.
+
+        Returns the ``result`` payload: ``{'stats': ...}`` when ungrouped,
+        otherwise a list of ``{'stats': ..., 'groupby_fields': [...]}``.
+        Stats values are strings, as ServiceNow returns them.
+        """
+        self._check_table(table)
+        queries, _ = parse_query(params.get('sysparm_query', ''))
+        rows = [row for row in self.tables[table] if self._matches(table, row, queries)]
+        group_by = _list_param(params, 'sysparm_group_by')
+        if not group_by:
+            return {'stats': self._stats(table, rows, params)}
+
+        for field in group_by:
+            if self._field_schema(table, field) is None:
+                raise TableAPIError(400, 'Invalid group by field', field)
+        mode = params.get('sysparm_display_value', 'false')
+        having = _parse_having(params.get('sysparm_having', ''))
+
+        groups = {}
+        for row in rows:
+            key = tuple(self.resolve(table, row, field)[0] for field in group_by)
+            groups.setdefault(key, []).append(row)
+
+        result = []
+        for key in sorted(groups, key=lambda k: [_sort_key(v) for v in k]):
+            members = groups[key]
+            if not all(test(self._compute(table, members, fn, field), value)
+                       for fn, field, test, value in having):
+                continue
+            fields = []
+            for field, value in zip(group_by, key):
+                display = self.resolve(table, members[0], field)[1]
+                entry = {'field': field, 'value': display if mode == 'true' else value}
+                if mode == 'all':
+                    entry['display_value'] = display
+                fields.append(entry)
+            result.append({'stats': self._stats(table, members, params), 'groupby_fields': fields,
+                           '_members': members})
+
+        order = params.get('sysparm_orderby', '')
+        if order:
+            parts = order.split('^')
+            descending = parts[-1].upper() == 'DESC'
+            if descending:
+                parts = parts[:-1]
+            name = parts[0].lower()
+            if name not in ('count',) + AGGREGATES and parts[0] not in group_by:
+                raise TableAPIError(400, 'Invalid sysparm_orderby', order)
+
+            def sort_value(entry):
+                members = entry['_members']
+                if name == 'count':
+                    return _sort_key(len(members))
+                if name in AGGREGATES and len(parts) > 1:
+                    return _sort_key(self._compute(table, members, name, parts[1]))
+                return _sort_key(self.resolve(table, members[0], parts[0])[0])
+
+            result.sort(key=sort_value, reverse=descending)
+
+        for entry in result:
+            del entry['_members']
+        return result
+
+    def _stats(self, table, rows, params):
+        stats = {}
+        if params.get('sysparm_count', 'false') == 'true':
+            stats['count'] = str(len(rows))
+        for fn in AGGREGATES:
+            fields = _list_param(params, 'sysparm_%s_fields' % fn)
+            if fields:
+                stats[fn] = {}
+                for field in fields:
+                    value = self._compute(table, rows, fn, field)
+                    stats[fn][field] = '' if value is None else _format_number(value)
+        return stats
+
+    def _compute(self, table, rows, fn, field):
+        """One aggregate over rows; ``None`` when there is nothing to aggregate."""
+        if fn == 'count':
+            return len(rows)
+        if self._field_schema(table, field) is None:
+            raise TableAPIError(400, 'Invalid %s field' % fn, field)
+        values = [self.resolve(table, row, field)[0] for row in rows]
+        values = [v for v in values if v != '']
+        if not values:
+            return None
+        numbers = []
+        for value in values:
+            try:
+                numbers.append(float(value))
+            except ValueError:
+                numbers = None
+                break
+        if fn in ('min', 'max'):
+            pick = min if fn == 'min' else max
+            return pick(numbers) if numbers is not None else pick(values)
+        if numbers is None:
+            raise TableAPIError(400, 'Field is not numeric', field)
+        total = sum(numbers)
+        return total / len(numbers) if fn == 'avg' else total
+
+    def _field_schema(self, table, path):
+        """Schema of a (possibly dot-walked) field, or None when unknown."""
+        schema = None
+        for name in path.split('.'):
+            if table is None:
+                return None
+            schema = SCHEMAS[table]['fields'].get(name)
+            if schema is None:
+                return None
+            table = _ref_table(schema)
+        return schema
+
+    def _check_table(self, table):
+        if table not in self.tables:
+            raise TableAPIError(400, 'Invalid table ' + table)
+
+    def _matches(self, table, row, queries):
+        if not queries:
+            return True
+        for groups in queries:
+            if all(any(self._test(table, row, cond) for cond in group) for group in groups):
+                return True
+        return False
+
+    def _test(self, table, row, condition):
+        field, op, expected = condition
+        actual = self.resolve(table, row, field)[0] or ''
+        if op == 'ISEMPTY':
+            return actual == ''
+        if op == 'ISNOTEMPTY':
+            return actual != ''
+        if op == '=':
+            return actual == expected
+        if op == '!=':
+            return actual != expected
+        if op == 'LIKE':
+            return expected.lower() in actual.lower()
+        if op == 'NOT LIKE':
+            return expected.lower() not in actual.lower()
+        if op == 'STARTSWITH':
+            return actual.lower().startswith(expected.lower())
+        if op == 'ENDSWITH':
+            return actual.lower().endswith(expected.lower())
+        if op == 'IN':
+            return actual in expected.split(',')
+        if op == 'NOT IN':
+            return actual not in expected.split(',')
+        if actual == '':
+            return False
+        if op == 'BETWEEN':
+            low, _, high = expected.partition('@')
+            low_left, low_right = _comparable(actual, _evaluate_value(low))
+            high_left, high_right = _comparable(actual, _evaluate_value(high))
+            return low_left >= low_right and high_left <= high_right
+        left, right = _comparable(actual, _evaluate_value(expected))
+        if op == '>=':
+            return left >= right
+        if op == '<=':
+            return left <= right
+        if op == '>':
+            return left > right
+        return left < right
+
+    # -- output --
+
+    def format_row(self, table, row, params, base_url=''):
+        fields = [f.strip() for f in params.get('sysparm_fields', '').split(',') if f.strip()]
+        if not fields:
+            fields = list(SCHEMAS[table]['fields'])
+        mode = params.get('sysparm_display_value', 'false')
+        exclude_link = params.get('sysparm_exclude_reference_link', 'false') == 'true'
+
+        result = {}
+        for field in fields:
+            value, display, ref = self.resolve(table, row, field)
+            link = base_url + '/api/now/table/' + ref + '/' + value if ref and value and not exclude_link else None
+            if mode == 'all':
+                out = {'display_value': display, 'value': value}
+                if link:
+                    out['link'] = link
+            elif mode == 'true':
+                out = {'display_value': display, 'link': link} if link else display
+            else:
+                out = {'link': link, 'value': value} if link else value
+            result[field] = out
+        return result
+
+
+def _ref_table(schema):
+    if isinstance(schema, tuple) and schema[0] == 'ref':
+        return schema[1]
+    return None
+
+
+def _evaluate_value(value, now=None):
+    """Turn a ``javascript:gs.*`` date helper into a date-time string."""
+    match = GS_CALL_RE.match(value)
+    if not match:
+        return value
+    name = match.group(1)
+    args = [a.strip().strip('\'"') for a in match.group(2).split(',') if a.strip()]
+    now = now or datetime.now()
+    today = now.replace(hour=0, minute=0, second=0, microsecond=0)
+    amount = int(args[0]) if args and args[0].lstrip('-').isdigit() else 0
+    if name == 'daysAgo':
+        return (now - timedelta(days=amount)).strftime(DATE_FORMAT)
+    if name == 'daysAgoStart':
+        return (today - timedelta(days=amount)).strftime(DATE_FORMAT)
+    if name == 'daysAgoEnd':
+        return (today - timedelta(days=amount) + timedelta(seconds=86399)).strftime(DATE_FORMAT)
+    if name == 'hoursAgo':
+        return (now - timedelta(hours=amount)).strftime(DATE_FORMAT)
+    if name == 'beginningOfToday':
+        return today.strftime(DATE_FORMAT)
+    if name == 'endOfToday':
+        return (today + timedelta(seconds=86399)).strftime(DATE_FORMAT)
+    if name == 'dateGenerate' and len(args) == 2:
+        return args[0] + ' ' + args[1]
+    raise TableAPIError(400, 'Invalid query', 'Unsupported script value: ' + value)
+
+
+def _comparable(actual, expected):
+    """Compare numerically when both sides are numbers, else as strings.
+
+    Date-times are ``YYYY-MM-DD HH:MM:SS`` so they order correctly as text;
+    a date-only bound compares as the start of that day.
+    """
+    try:
+        return float(actual), float(expected)
+    except ValueError:
+        return actual, expected
+
+
+def _sort_key(value):
+    try:
+        return (0, float(value), '')
+    except (TypeError, ValueError):
+        return (1, 0.0, value or '')
+
+
+def _list_param(params, name):
+    return [f.strip() for f in params.get(name, '').split(',') if f.strip()]
+
+
+def _parse_having(raw):
+    """Parse ``aggregate^field^operator^value[,...]`` into callable tests."""
+    clauses = []
+    for clause in [c for c in raw.split(',') if c.strip()]:
+        parts = clause.strip().split('^')
+        if len(parts) != 4 or parts[0].lower() not in ('count',) + AGGREGATES \
+                or parts[2] not in HAVING_OPERATORS:
+            raise TableAPIError(400, 'Invalid sysparm_having', clause)
+        try:
+            value = float(parts[3])
+        except ValueError:
+            raise TableAPIError(400, 'Invalid sysparm_having', clause)
+        test = HAVING_OPERATORS[parts[2]]
+        clauses.append((parts[0].lower(), parts[1], lambda a, b, t=test: a is not None and t(a, b), value))
+    return clauses
+
+
+def _format_number(value):
+    if isinstance(value, float) and value.is_integer():
+        return str(int(value))
+    return str(value)
+
+
+def _int_param(params, name, default):
+    raw = params.get(name)
+    if raw in (None, ''):
+        return default
+    try:
+        value = int(raw)
+    except ValueError:
+        raise TableAPIError(400, 'Invalid ' + name, raw)
+    if value < 0:
+        raise TableAPIError(400, 'Invalid ' + name, raw)
+    return value
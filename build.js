@@ -191,7 +191,10 @@ async function build() {
   const css = readSrc('bsm-discovery.css');
   const jsFiles = [
     // Core
+    'SNAuth.js',
     'SNTableAPI.js',
+    'SNTableCache.js',
+    'SNQuery.js',
     'ITILDataSimulator.js',
     'HypergraphCore.js',
     'BSMHypergraphRenderer.js',
@@ -205,6 +208,11 @@ async function build() {
     'analytics/CommunityDetection.js',
     'analytics/ImpactPrediction.js',
     'analytics/IncidentCorrelation.js',
+    'analytics/SLineAnalysis.js',
+    'analytics/RelationshipReconciliation.js',
+    'analytics/ChangeLifecycle.js',
+    'analytics/ChangeCollisions.js',
+    'analytics/ChangeIncidentAttribution.js',
     // UpSet chart
     'UpSetRenderer.js',
     // App (base + extensions)
@@ -212,6 +220,11 @@ async function build() {
     'app/BSMDiscoveryControls.js',
     'app/BSMDiscoveryAnalytics.js',
     'app/BSMDiscoveryUpSet.js',
+    'app/BSMDiscoveryCache.js',
+    'app/BSMDiscoverySync.js',
+    'app/BSMDiscoveryInventory.js',
+    'app/BSMDiscoveryFilter.js',
+    'app/BSMDiscoveryCompare.js',
   ];
   const jsModules = jsFiles.map((f) => ({
     name: f,
@@ -41,6 +41,20 @@ function BSMHypergraphRenderer(containerSelector, options) {
   this._maxLinkWeight = 1;
   this._visualStylePreset = 'soft-region';
 
+  // Analytics overlays (see setVizMode and friends)
+  this._vizMode = 'type';
+  this._centralityData = null;
+  this._centralityMetric = 'composite';
+  this._centralityMax = 0;
+  this._clusterData = null;
+  this._riskData = null;
+  this._anomalyNodes = new Set();
+  this._cascadeOverlays = [];
+  this._relationshipOverlays = [];
+  this._ringLayer = null;
+  this._cascadeLayer = null;
+  this._relationshipLayer = null;
+
   this._visualStylePresets = {
     'soft-region': {
       label: 'Soft Region + Thin Links',
@@ -181,6 +195,40 @@ function BSMHypergraphRenderer(containerSelector, options) {
   this._visualStyle = this._resolveVisualStyle(this._visualStylePreset);
 }
 
+/**
+ * Community colours, indexed by cluster id modulo length. Shared with the
+ * Clusters analytics panel so cards match node fills.
+ */
+BSMHypergraphRenderer.CLUSTER_PALETTE = [
+  '#4fc3f7', '#ff8a65', '#81c784', '#ce93d8',
+  '#ffd54f', '#4dd0e1', '#f48fb1', '#a5d6a7',
+  '#90caf9', '#ffab91', '#80cbc4', '#e6ee9c'
+];
+
+/**
+ * Diff mode colours, keyed by the diffStatus that HypergraphCore.diffGraph
+ * puts on nodes and edges.
+ */
+BSMHypergraphRenderer.DIFF_COLORS = {
+  added: '#22c55e',
+  removed: '#ef4444',
+  changed: '#f59e0b',
+  unchanged: '#64748b'
+};
+
+BSMHypergraphRenderer.HULL_RISK_COLORS = { Critical: '#ff5252', High: '#ff9800', Medium: '#ffc107', Low: '#4caf50' };
+
+/**
+ * Declared-relationship overlay colours, keyed by reconciliation bucket.
+ */
+BSMHypergraphRenderer.RELATIONSHIP_COLORS = {
+  observed: '#22c55e',
+  declared: '#94a3b8',
+  missing: '#f59e0b'
+};
+
+BSMHypergraphRenderer.VIZ_MODES = ['type', 'centrality', 'cluster', 'risk', 'diff'];
+
 BSMHypergraphRenderer.prototype._resolveVisualStyle = function (presetName) {
   if (!this._visualStylePresets || !this._visualStylePresets[presetName]) {
     return this._visualStylePresets['soft-region'];
@@ -279,6 +327,19 @@ BSMHypergraphRenderer.prototype.render = function (graph) {
   feMerge.append('feMergeNode').attr('in', 'coloredBlur');
   feMerge.append('feMergeNode').attr('in', 'SourceGraphic');
 
+  // Arrowhead for temporal cascade overlays
+  defs.append('marker')
+    .attr('id', 'cascade-arrow')
+    .attr('viewBox', '0 -5 10 10')
+    .attr('refX', 9)
+    .attr('refY', 0)
+    .attr('markerWidth', 6)
+    .attr('markerHeight', 6)
+    .attr('orient', 'auto')
+    .append('path')
+    .attr('d', 'M0,-5L10,0L0,5')
+    .attr('fill', '#ff7043');
+
   // Main group (zoom target)
   var g = this.svg.append('g').attr('class', 'graph-layer');
   this._g = g;
@@ -316,14 +377,20 @@ BSMHypergraphRenderer.prototype.render = function (graph) {
 
   // --- Draw layers ---
   var linkLayer = g.append('g').attr('class', 'link-layer');
+  var relationshipLayer = g.append('g').attr('class', 'relationship-layer');
   var hullLayer = g.append('g').attr('class', 'hull-layer');
+  var ringLayer = g.append('g').attr('class', 'ring-layer');
   var nodeLayer = g.append('g').attr('class', 'node-layer');
+  var cascadeLayer = g.append('g').attr('class', 'cascade-layer');
   var labelLayer = g.append('g').attr('class', 'label-layer');
 
   this._nodeLayer = nodeLayer;
   this._linkLayer = linkLayer;
   this._hullLayer = hullLayer;
   this._labelLayer = labelLayer;
+  this._ringLayer = ringLayer;
+  this._cascadeLayer = cascadeLayer;
+  this._relationshipLayer = relationshipLayer;
   this._nodeById = nodeById;
 
   // Links
@@ -337,9 +404,9 @@ BSMHypergraphRenderer.prototype.render = function (graph) {
     .data(nodes)
     .enter().append('circle')
     .attr('r', function (d) { return self._radius(d); })
-    .attr('fill', function (d) { return self._colors[d.type] || '#999'; })
+    .attr('fill', function (d) { return self._nodeFill(d); })
     .attr('stroke', function (d) {
-      return d3.color(self._colors[d.type] || '#999').darker(0.5);
+      return d3.color(self._nodeFill(d)).darker(0.5);
     })
     .attr('stroke-width', 1)
     .attr('cursor', 'grab')
@@ -374,14 +441,13 @@ BSMHypergraphRenderer.prototype.render = function (graph) {
     .attr('pointer-events', 'none');
 
   // Hulls — colored convex hull paths around hyperedge groups
-  var hullRiskColors = { Critical: '#ff5252', High: '#ff9800', Medium: '#ffc107', Low: '#4caf50' };
   var hullEdges = graph.edges.filter(function (e) { return e.elements.length >= 3; });
   var hullSel = hullLayer.selectAll('path')
     .data(hullEdges)
     .enter().append('path')
     .attr('class', 'hg-hull')
-    .attr('fill', function (e) { return hullRiskColors[e.risk] || '#94a3b8'; })
-    .attr('stroke', function (e) { return hullRiskColors[e.risk] || '#94a3b8'; })
+    .attr('fill', function (e) { return self._hullFill(e); })
+    .attr('stroke', function (e) { return self._hullFill(e); })
     .on('mouseover', function (event, e) { self._showHullTooltip(event, e); })
     .on('mouseout', function () { self._hideTooltip(); })
     .on('click', function (event, e) {
@@ -409,8 +475,14 @@ BSMHypergraphRenderer.prototype.render = function (graph) {
       .attr('y', function (d) { return d.y; });
     // Update hull paths
     self._recomputeHullPaths();
+    self._updateOverlayPositions();
   });
 
+  // Re-apply analytics overlays that were set before this (re-)render
+  this._drawAnomalyRings();
+  this._drawCascadeOverlays();
+  this._drawRelationshipOverlays();
+
   // Notify stats
   if (this._onStatsUpdate) {
     this._onStatsUpdate(graph.stats, graph.isTransposed);
@@ -508,6 +580,10 @@ BSMHypergraphRenderer.prototype._hullPath = function (points, padding) {
 // ──────────────────────────────────────────────
 
 BSMHypergraphRenderer.prototype._radius = function (d) {
+  if (this._vizMode === 'centrality' && this._centralityData && this._centralityMax > 0) {
+    var score = this._centralityData[d.uid];
+    if (score != null) return 5 + 13 * (score / this._centralityMax);
+  }
   if (d.type === 'service') return 12;
   if (d.type === 'group') return 10;
   if (d.type === 'change') return 9;
@@ -552,6 +628,9 @@ BSMHypergraphRenderer.prototype._showHullTooltip = function (event, e) {
   if (e.assignmentGroup) lines.push('Group: ' + e.assignmentGroup);
   if (e.businessService) lines.push('Service: ' + e.businessService);
   if (e.createdAt) lines.push('Created: ' + e.createdAt);
+  if (e.state) lines.push('State: ' + e.state + (e.onHold ? ' (on hold)' : ''));
+  if (e.closeCode) lines.push('Close code: ' + e.closeCode);
+  if (e.plannedStart) lines.push('Planned: ' + e.plannedStart + ' \u2192 ' + (e.plannedEnd || '?'));
 
   this._tooltip
     .html(lines.join('<br>'))
@@ -564,6 +643,18 @@ BSMHypergraphRenderer.prototype._showHullTooltip = function (event, e) {
 //  Highlight connected nodes on click
 // ──────────────────────────────────────────────
 
+/**
+ * The graph's edgeById index (attached by HypergraphCore); indexed here
+ * for graphs that arrive without one.
+ */
+BSMHypergraphRenderer.prototype._edgeById = function (graph) {
+  if (!graph.edgeById) {
+    graph.edgeById = {};
+    for (var i = 0; i < graph.edges.length; i++) graph.edgeById[graph.edges[i].uid] = graph.edges[i];
+  }
+  return graph.edgeById;
+};
+
 BSMHypergraphRenderer.prototype._highlightConnected = function (d) {
   var connected = new Set();
   connected.add(d.uid);
@@ -572,13 +663,13 @@ BSMHypergraphRenderer.prototype._highlightConnected = function (d) {
   var connectedEdges = new Set();
   if (this.currentGraph && this.currentGraph.incidence[d.uid]) {
     var edgeUids = Array.from(this.currentGraph.incidence[d.uid]);
-    for (var i = 0; i < this.currentGraph.edges.length; i++) {
-      var edge = this.currentGraph.edges[i];
-      if (edgeUids.indexOf(edge.uid) !== -1) {
-        connectedEdges.add(edge.uid);
-        for (var j = 0; j < edge.elements.length; j++) {
-          connected.add(edge.elements[j]);
-        }
+    var edgeById = this._edgeById(this.currentGraph);
+    for (var i = 0; i < edgeUids.length; i++) {
+      var edge = edgeById[edgeUids[i]];
+      if (!edge) continue;
+      connectedEdges.add(edge.uid);
+      for (var j = 0; j < edge.elements.length; j++) {
+        connected.add(edge.elements[j]);
       }
     }
   }
@@ -609,17 +700,33 @@ BSMHypergraphRenderer.prototype._highlightConnected = function (d) {
 };
 
 BSMHypergraphRenderer.prototype.highlightHyperedge = function (edge) {
-  if (!edge || !this._nodeLayer) return;
+  if (!edge) return;
+  this.highlightHyperedges([edge]);
+  if (this._hullSel) this._selectedHullUid = edge.uid || null;
+};
+
+/**
+ * Highlight several hyperedges at once (e.g. colliding changes): their
+ * hulls and members stay lit, the rest fade.
+ *
+ * @param {Object[]} edges - Hyperedges of the rendered graph
+ */
+BSMHypergraphRenderer.prototype.highlightHyperedges = function (edges) {
+  if (!edges || !edges.length || !this._nodeLayer) return;
   if (!this._hullSel) {
     this.clearHighlight();
     return;
   }
 
   var style = this._getVisualStyle();
-  this._selectedHullUid = edge.uid || null;
+  this._selectedHullUid = null;
 
-  var connected = new Set(edge.elements || []);
-  var connectedEdges = new Set([edge.uid]);
+  var connected = new Set();
+  var connectedEdges = new Set();
+  edges.forEach(function (edge) {
+    connectedEdges.add(edge.uid);
+    (edge.elements || []).forEach(function (uid) { connected.add(uid); });
+  });
 
   this._nodeLayer.selectAll('circle')
     .attr('opacity', function (n) { return connected.has(n.uid) ? 1 : 0.08; })
@@ -764,17 +871,248 @@ BSMHypergraphRenderer.prototype.setLinkDistance = function (val) {
 };
 
 // ──────────────────────────────────────────────
-//  Analytics stubs (API surface for BSMDiscovery)
+//  Analytics overlays
 // ──────────────────────────────────────────────
 
-BSMHypergraphRenderer.prototype.setVizMode = function () {};
-BSMHypergraphRenderer.prototype.setCentralityData = function () {};
-BSMHypergraphRenderer.prototype.setClusterData = function () {};
-BSMHypergraphRenderer.prototype.setRiskData = function () {};
-BSMHypergraphRenderer.prototype.setAnomalyNodes = function () {};
-BSMHypergraphRenderer.prototype.setCascadeOverlays = function () {};
+/**
+ * Switch the node encoding:
+ *   type       — fill by node type (default)
+ *   centrality — radius by the current centrality metric
+ *   cluster    — fill by community (CLUSTER_PALETTE)
+ *   risk       — red→green ramp by risk score, pulsing rings on anomalies
+ *   diff       — nodes and hulls by diffStatus (graphs from diffGraph)
+ */
+BSMHypergraphRenderer.prototype.setVizMode = function (mode) {
+  if (BSMHypergraphRenderer.VIZ_MODES.indexOf(mode) === -1) mode = 'type';
+  this._vizMode = mode;
+  this._applyVizMode();
+};
+
+BSMHypergraphRenderer.prototype.getVizMode = function () {
+  return this._vizMode;
+};
+
+/**
+ * @param {Object} scores - uid -> centrality score
+ * @param {string} metric - degree | betweenness | eigenvector | composite
+ */
+BSMHypergraphRenderer.prototype.setCentralityData = function (scores, metric) {
+  this._centralityData = scores || null;
+  this._centralityMetric = metric || 'composite';
+  this._centralityMax = 0;
+  if (scores) {
+    for (var uid in scores) {
+      if (Object.prototype.hasOwnProperty.call(scores, uid) && scores[uid] > this._centralityMax) {
+        this._centralityMax = scores[uid];
+      }
+    }
+  }
+  if (this._vizMode === 'centrality') this._applyVizMode();
+};
+
+/**
+ * @param {Object} clusterMap - uid -> integer community id
+ */
+BSMHypergraphRenderer.prototype.setClusterData = function (clusterMap) {
+  this._clusterData = clusterMap || null;
+  if (this._vizMode === 'cluster') this._applyVizMode();
+};
+
+/**
+ * @param {Object} riskMap - uid -> risk score (0–100)
+ */
+BSMHypergraphRenderer.prototype.setRiskData = function (riskMap) {
+  this._riskData = riskMap || null;
+  if (this._vizMode === 'risk') this._applyVizMode();
+};
+
+/**
+ * @param {string[]} uids - Nodes to mark with a pulsing ring in risk mode
+ */
+BSMHypergraphRenderer.prototype.setAnomalyNodes = function (uids) {
+  this._anomalyNodes = new Set(uids || []);
+  this._drawAnomalyRings();
+};
+
+/**
+ * Draw directed arrows for temporal cascades. Pass an empty array to clear.
+ *
+ * @param {Array<{source: string, target: string, count: number}>} cascades
+ */
+BSMHypergraphRenderer.prototype.setCascadeOverlays = function (cascades) {
+  this._cascadeOverlays = cascades || [];
+  this._drawCascadeOverlays();
+};
+
+/**
+ * Draw declared CMDB relationships as dashed links, coloured by
+ * RELATIONSHIP_COLORS. Pass an empty array to clear.
+ *
+ * @param {Array<{source: string, target: string, status: string}>} links -
+ *   status is 'observed', 'declared' or 'missing'
+ */
+BSMHypergraphRenderer.prototype.setRelationshipOverlays = function (links) {
+  this._relationshipOverlays = links || [];
+  this._drawRelationshipOverlays();
+};
+
 BSMHypergraphRenderer.prototype.clearAnalyticsOverlays = function () {
   this.clearHighlight();
+  this.setCascadeOverlays([]);
+  this.setRelationshipOverlays([]);
+};
+
+BSMHypergraphRenderer.prototype._nodeFill = function (d) {
+  var typeColor = this._colors[d.type] || '#999';
+  if (this._vizMode === 'cluster' && this._clusterData) {
+    var cid = this._clusterData[d.uid];
+    if (cid == null) return '#475569';
+    var palette = BSMHypergraphRenderer.CLUSTER_PALETTE;
+    return palette[cid % palette.length];
+  }
+  if (this._vizMode === 'risk' && this._riskData) {
+    var score = this._riskData[d.uid];
+    if (score == null) return '#475569';
+    // RdYlGn runs red→green, so high risk maps to the low end
+    return d3.interpolateRdYlGn(1 - Math.max(0, Math.min(100, score)) / 100);
+  }
+  if (this._vizMode === 'diff' && d.diffStatus) {
+    return BSMHypergraphRenderer.DIFF_COLORS[d.diffStatus];
+  }
+  return typeColor;
+};
+
+BSMHypergraphRenderer.prototype._hullFill = function (e) {
+  if (this._vizMode === 'diff' && e.diffStatus) {
+    return BSMHypergraphRenderer.DIFF_COLORS[e.diffStatus];
+  }
+  return BSMHypergraphRenderer.HULL_RISK_COLORS[e.risk] || '#94a3b8';
+};
+
+BSMHypergraphRenderer.prototype._applyVizMode = function () {
+  if (!this._nodeLayer) return;
+  var self = this;
+  this._nodeLayer.selectAll('circle')
+    .attr('r', function (d) { return self._radius(d); })
+    .attr('fill', function (d) { return self._nodeFill(d); })
+    .attr('stroke', function (d) { return d3.color(self._nodeFill(d)).darker(0.5); });
+  this._labelLayer.selectAll('text')
+    .attr('dy', function (d) { return self._radius(d) + 14; });
+  if (this._hullSel) {
+    this._hullSel
+      .attr('fill', function (e) { return self._hullFill(e); })
+      .attr('stroke', function (e) { return self._hullFill(e); });
+  }
+  this._drawAnomalyRings();
+};
+
+BSMHypergraphRenderer.prototype._drawAnomalyRings = function () {
+  if (!this._ringLayer) return;
+  var self = this;
+  var show = this._vizMode === 'risk';
+  var data = [];
+  if (show) {
+    this._anomalyNodes.forEach(function (uid) {
+      if (self._nodeById[uid]) data.push(self._nodeById[uid]);
+    });
+  }
+
+  var rings = this._ringLayer.selectAll('circle')
+    .data(data, function (d) { return d.uid; });
+  rings.exit().remove();
+  rings.enter().append('circle')
+    .attr('class', 'hg-anomaly-ring')
+    .attr('fill', 'none')
+    .attr('stroke', '#ff5252')
+    .attr('stroke-width', 2)
+    .attr('pointer-events', 'none')
+    .merge(rings)
+    .attr('r', function (d) { return self._radius(d) + 5; });
+  this._updateOverlayPositions();
+};
+
+BSMHypergraphRenderer.prototype._drawCascadeOverlays = function () {
+  if (!this._cascadeLayer) return;
+  var nodeById = this._nodeById;
+  var data = this._cascadeOverlays.filter(function (c) {
+    return nodeById[c.source] && nodeById[c.target];
+  });
+  var maxCount = 1;
+  for (var i = 0; i < data.length; i++) {
+    if (data[i].count > maxCount) maxCount = data[i].count;
+  }
+
+  var arrows = this._cascadeLayer.selectAll('line')
+    .data(data, function (c) { return c.source + '>' + c.target; });
+  arrows.exit().remove();
+  arrows.enter().append('line')
+    .attr('class', 'hg-cascade-arrow')
+    .attr('stroke', '#ff7043')
+    .attr('stroke-opacity', 0.85)
+    .attr('marker-end', 'url(#cascade-arrow)')
+    .attr('pointer-events', 'none')
+    .merge(arrows)
+    .attr('stroke-width', function (c) { return 1.5 + 2.5 * ((c.count || 1) / maxCount); });
+  this._updateOverlayPositions();
+};
+
+BSMHypergraphRenderer.prototype._drawRelationshipOverlays = function () {
+  if (!this._relationshipLayer) return;
+  var nodeById = this._nodeById;
+  var data = this._relationshipOverlays.filter(function (r) {
+    return nodeById[r.source] && nodeById[r.target];
+  });
+
+  var lines = this._relationshipLayer.selectAll('line')
+    .data(data, function (r) { return r.source + '|' + r.target; });
+  lines.exit().remove();
+  lines.enter().append('line')
+    .attr('class', 'hg-relationship-link')
+    .attr('stroke-width', 1.5)
+    .attr('stroke-dasharray', '5,4')
+    .attr('stroke-opacity', 0.9)
+    .attr('pointer-events', 'none')
+    .merge(lines)
+    .attr('stroke', function (r) { return BSMHypergraphRenderer.RELATIONSHIP_COLORS[r.status] || '#94a3b8'; });
+  this._updateOverlayPositions();
+};
+
+/**
+ * Keep rings, cascade arrows and relationship links attached to their
+ * nodes. Called every tick.
+ */
+BSMHypergraphRenderer.prototype._updateOverlayPositions = function () {
+  var nodeById = this._nodeById;
+  var self = this;
+  if (this._ringLayer) {
+    this._ringLayer.selectAll('circle')
+      .attr('cx', function (d) { return d.x; })
+      .attr('cy', function (d) { return d.y; });
+  }
+  if (this._cascadeLayer) {
+    // Trim both ends to the node radius so the arrowhead stays visible
+    this._cascadeLayer.selectAll('line').each(function (c) {
+      var s = nodeById[c.source];
+      var t = nodeById[c.target];
+      var dx = t.x - s.x;
+      var dy = t.y - s.y;
+      var dist = Math.sqrt(dx * dx + dy * dy) || 1;
+      var rs = self._radius(s);
+      var rt = self._radius(t) + 2;
+      d3.select(this)
+        .attr('x1', s.x + (dx / dist) * rs)
+        .attr('y1', s.y + (dy / dist) * rs)
+        .attr('x2', t.x - (dx / dist) * rt)
+        .attr('y2', t.y - (dy / dist) * rt);
+    });
+  }
+  if (this._relationshipLayer) {
+    this._relationshipLayer.selectAll('line')
+      .attr('x1', function (r) { return nodeById[r.source].x; })
+      .attr('y1', function (r) { return nodeById[r.source].y; })
+      .attr('x2', function (r) { return nodeById[r.target].x; })
+      .attr('y2', function (r) { return nodeById[r.target].y; });
+  }
 };
 
 // ──────────────────────────────────────────────
@@ -16,9 +16,44 @@
  *   var hg = new HypergraphCore();
  *   var graph = hg.build(data);         // original view
  *   var dual  = hg.transpose(graph);    // transposed view
+ *
+ *   // Also promote assignment groups and business services to nodes
+ *   var full = hg.build(data, { includeEntities: true });
+ *
+ *   // Save / restore (incidence Sets <-> arrays)
+ *   var snapshot = hg.toJSON(graph, data);
+ *   var restored = hg.fromJSON(JSON.parse(JSON.stringify(snapshot)));
+ *
+ *   // Edge lookup by uid; typed-array (CSR) incidence for large graphs
+ *   graph.edgeById['change:CHG0030001'];
+ *   var big = hg.build(data, { csr: true });
+ *   hg.neighbors(big, 'ci:abc');        // answered from big.csr
+ *
+ *   // Filtered copy: only Emergency changes in March, on linux servers
+ *   var emergency = hg.subgraph(graph, {
+ *     edgePredicate: function (e) { return e.changeType === 'Emergency'; },
+ *     nodePredicate: function (n) { return n.type !== 'ci' || n.className === 'linux_server'; },
+ *     timeRange: { start: '2025-03-01', end: '2025-03-31T23:59:59Z' }
+ *   });
+ *
+ *   // Quarter over quarter: added / removed CIs and changes, membership moves
+ *   var delta = hg.diff(q1Graph, q2Graph);
+ *   var merged = hg.diffGraph(q1Graph, q2Graph, delta); // union, diffStatus per element
+ *
+ *   // Change families sharing 3+ CIs (s-line graph, HyperNetX style)
+ *   var families = hg.sConnectedComponents(graph, 3, { nodeType: 'ci' });
+ *   hg.sDistance(graph, 'change:CHG0030001', 'change:CHG0030007', 3, { nodeType: 'ci' });
+ *
+ *   // Edit in place; incidence and stats stay current, listeners are told
+ *   hg.on('change', function (event) { console.log(event.type, event.uid); });
+ *   hg.addNode(graph, { uid: 'ci:abc', type: 'ci', name: 'web-01' });
+ *   hg.addMembership(graph, 'ci:abc', 'change:CHG0030001');
+ *   hg.removeEdge(graph, 'change:CHG0030002');
  */
 
-function HypergraphCore() {}
+function HypergraphCore() {
+  this._listeners = {}; // event type -> [fn]
+}
 
 /**
  * Build the original hypergraph from task_ci records.
@@ -27,15 +62,36 @@ function HypergraphCore() {}
  * grouped by task.number to form change hyperedges, and deduplicated by
  * ci_item.sys_id to form CI nodes.
  *
+ * With options.includeEntities, each change's assignment group and business
+ * service also become nodes (group:<sys_id>, service:<sys_id>) and join the
+ * change hyperedge alongside its CIs. The sys_id comes from the dot-walked
+ * task.assignment_group.sys_id / task.business_service.sys_id fields, falling
+ * back to the display name when those are absent.
+ *
+ * CIs listed in data.inventory (a cmdb_ci load) but in no task_ci row become
+ * zero-degree CI nodes, so CIs that were never changed are visible too.
+ * Every inventory CI node carries its operationalStatus.
+ *
+ * Change hyperedges carry the lifecycle of the change when the rows have it:
+ * plannedStart / plannedEnd (task.start_date / end_date), workStart / workEnd,
+ * state and closeCode (null when absent), onHold and cabRequired (booleans).
+ *
  * @param {Object} data - Output of ITILDataSimulator.generate()
  *   data.taskCiRecords — array of flat task_ci rows
- * @returns {Object} Hypergraph descriptor { nodes, edges, incidence, stats, isTransposed }
+ *   data.inventory — optional [{ id, name, className, role, ipAddress, model,
+ *   os, sysUpdatedOn, operationalStatus }]
+ * @param {Object} [options]
+ * @param {boolean} [options.includeEntities=false] - Add group/service nodes
+ * @param {boolean} [options.csr=false] - Also attach the typed-array incidence (see csr())
+ * @returns {Object} Hypergraph descriptor { nodes, edges, edgeById, incidence, stats, isTransposed }
  */
-HypergraphCore.prototype.build = function (data) {
+HypergraphCore.prototype.build = function (data, options) {
+  options = options || {};
   var records = data.taskCiRecords;
   var nodes = [];
   var nodeMap = {};  // uid -> node object
   var edges = [];
+  var edgeById = {};  // uid -> edge object
   var incidence = {}; // nodeUid -> Set of edgeUids
 
   var i, j;
@@ -64,12 +120,52 @@ HypergraphCore.prototype.build = function (data) {
     }
   }
 
+  // Pass 1a: Inventory CIs, zero-degree unless a task_ci row added them above
+  var inventory = data.inventory || [];
+  for (i = 0; i < inventory.length; i++) {
+    var item = inventory[i];
+    var itemUid = 'ci:' + item.id;
+    if (nodeMap[itemUid]) {
+      nodeMap[itemUid].operationalStatus = item.operationalStatus;
+      continue;
+    }
+    var itemNode = {
+      uid: itemUid,
+      type: 'ci',
+      name: item.name,
+      className: item.className,
+      ipAddress: item.ipAddress,
+      role: item.role,
+      model: item.model,
+      os: item.os,
+      sysUpdatedOn: item.sysUpdatedOn,
+      operationalStatus: item.operationalStatus
+    };
+    nodes.push(itemNode);
+    nodeMap[itemUid] = itemNode;
+    incidence[itemUid] = new Set();
+  }
+
+  // Pass 1b: Extract unique assignment groups and business services as nodes
+  if (options.includeEntities) {
+    for (i = 0; i < records.length; i++) {
+      var entityUids = this._entityUids(records[i]);
+      if (entityUids.group && !nodeMap[entityUids.group]) {
+        this._addEntityNode(nodes, nodeMap, incidence, entityUids.group, 'group', records[i]['task.assignment_group']);
+      }
+      if (entityUids.service && !nodeMap[entityUids.service]) {
+        this._addEntityNode(nodes, nodeMap, incidence, entityUids.service, 'service', records[i]['task.business_service']);
+      }
+    }
+  }
+
   // Pass 2: Group records by change number to build hyperedges
   var changeGroups = {};
   for (j = 0; j < records.length; j++) {
     var r = records[j];
     var chgNum = r['task.number'];
     if (!changeGroups[chgNum]) {
+      var chgEntities = options.includeEntities ? this._entityUids(r) : {};
       changeGroups[chgNum] = {
         number: chgNum,
         changeType: r['task.type'],
@@ -79,7 +175,16 @@ HypergraphCore.prototype.build = function (data) {
         assignmentGroup: r['task.assignment_group'],
         businessService: r['task.business_service'],
         createdAt: r['task.sys_created_on'],
-        ciUids: []
+        plannedStart: r['task.start_date'] || null,
+        plannedEnd: r['task.end_date'] || null,
+        workStart: r['task.work_start'] || null,
+        workEnd: r['task.work_end'] || null,
+        state: r['task.state'] || null,
+        closeCode: r['task.close_code'] || null,
+        onHold: this._flag(r['task.on_hold']),
+        cabRequired: this._flag(r['task.cab_required']),
+        ciUids: [],
+        entityUids: [chgEntities.group, chgEntities.service].filter(Boolean)
       };
     }
     changeGroups[chgNum].ciUids.push('ci:' + r['ci_item.sys_id']);
@@ -95,6 +200,9 @@ HypergraphCore.prototype.build = function (data) {
     for (var m = 0; m < chg.ciUids.length; m++) {
       if (nodeMap[chg.ciUids[m]]) members.push(chg.ciUids[m]);
     }
+    for (var en = 0; en < chg.entityUids.length; en++) {
+      if (nodeMap[chg.entityUids[en]]) members.push(chg.entityUids[en]);
+    }
 
     var edge = {
       uid: edgeUid,
@@ -106,9 +214,18 @@ HypergraphCore.prototype.build = function (data) {
       region: chg.region,
       assignmentGroup: chg.assignmentGroup,
       businessService: chg.businessService,
-      createdAt: chg.createdAt
+      createdAt: chg.createdAt,
+      plannedStart: chg.plannedStart,
+      plannedEnd: chg.plannedEnd,
+      workStart: chg.workStart,
+      workEnd: chg.workEnd,
+      state: chg.state,
+      closeCode: chg.closeCode,
+      onHold: chg.onHold,
+      cabRequired: chg.cabRequired
     };
     edges.push(edge);
+    edgeById[edgeUid] = edge;
 
     // Populate incidence matrix
     for (var mi = 0; mi < members.length; mi++) {
@@ -116,13 +233,53 @@ HypergraphCore.prototype.build = function (data) {
     }
   }
 
-  return {
+  var graph = {
     nodes: nodes,
     edges: edges,
+    edgeById: edgeById,
     incidence: incidence,
     stats: this._computeStats(nodes, edges, incidence),
     isTransposed: false
   };
+  if (options.csr) this.csr(graph);
+  return graph;
+};
+
+/**
+ * Resolve the group/service node UIDs for a task_ci row.
+ * Returns { group, service } with null for any reference that is empty.
+ * @private
+ */
+HypergraphCore.prototype._entityUids = function (rec) {
+  var groupId = rec['task.assignment_group.sys_id'] || rec['task.assignment_group'];
+  var serviceId = rec['task.business_service.sys_id'] || rec['task.business_service'];
+  return {
+    group: groupId ? 'group:' + groupId : null,
+    service: serviceId ? 'service:' + serviceId : null
+  };
+};
+
+/**
+ * ServiceNow boolean field (true, 'true', or the display value) -> boolean.
+ * @private
+ */
+HypergraphCore.prototype._flag = function (value) {
+  return value === true || value === 'true';
+};
+
+/**
+ * Register a group or service node in the node list, lookup and incidence.
+ * @private
+ */
+HypergraphCore.prototype._addEntityNode = function (nodes, nodeMap, incidence, uid, type, name) {
+  var node = {
+    uid: uid,
+    type: type,
+    name: name || uid.substring(type.length + 1)
+  };
+  nodes.push(node);
+  nodeMap[uid] = node;
+  incidence[uid] = new Set();
 };
 
 /**
@@ -155,7 +312,15 @@ HypergraphCore.prototype.transpose = function (graph) {
       region: oldEdge.region,
       assignmentGroup: oldEdge.assignmentGroup,
       businessService: oldEdge.businessService,
-      createdAt: oldEdge.createdAt
+      createdAt: oldEdge.createdAt,
+      plannedStart: oldEdge.plannedStart,
+      plannedEnd: oldEdge.plannedEnd,
+      workStart: oldEdge.workStart,
+      workEnd: oldEdge.workEnd,
+      state: oldEdge.state,
+      closeCode: oldEdge.closeCode,
+      onHold: oldEdge.onHold,
+      cabRequired: oldEdge.cabRequired
     });
     newIncidence[oldEdge.uid] = new Set();
   }
@@ -166,16 +331,11 @@ HypergraphCore.prototype.transpose = function (graph) {
     var memberEdgeUids = graph.incidence[oldNode.uid];
     if (!memberEdgeUids || memberEdgeUids.size === 0) continue;
 
+    // Keep every node attribute so untranspose() can restore the node
     var elements = Array.from(memberEdgeUids);
-    newEdges.push({
-      uid: oldNode.uid,
-      elements: elements,
-      type: oldNode.type,
-      name: oldNode.name,
-      className: oldNode.className,
-      ipAddress: oldNode.ipAddress,
-      os: oldNode.os
-    });
+    var newEdge = this._plainCopy(oldNode);
+    newEdge.elements = elements;
+    newEdges.push(newEdge);
 
     // Populate transposed incidence
     for (j = 0; j < elements.length; j++) {
@@ -186,12 +346,68 @@ HypergraphCore.prototype.transpose = function (graph) {
   return {
     nodes: newNodes,
     edges: newEdges,
+    edgeById: this._indexEdges(newEdges),
     incidence: newIncidence,
     stats: this._computeStats(newNodes, newEdges, newIncidence),
     isTransposed: true
   };
 };
 
+/**
+ * Inverse of transpose(): turn a transposed hypergraph back into the
+ * original orientation, with change hyperedges over entity nodes.
+ *
+ * Change nodes become hyperedges again (their name back as the change
+ * number) and entity hyperedges become nodes with their attributes.
+ * Entities that belonged to no change were dropped by transpose() and
+ * are not restored.
+ *
+ * @param {Object} graph - Transposed hypergraph from transpose()
+ * @returns {Object} Hypergraph with the build() schema
+ */
+HypergraphCore.prototype.untranspose = function (graph) {
+  var newNodes = [];
+  var newEdges = [];
+  var newIncidence = {};
+  var i, j;
+
+  // Transposed edges (entities) become nodes again
+  for (i = 0; i < graph.edges.length; i++) {
+    var node = this._plainCopy(graph.edges[i]);
+    delete node.elements;
+    newNodes.push(node);
+    newIncidence[node.uid] = new Set();
+  }
+
+  // Transposed nodes (changes) become hyperedges again
+  for (i = 0; i < graph.nodes.length; i++) {
+    var edge = this._plainCopy(graph.nodes[i]);
+    if (edge.number == null) edge.number = edge.name;
+    delete edge.type;
+    delete edge.name;
+    edge.elements = [];
+    var members = graph.incidence[edge.uid];
+    if (members) {
+      members.forEach(function (uid) {
+        if (newIncidence[uid]) edge.elements.push(uid);
+      });
+    }
+    for (j = 0; j < edge.elements.length; j++) {
+      newIncidence[edge.elements[j]].add(edge.uid);
+    }
+    newEdges.push(edge);
+  }
+
+  return {
+    nodes: newNodes,
+    edges: newEdges,
+    edgeById: this._indexEdges(newEdges),
+    incidence: newIncidence,
+    stats: this._computeStats(newNodes, newEdges, newIncidence),
+    isTransposed: false
+  };
+};
+
 /**
  * Compute summary statistics for a hypergraph.
  */
@@ -306,17 +522,17 @@ HypergraphCore.prototype.cooccurrence = function (graph, filterType, topN) {
  * @returns {string[]} UIDs of co-member nodes (excluding the input node)
  */
 HypergraphCore.prototype.neighbors = function (graph, nodeUid) {
+  if (graph.csr) return this._csrNeighbors(graph.csr, nodeUid);
+
   var edgeSet = graph.incidence[nodeUid];
   if (!edgeSet) return [];
 
+  var edgeById = this.edgeIndex(graph);
   var neighborSet = new Set();
   var edgeUids = Array.from(edgeSet);
 
   for (var i = 0; i < edgeUids.length; i++) {
-    var edge = null;
-    for (var e = 0; e < graph.edges.length; e++) {
-      if (graph.edges[e].uid === edgeUids[i]) { edge = graph.edges[e]; break; }
-    }
+    var edge = edgeById[edgeUids[i]];
     if (!edge) continue;
     for (var j = 0; j < edge.elements.length; j++) {
       if (edge.elements[j] !== nodeUid) {
@@ -327,3 +543,1164 @@ HypergraphCore.prototype.neighbors = function (graph, nodeUid) {
 
   return Array.from(neighborSet);
 };
+
+// ---------- Subgraphs ----------
+
+/**
+ * Filtered copy of a hypergraph with its own incidence, edgeById and stats.
+ *
+ * Nodes failing nodePredicate are dropped, and with them their memberships;
+ * edges failing edgePredicate or timeRange are dropped, as are edges left
+ * with fewer than minEdgeSize members. Nodes left without any edge are
+ * dropped unless keepIsolated is set, or returns true for them. Node objects are shared with the
+ * source graph (so layout positions carry over); edges are copied since
+ * their elements may differ.
+ *
+ * timeRange applies to the changes' createdAt: the edges of an original
+ * graph, the nodes of a transposed one. Bounds are inclusive and may be
+ * Dates, epoch ms or date strings; either may be omitted. Changes without
+ * a parseable createdAt fall outside any range.
+ *
+ * @param {Object} graph - Hypergraph from build() or transpose()
+ * @param {Object} [options]
+ * @param {Function} [options.nodePredicate] - (node) -> boolean, true = keep
+ * @param {Function} [options.edgePredicate] - (edge) -> boolean, true = keep
+ * @param {{start: *, end: *}} [options.timeRange]
+ * @param {number} [options.minEdgeSize=1] - 0 keeps emptied edges
+ * @param {boolean|Function} [options.keepIsolated=false] - Keep nodes left without
+ *   edges: all of them, or those for which (node) -> true
+ * @returns {Object} Hypergraph descriptor { nodes, edges, edgeById, incidence, stats, isTransposed }
+ */
+HypergraphCore.prototype.subgraph = function (graph, options) {
+  options = options || {};
+  var nodePredicate = options.nodePredicate || null;
+  var edgePredicate = options.edgePredicate || null;
+  var inRange = this._timeRangeTest(options.timeRange);
+  var minEdgeSize = options.minEdgeSize != null ? options.minEdgeSize : 1;
+  var keepIsolated = options.keepIsolated;
+  var i, j;
+
+  var incidence = {}; // kept nodeUid -> Set of edgeUids
+  for (i = 0; i < graph.nodes.length; i++) {
+    var node = graph.nodes[i];
+    if (nodePredicate && !nodePredicate(node)) continue;
+    if (inRange && graph.isTransposed && !inRange(node.createdAt)) continue;
+    incidence[node.uid] = new Set();
+  }
+
+  var edges = [];
+  var edgeById = {};
+  for (i = 0; i < graph.edges.length; i++) {
+    var edge = graph.edges[i];
+    if (edgePredicate && !edgePredicate(edge)) continue;
+    if (inRange && !graph.isTransposed && !inRange(edge.createdAt)) continue;
+
+    var elements = [];
+    for (j = 0; j < edge.elements.length; j++) {
+      if (incidence[edge.elements[j]]) elements.push(edge.elements[j]);
+    }
+    if (elements.length < minEdgeSize) continue;
+
+    var copy = Object.assign({}, edge, { elements: elements });
+    edges.push(copy);
+    edgeById[copy.uid] = copy;
+    for (j = 0; j < elements.length; j++) {
+      incidence[elements[j]].add(copy.uid);
+    }
+  }
+
+  var nodes = [];
+  for (i = 0; i < graph.nodes.length; i++) {
+    var uid = graph.nodes[i].uid;
+    if (!incidence[uid]) continue;
+    var keep = typeof keepIsolated === 'function' ? keepIsolated(graph.nodes[i]) : !!keepIsolated;
+    if (incidence[uid].size === 0 && !keep) {
+      delete incidence[uid];
+      continue;
+    }
+    nodes.push(graph.nodes[i]);
+  }
+
+  return {
+    nodes: nodes,
+    edges: edges,
+    edgeById: edgeById,
+    incidence: incidence,
+    stats: this._computeStats(nodes, edges, incidence),
+    isTransposed: !!graph.isTransposed
+  };
+};
+
+/**
+ * Compile a { start, end } range into a value -> boolean test, or null
+ * when neither bound is set.
+ * @private
+ */
+HypergraphCore.prototype._timeRangeTest = function (range) {
+  function toMs(value) {
+    if (value == null || value === '') return null;
+    if (value instanceof Date) return value.getTime();
+    return typeof value === 'number' ? value : Date.parse(value);
+  }
+
+  if (!range) return null;
+  var start = toMs(range.start);
+  var end = toMs(range.end);
+  if (start == null && end == null) return null;
+
+  return function (value) {
+    var t = toMs(value);
+    if (t == null || isNaN(t)) return false;
+    return (start == null || t >= start) && (end == null || t <= end);
+  };
+};
+
+// ---------- Diff ----------
+
+/**
+ * Compare two hypergraphs by uid. Uids are stable across loads
+ * (ci:<sys_id>, change:<number>...), so two snapshots of the same estate
+ * taken at different times line up directly.
+ *
+ * @param {Object} graphA - Earlier / baseline graph
+ * @param {Object} graphB - Later graph
+ * @returns {{nodes: Object, edges: Object, memberships: Object, changedEdges: string[], stats: Object}}
+ *   nodes / edges: { added, removed, common } uid lists (added = only in B);
+ *   memberships: { added, removed } [{ nodeUid, edgeUid }] within edges common
+ *   to both; changedEdges: common edges whose members differ;
+ *   stats: { <stat>: { a, b, delta } }
+ */
+HypergraphCore.prototype.diff = function (graphA, graphB) {
+  var nodes = this._diffUids(graphA.nodes, graphB.nodes);
+  var edges = this._diffUids(graphA.edges, graphB.edges);
+  var edgeByIdA = this.edgeIndex(graphA);
+  var edgeByIdB = this.edgeIndex(graphB);
+  var memberships = { added: [], removed: [] };
+  var changedEdges = [];
+  var i, j;
+
+  for (i = 0; i < edges.common.length; i++) {
+    var uid = edges.common[i];
+    var before = edgeByIdA[uid].elements;
+    var after = edgeByIdB[uid].elements;
+    var inBefore = {};
+    var inAfter = {};
+    for (j = 0; j < before.length; j++) inBefore[before[j]] = true;
+    for (j = 0; j < after.length; j++) inAfter[after[j]] = true;
+
+    var changed = false;
+    for (j = 0; j < after.length; j++) {
+      if (inBefore[after[j]]) continue;
+      memberships.added.push({ nodeUid: after[j], edgeUid: uid });
+      changed = true;
+    }
+    for (j = 0; j < before.length; j++) {
+      if (inAfter[before[j]]) continue;
+      memberships.removed.push({ nodeUid: before[j], edgeUid: uid });
+      changed = true;
+    }
+    if (changed) changedEdges.push(uid);
+  }
+
+  var stats = {};
+  var keys = Object.keys(Object.assign({}, graphA.stats, graphB.stats));
+  for (i = 0; i < keys.length; i++) {
+    var a = graphA.stats[keys[i]] || 0;
+    var b = graphB.stats[keys[i]] || 0;
+    stats[keys[i]] = { a: a, b: b, delta: Math.round((b - a) * 10000) / 10000 };
+  }
+
+  return { nodes: nodes, edges: edges, memberships: memberships, changedEdges: changedEdges, stats: stats };
+};
+
+/**
+ * Union of two graphs for side-by-side display: every node and edge of
+ * either, copied with a diffStatus of 'added', 'removed' or 'unchanged'
+ * (edges also 'changed' when common but with different members). Common
+ * edges list the members of both. memberStatus maps edgeUid -> nodeUid ->
+ * 'added' | 'removed' for the memberships that differ within common edges.
+ *
+ * @param {Object} graphA - Baseline
+ * @param {Object} graphB - Current
+ * @param {Object} [delta] - diff(graphA, graphB), when already computed
+ * @returns {Object} Hypergraph descriptor plus { memberStatus, diff }
+ */
+HypergraphCore.prototype.diffGraph = function (graphA, graphB, delta) {
+  delta = delta || this.diff(graphA, graphB);
+  var i, j;
+
+  var nodeStatus = this._statusMap(delta.nodes, {});
+  var edgeStatus = this._statusMap(delta.edges, {});
+  for (i = 0; i < delta.changedEdges.length; i++) edgeStatus[delta.changedEdges[i]] = 'changed';
+
+  var memberStatus = {};
+  function mark(list, status) {
+    for (var k = 0; k < list.length; k++) {
+      var m = list[k];
+      (memberStatus[m.edgeUid] = memberStatus[m.edgeUid] || {})[m.nodeUid] = status;
+    }
+  }
+  mark(delta.memberships.added, 'added');
+  mark(delta.memberships.removed, 'removed');
+
+  var nodes = [];
+  var incidence = {};
+  function addNodes(list, only) {
+    for (var k = 0; k < list.length; k++) {
+      if (only && nodeStatus[list[k].uid] !== only) continue;
+      nodes.push(Object.assign({}, list[k], { diffStatus: nodeStatus[list[k].uid] }));
+      incidence[list[k].uid] = new Set();
+    }
+  }
+  addNodes(graphB.nodes, null);
+  addNodes(graphA.nodes, 'removed');
+
+  var edges = [];
+  var edgeById = {};
+  var edgeByIdA = this.edgeIndex(graphA);
+  function addEdges(list, only) {
+    for (var k = 0; k < list.length; k++) {
+      var edge = list[k];
+      if (only && edgeStatus[edge.uid] !== only) continue;
+      var elements = edge.elements.slice();
+      if (edgeStatus[edge.uid] === 'changed') {
+        var changes = memberStatus[edge.uid];
+        var before = edgeByIdA[edge.uid].elements;
+        for (j = 0; j < before.length; j++) {
+          if (changes[before[j]] === 'removed') elements.push(before[j]);
+        }
+      }
+      var copy = Object.assign({}, edge, { elements: elements, diffStatus: edgeStatus[edge.uid] });
+      edges.push(copy);
+      edgeById[copy.uid] = copy;
+      for (j = 0; j < elements.length; j++) incidence[elements[j]].add(copy.uid);
+    }
+  }
+  addEdges(graphB.edges, null);
+  addEdges(graphA.edges, 'removed');
+
+  return {
+    nodes: nodes,
+    edges: edges,
+    edgeById: edgeById,
+    incidence: incidence,
+    stats: this._computeStats(nodes, edges, incidence),
+    isTransposed: !!graphB.isTransposed,
+    memberStatus: memberStatus,
+    diff: delta
+  };
+};
+
+/**
+ * Split two node or edge lists into added / removed / common uids.
+ * @private
+ */
+HypergraphCore.prototype._diffUids = function (listA, listB) {
+  var inA = {};
+  var inB = {};
+  var result = { added: [], removed: [], common: [] };
+  var i;
+  for (i = 0; i < listA.length; i++) inA[listA[i].uid] = true;
+  for (i = 0; i < listB.length; i++) {
+    inB[listB[i].uid] = true;
+    (inA[listB[i].uid] ? result.common : result.added).push(listB[i].uid);
+  }
+  for (i = 0; i < listA.length; i++) {
+    if (!inB[listA[i].uid]) result.removed.push(listA[i].uid);
+  }
+  return result;
+};
+
+/** @private */
+HypergraphCore.prototype._statusMap = function (split, map) {
+  var i;
+  for (i = 0; i < split.added.length; i++) map[split.added[i]] = 'added';
+  for (i = 0; i < split.removed.length; i++) map[split.removed[i]] = 'removed';
+  for (i = 0; i < split.common.length; i++) map[split.common[i]] = 'unchanged';
+  return map;
+};
+
+// ---------- s-line graphs ----------
+
+/**
+ * s-line graph, after HyperNetX's s_linegraph. With edges (the default)
+ * its vertices are the hyperedges with at least s members, adjacent when
+ * they share at least s members; with edges: false its vertices are the
+ * nodes in at least s hyperedges, adjacent when they share at least s
+ * hyperedges.
+ *
+ * nodeType restricts which nodes take part: only members of that type
+ * count towards the size and overlap of hyperedges, and only nodes of that
+ * type become vertices. With nodeType 'ci', changes are adjacent on shared
+ * CIs alone, not on a shared assignment group or business service.
+ *
+ * @param {Object} graph - Hypergraph from build() or transpose()
+ * @param {number} [s=1]
+ * @param {Object} [options]
+ * @param {boolean} [options.edges=true] - Hyperedge (true) or node line graph
+ * @param {string} [options.nodeType] - e.g. 'ci'
+ * @returns {{s: number, edges: boolean, vertices: string[], adjacency: Object}}
+ *   adjacency: uid -> { uid: shared member (or hyperedge) count }
+ */
+HypergraphCore.prototype.sLineGraph = function (graph, s, options) {
+  s = s || 1;
+  options = options || {};
+  var useEdges = options.edges !== false;
+  var nodeType = options.nodeType || null;
+  var csr = this.csr(graph);
+  var nodeCount = csr.nodeUids.length;
+  var i, j, k;
+
+  // Vertices are one side of the incidence, reached from each other
+  // through the other side
+  var vertexUids = useEdges ? csr.edgeUids : csr.nodeUids;
+  var offsets = useEdges ? csr.edgeOffsets : csr.nodeOffsets;
+  var members = useEdges ? csr.edgeNodes : csr.nodeEdges;
+  var viaOffsets = useEdges ? csr.nodeOffsets : csr.edgeOffsets;
+  var via = useEdges ? csr.nodeEdges : csr.edgeNodes;
+
+  var counted = new Uint8Array(nodeCount);
+  for (i = 0; i < nodeCount; i++) {
+    counted[i] = !nodeType || graph.nodes[i].type === nodeType ? 1 : 0;
+  }
+  var isVertex = new Uint8Array(vertexUids.length);
+  for (i = 0; i < vertexUids.length; i++) {
+    var size = 0;
+    for (j = offsets[i]; j < offsets[i + 1]; j++) {
+      if (!useEdges || counted[members[j]]) size++;
+    }
+    isVertex[i] = size >= s && (useEdges || counted[i]) ? 1 : 0;
+  }
+
+  // Count how often each other vertex is met through a vertex's members
+  // (or hyperedges); one counter array, reset through the touched list
+  var shared = new Uint32Array(vertexUids.length);
+  var touched = [];
+  var vertices = [];
+  var adjacency = {};
+  for (i = 0; i < vertexUids.length; i++) {
+    if (!isVertex[i]) continue;
+    touched.length = 0;
+    for (j = offsets[i]; j < offsets[i + 1]; j++) {
+      var m = members[j];
+      if (useEdges && !counted[m]) continue;
+      for (k = viaOffsets[m]; k < viaOffsets[m + 1]; k++) {
+        var w = via[k];
+        if (w === i || !isVertex[w]) continue;
+        if (shared[w]++ === 0) touched.push(w);
+      }
+    }
+    var adj = {};
+    for (j = 0; j < touched.length; j++) {
+      if (shared[touched[j]] >= s) adj[vertexUids[touched[j]]] = shared[touched[j]];
+      shared[touched[j]] = 0;
+    }
+    adjacency[vertexUids[i]] = adj;
+    vertices.push(vertexUids[i]);
+  }
+
+  return { s: s, edges: useEdges, vertices: vertices, adjacency: adjacency };
+};
+
+/**
+ * s-connected components (HyperNetX s_connected_components): the
+ * connected components of the s-line graph, largest first. Hyperedges of
+ * a component are linked by chains of hyperedges each sharing at least s
+ * members with the next.
+ *
+ * @param {Object} graph - Hypergraph from build() or transpose()
+ * @param {number} [s=1]
+ * @param {Object} [options] - sLineGraph options, plus:
+ * @param {boolean} [options.returnSingletons=false] - Include one-vertex components
+ * @param {Object} [options.lineGraph] - Reuse a sLineGraph result (s and options ignored)
+ * @returns {string[][]} Vertex uids per component
+ */
+HypergraphCore.prototype.sConnectedComponents = function (graph, s, options) {
+  options = options || {};
+  var lineGraph = options.lineGraph || this.sLineGraph(graph, s, options);
+  var adjacency = lineGraph.adjacency;
+  var seen = {};
+  var components = [];
+
+  for (var i = 0; i < lineGraph.vertices.length; i++) {
+    var start = lineGraph.vertices[i];
+    if (seen[start]) continue;
+    seen[start] = true;
+    var component = [start];
+    for (var head = 0; head < component.length; head++) {
+      var next = Object.keys(adjacency[component[head]]);
+      for (var j = 0; j < next.length; j++) {
+        if (seen[next[j]]) continue;
+        seen[next[j]] = true;
+        component.push(next[j]);
+      }
+    }
+    if (component.length > 1 || options.returnSingletons) components.push(component);
+  }
+
+  components.sort(function (a, b) { return b.length - a.length; });
+  return components;
+};
+
+/**
+ * s-distance (HyperNetX s_distance): the fewest s-line graph hops between
+ * two hyperedges (or nodes, with edges: false). 0 from a vertex to itself;
+ * Infinity when they are not s-connected or either is below the s
+ * threshold.
+ *
+ * @param {Object} graph - Hypergraph from build() or transpose()
+ * @param {string} source - Hyperedge (or node) uid
+ * @param {string} target - Hyperedge (or node) uid
+ * @param {number} [s=1]
+ * @param {Object} [options] - As for sConnectedComponents
+ * @returns {number}
+ */
+HypergraphCore.prototype.sDistance = function (graph, source, target, s, options) {
+  options = options || {};
+  var lineGraph = options.lineGraph || this.sLineGraph(graph, s, options);
+  var adjacency = lineGraph.adjacency;
+  if (!adjacency[source] || !adjacency[target]) return Infinity;
+  if (source === target) return 0;
+
+  var dist = {};
+  dist[source] = 0;
+  var queue = [source];
+  for (var head = 0; head < queue.length; head++) {
+    var uid = queue[head];
+    var next = Object.keys(adjacency[uid]);
+    for (var j = 0; j < next.length; j++) {
+      if (dist[next[j]] != null) continue;
+      if (next[j] === target) return dist[uid] + 1;
+      dist[next[j]] = dist[uid] + 1;
+      queue.push(next[j]);
+    }
+  }
+  return Infinity;
+};
+
+// ---------- Indexes ----------
+
+/**
+ * uid -> edge lookup for an edge list.
+ * @private
+ */
+HypergraphCore.prototype._indexEdges = function (edges) {
+  var map = {};
+  for (var i = 0; i < edges.length; i++) {
+    map[edges[i].uid] = edges[i];
+  }
+  return map;
+};
+
+/**
+ * The graph's uid -> edge index. Graphs from build / transpose / fromJSON /
+ * normalize carry it as graph.edgeById and the mutation methods keep it
+ * current; graphs assembled elsewhere get it attached on first call.
+ *
+ * @param {Object} graph
+ * @returns {Object} edgeUid -> edge
+ */
+HypergraphCore.prototype.edgeIndex = function (graph) {
+  if (!graph.edgeById) graph.edgeById = this._indexEdges(graph.edges);
+  return graph.edgeById;
+};
+
+/**
+ * Compressed sparse row (CSR) incidence: nodes and edges are numbered by
+ * their position in graph.nodes / graph.edges, and each side's members
+ * are contiguous runs in a Uint32Array.
+ *
+ *   edges of node i:  nodeEdges[nodeOffsets[i] .. nodeOffsets[i + 1])
+ *   nodes of edge k:  edgeNodes[edgeOffsets[k] .. edgeOffsets[k + 1])
+ *
+ * Built on first call and cached as graph.csr; the mutation methods drop
+ * it, so the next call rebuilds it. When present, neighbors() uses it.
+ * Edge elements that are not nodes of the graph are left out.
+ *
+ * @param {Object} graph
+ * @returns {{nodeUids: string[], edgeUids: string[], nodeIndex: Object, edgeIndex: Object,
+ *   nodeOffsets: Uint32Array, nodeEdges: Uint32Array, edgeOffsets: Uint32Array, edgeNodes: Uint32Array}}
+ */
+HypergraphCore.prototype.csr = function (graph) {
+  if (graph.csr) return graph.csr;
+
+  var nodeCount = graph.nodes.length;
+  var edgeCount = graph.edges.length;
+  var nodeUids = new Array(nodeCount);
+  var edgeUids = new Array(edgeCount);
+  var nodeIndex = {};
+  var edgeIndex = {};
+  var i, j, total = 0;
+
+  for (i = 0; i < nodeCount; i++) {
+    nodeUids[i] = graph.nodes[i].uid;
+    nodeIndex[nodeUids[i]] = i;
+  }
+  var edgeOffsets = new Uint32Array(edgeCount + 1);
+  for (i = 0; i < edgeCount; i++) {
+    edgeUids[i] = graph.edges[i].uid;
+    edgeIndex[edgeUids[i]] = i;
+    var elements = graph.edges[i].elements;
+    for (j = 0; j < elements.length; j++) {
+      if (nodeIndex[elements[j]] !== undefined) total++;
+    }
+    edgeOffsets[i + 1] = total;
+  }
+
+  // Edge side, counting node degrees on the way
+  var edgeNodes = new Uint32Array(total);
+  var nodeOffsets = new Uint32Array(nodeCount + 1);
+  for (i = 0; i < edgeCount; i++) {
+    var members = graph.edges[i].elements;
+    var pos = edgeOffsets[i];
+    for (j = 0; j < members.length; j++) {
+      var n = nodeIndex[members[j]];
+      if (n === undefined) continue;
+      edgeNodes[pos++] = n;
+      nodeOffsets[n + 1]++;
+    }
+  }
+  for (i = 0; i < nodeCount; i++) nodeOffsets[i + 1] += nodeOffsets[i];
+
+  // Node side, filled in edge order
+  var nodeEdges = new Uint32Array(total);
+  var cursor = nodeOffsets.slice(0, nodeCount);
+  for (i = 0; i < edgeCount; i++) {
+    for (j = edgeOffsets[i]; j < edgeOffsets[i + 1]; j++) {
+      nodeEdges[cursor[edgeNodes[j]]++] = i;
+    }
+  }
+
+  graph.csr = {
+    nodeUids: nodeUids,
+    edgeUids: edgeUids,
+    nodeIndex: nodeIndex,
+    edgeIndex: edgeIndex,
+    nodeOffsets: nodeOffsets,
+    nodeEdges: nodeEdges,
+    edgeOffsets: edgeOffsets,
+    edgeNodes: edgeNodes,
+    _seen: new Uint32Array(nodeCount), // per-query visit stamps for _csrNeighbors
+    _stamp: 0
+  };
+  return graph.csr;
+};
+
+/**
+ * neighbors() over CSR arrays, deduplicating with visit stamps instead of
+ * a Set.
+ * @private
+ */
+HypergraphCore.prototype._csrNeighbors = function (csr, nodeUid) {
+  var n = csr.nodeIndex[nodeUid];
+  if (n === undefined) return [];
+
+  var stamp = ++csr._stamp;
+  if (stamp === 0xFFFFFFFF) {
+    csr._seen.fill(0);
+    stamp = csr._stamp = 1;
+  }
+  csr._seen[n] = stamp;
+
+  var result = [];
+  for (var i = csr.nodeOffsets[n]; i < csr.nodeOffsets[n + 1]; i++) {
+    var e = csr.nodeEdges[i];
+    for (var j = csr.edgeOffsets[e]; j < csr.edgeOffsets[e + 1]; j++) {
+      var m = csr.edgeNodes[j];
+      if (csr._seen[m] === stamp) continue;
+      csr._seen[m] = stamp;
+      result.push(csr.nodeUids[m]);
+    }
+  }
+  return result;
+};
+
+// ---------- Mutation ----------
+
+/**
+ * Event types emitted by the mutation methods. Every event is also emitted
+ * as 'change'. Payload: { type, graph, uid } plus node / edge for
+ * add/remove, nodeUid / edgeUid for memberships and node / fields for
+ * nodeUpdated. Events fire once the graph (incidence, stats) is consistent.
+ * Adding or removing an edge, or removing a node, is a single event; the
+ * memberships it creates or drops are not reported separately (edge.elements,
+ * and edgeUids on nodeRemoved, list them).
+ */
+HypergraphCore.EVENTS = [
+  'nodeAdded', 'nodeRemoved', 'nodeUpdated', 'edgeAdded', 'edgeRemoved',
+  'membershipAdded', 'membershipRemoved'
+];
+
+/**
+ * Subscribe to mutation events ('change' for all of them).
+ *
+ * @param {string} type - One of HypergraphCore.EVENTS or 'change'
+ * @param {Function} fn - Called with the event object
+ * @returns {HypergraphCore} this
+ */
+HypergraphCore.prototype.on = function (type, fn) {
+  (this._listeners[type] = this._listeners[type] || []).push(fn);
+  return this;
+};
+
+HypergraphCore.prototype.off = function (type, fn) {
+  var list = this._listeners[type];
+  if (!list) return this;
+  var idx = list.indexOf(fn);
+  if (idx !== -1) list.splice(idx, 1);
+  return this;
+};
+
+/** @private */
+HypergraphCore.prototype._emit = function (event) {
+  var targets = (this._listeners[event.type] || []).concat(this._listeners.change || []);
+  for (var i = 0; i < targets.length; i++) targets[i](event);
+};
+
+/**
+ * Add a node with no memberships.
+ *
+ * @param {Object} graph
+ * @param {Object} node - Needs a uid not already in the graph
+ * @returns {Object} The node
+ * @throws {Error} On a missing or duplicate uid
+ */
+HypergraphCore.prototype.addNode = function (graph, node) {
+  var state = this._mutationState(graph);
+  if (!node || !node.uid) throw new Error('addNode: node has no uid');
+  if (state.nodeById[node.uid]) throw new Error('addNode: duplicate node uid ' + node.uid);
+
+  state.nodePos[node.uid] = graph.nodes.length;
+  graph.nodes.push(node);
+  graph.incidence[node.uid] = new Set();
+  state.nodeById[node.uid] = node;
+  this._countDegree(state, 0, 1);
+  this._refreshStats(graph, state);
+  this._emit({ type: 'nodeAdded', graph: graph, uid: node.uid, node: node });
+  return node;
+};
+
+/**
+ * Remove a node and all of its memberships. The last node takes its place
+ * in graph.nodes.
+ *
+ * @param {Object} graph
+ * @param {string} uid
+ * @returns {Object|null} The removed node, or null when absent
+ */
+HypergraphCore.prototype.removeNode = function (graph, uid) {
+  var state = this._mutationState(graph);
+  var node = state.nodeById[uid];
+  if (!node) return null;
+
+  var edgeUids = Array.from(graph.incidence[uid]);
+  for (var i = 0; i < edgeUids.length; i++) {
+    this._unlink(graph, state, uid, graph.edgeById[edgeUids[i]]);
+  }
+
+  this._removeAt(graph.nodes, state.nodePos, uid);
+  delete graph.incidence[uid];
+  delete state.nodeById[uid];
+  this._countDegree(state, 0, -1);
+  this._refreshStats(graph, state);
+  this._emit({ type: 'nodeRemoved', graph: graph, uid: uid, node: node, edgeUids: edgeUids });
+  return node;
+};
+
+/**
+ * Add a hyperedge. Its elements must already be nodes; duplicates are dropped.
+ *
+ * @param {Object} graph
+ * @param {Object} edge - { uid, elements: [nodeUid], ...attributes }
+ * @returns {Object} The edge
+ * @throws {Error} On a missing or duplicate uid, or an unknown member
+ */
+HypergraphCore.prototype.addEdge = function (graph, edge) {
+  var state = this._mutationState(graph);
+  if (!edge || !edge.uid) throw new Error('addEdge: edge has no uid');
+  if (graph.edgeById[edge.uid]) throw new Error('addEdge: duplicate edge uid ' + edge.uid);
+
+  var elements = [];
+  var members = edge.elements || [];
+  for (var i = 0; i < members.length; i++) {
+    if (!state.nodeById[members[i]]) {
+      throw new Error('addEdge: edge ' + edge.uid + ' references unknown node ' + members[i]);
+    }
+    if (elements.indexOf(members[i]) === -1) elements.push(members[i]);
+  }
+
+  edge.elements = [];
+  state.edgePos[edge.uid] = graph.edges.length;
+  graph.edges.push(edge);
+  graph.edgeById[edge.uid] = edge;
+  this._countSize(state, 0, 1);
+  for (var j = 0; j < elements.length; j++) {
+    this._link(graph, state, elements[j], edge);
+  }
+
+  this._refreshStats(graph, state);
+  this._emit({ type: 'edgeAdded', graph: graph, uid: edge.uid, edge: edge });
+  return edge;
+};
+
+/**
+ * Remove a hyperedge and its memberships; member nodes stay. The last edge
+ * takes its place in graph.edges.
+ * The returned (detached) edge still lists its former elements.
+ *
+ * @param {Object} graph
+ * @param {string} uid
+ * @returns {Object|null} The removed edge, or null when absent
+ */
+HypergraphCore.prototype.removeEdge = function (graph, uid) {
+  var state = this._mutationState(graph);
+  var edge = graph.edgeById[uid];
+  if (!edge) return null;
+
+  var members = edge.elements.slice();
+  for (var i = 0; i < members.length; i++) {
+    this._unlink(graph, state, members[i], edge);
+  }
+
+  this._removeAt(graph.edges, state.edgePos, uid);
+  edge.elements = members; // the detached edge keeps its former members
+  delete graph.edgeById[uid];
+  this._countSize(state, 0, -1);
+  this._refreshStats(graph, state);
+  this._emit({ type: 'edgeRemoved', graph: graph, uid: uid, edge: edge });
+  return edge;
+};
+
+/**
+ * Make a node a member of a hyperedge.
+ *
+ * @returns {boolean} false when it already was
+ * @throws {Error} When the node or edge does not exist
+ */
+HypergraphCore.prototype.addMembership = function (graph, nodeUid, edgeUid) {
+  var state = this._mutationState(graph);
+  var edge = this._requireMember(graph, state, nodeUid, edgeUid);
+  if (graph.incidence[nodeUid].has(edgeUid)) return false;
+
+  this._link(graph, state, nodeUid, edge);
+  this._refreshStats(graph, state);
+  this._emit({ type: 'membershipAdded', graph: graph, uid: edgeUid, nodeUid: nodeUid, edgeUid: edgeUid });
+  return true;
+};
+
+/**
+ * Remove a node from a hyperedge. Empty edges and isolated nodes are kept;
+ * remove them explicitly if they should go.
+ *
+ * @returns {boolean} false when it was not a member
+ */
+HypergraphCore.prototype.removeMembership = function (graph, nodeUid, edgeUid) {
+  var state = this._mutationState(graph);
+  var edge = graph.edgeById[edgeUid];
+  var edgeSet = graph.incidence[nodeUid];
+  if (!edge || !edgeSet || !edgeSet.has(edgeUid)) return false;
+
+  this._unlink(graph, state, nodeUid, edge);
+  this._refreshStats(graph, state);
+  this._emit({ type: 'membershipRemoved', graph: graph, uid: edgeUid, nodeUid: nodeUid, edgeUid: edgeUid });
+  return true;
+};
+
+/**
+ * Rebuild the hyperedges of the given changes from task_ci records, as
+ * build() would, without touching the rest of the graph. Nodes first seen
+ * in these records are added, existing ones get their attributes refreshed,
+ * and nodes left without memberships are removed, as build() would not
+ * produce them, unless they are inventory CIs. Works on original
+ * (non-transposed) graphs.
+ *
+ * @param {Object} graph - Original hypergraph from build()
+ * @param {Object[]} records - task_ci rows; only those of changeNumbers are read
+ * @param {string[]} changeNumbers - task.number values to rebuild
+ * @param {Object} [options] - As for build() (includeEntities)
+ * @param {Object[]} [options.inventory] - The build data's inventory; these CIs are kept when isolated
+ */
+HypergraphCore.prototype.updateChanges = function (graph, records, changeNumbers, options) {
+  var state = this._mutationState(graph);
+  var wanted = {};
+  var i;
+  for (i = 0; i < changeNumbers.length; i++) wanted[changeNumbers[i]] = true;
+
+  var subset = records.filter(function (r) { return wanted[r['task.number']]; });
+  var partial = this.build({ taskCiRecords: subset }, options);
+
+  var inventory = {};
+  var items = (options && options.inventory) || [];
+  for (i = 0; i < items.length; i++) inventory['ci:' + items[i].id] = true;
+
+  // Detach the old edges, remembering members that may end up isolated
+  var candidates = {};
+  for (i = 0; i < changeNumbers.length; i++) {
+    var old = this.removeEdge(graph, 'change:' + changeNumbers[i]);
+    if (!old) continue;
+    for (var m = 0; m < old.elements.length; m++) candidates[old.elements[m]] = true;
+  }
+  for (i = 0; i < partial.nodes.length; i++) {
+    var fresh = partial.nodes[i];
+    var existing = state.nodeById[fresh.uid];
+    if (existing) {
+      var changed = Object.keys(fresh).filter(function (key) { return existing[key] !== fresh[key]; });
+      if (!changed.length) continue;
+      changed.forEach(function (key) { existing[key] = fresh[key]; });
+      this._emit({ type: 'nodeUpdated', graph: graph, uid: fresh.uid, node: existing, fields: changed });
+    } else {
+      this.addNode(graph, fresh);
+    }
+  }
+  for (i = 0; i < partial.edges.length; i++) {
+    this.addEdge(graph, partial.edges[i]);
+  }
+
+  Object.keys(candidates).forEach(function (uid) {
+    if (graph.incidence[uid] && graph.incidence[uid].size === 0 && !inventory[uid]) this.removeNode(graph, uid);
+  }, this);
+};
+
+/**
+ * Per-graph bookkeeping for the mutation methods: a node lookup, array
+ * positions of nodes and edges (O(1) removal) and degree / edge-size
+ * histograms, so stats (including min/max) update without a full scan.
+ * Created on first use, stored non-enumerably on the graph.
+ * @private
+ */
+HypergraphCore.prototype._mutationState = function (graph) {
+  if (graph._mutation) return graph._mutation;
+
+  var state = { nodeById: {}, nodePos: {}, edgePos: {}, degreeCounts: {}, sizeCounts: {}, incidenceCount: 0 };
+  var i;
+  for (i = 0; i < graph.nodes.length; i++) {
+    var uid = graph.nodes[i].uid;
+    state.nodeById[uid] = graph.nodes[i];
+    state.nodePos[uid] = i;
+    if (!graph.incidence[uid]) graph.incidence[uid] = new Set();
+    var degree = graph.incidence[uid].size;
+    this._countDegree(state, degree, 1);
+    state.incidenceCount += degree;
+  }
+  this.edgeIndex(graph);
+  for (i = 0; i < graph.edges.length; i++) {
+    state.edgePos[graph.edges[i].uid] = i;
+    this._countSize(state, graph.edges[i].elements.length, 1);
+  }
+
+  Object.defineProperty(graph, '_mutation', { value: state, enumerable: false, configurable: true });
+  return state;
+};
+
+/**
+ * Add / drop one membership and update the bookkeeping, without refreshing
+ * stats or emitting; callers do both once per public operation.
+ * @private
+ */
+HypergraphCore.prototype._link = function (graph, state, nodeUid, edge) {
+  var edgeSet = graph.incidence[nodeUid];
+  this._countDegree(state, edgeSet.size, -1);
+  this._countSize(state, edge.elements.length, -1);
+  edgeSet.add(edge.uid);
+  edge.elements.push(nodeUid);
+  this._countDegree(state, edgeSet.size, 1);
+  this._countSize(state, edge.elements.length, 1);
+  state.incidenceCount++;
+};
+
+/** @private */
+HypergraphCore.prototype._unlink = function (graph, state, nodeUid, edge) {
+  var edgeSet = graph.incidence[nodeUid];
+  this._countDegree(state, edgeSet.size, -1);
+  this._countSize(state, edge.elements.length, -1);
+  edgeSet.delete(edge.uid);
+  edge.elements.splice(edge.elements.indexOf(nodeUid), 1);
+  this._countDegree(state, edgeSet.size, 1);
+  this._countSize(state, edge.elements.length, 1);
+  state.incidenceCount--;
+};
+
+/**
+ * Remove uid from list in O(1) by moving the last item into its slot.
+ * @private
+ */
+HypergraphCore.prototype._removeAt = function (list, positions, uid) {
+  var idx = positions[uid];
+  var last = list.pop();
+  if (idx < list.length) {
+    list[idx] = last;
+    positions[last.uid] = idx;
+  }
+  delete positions[uid];
+};
+
+/** @private */
+HypergraphCore.prototype._requireMember = function (graph, state, nodeUid, edgeUid) {
+  if (!state.nodeById[nodeUid]) throw new Error('Unknown node ' + nodeUid);
+  var edge = graph.edgeById[edgeUid];
+  if (!edge) throw new Error('Unknown edge ' + edgeUid);
+  return edge;
+};
+
+/** @private */
+HypergraphCore.prototype._countDegree = function (state, degree, delta) {
+  state.degreeCounts[degree] = (state.degreeCounts[degree] || 0) + delta;
+  if (!state.degreeCounts[degree]) delete state.degreeCounts[degree];
+};
+
+/** @private */
+HypergraphCore.prototype._countSize = function (state, size, delta) {
+  state.sizeCounts[size] = (state.sizeCounts[size] || 0) + delta;
+  if (!state.sizeCounts[size]) delete state.sizeCounts[size];
+};
+
+/**
+ * Rewrite graph.stats in place (same object, so holders see the update)
+ * from the bookkeeping, matching _computeStats. Positions may have moved,
+ * so any CSR arrays are dropped.
+ * @private
+ */
+HypergraphCore.prototype._refreshStats = function (graph, state) {
+  graph.csr = null;
+  var totalNodes = graph.nodes.length;
+  var totalEdges = graph.edges.length;
+  var degrees = Object.keys(state.degreeCounts).map(Number);
+  var sizes = Object.keys(state.sizeCounts).map(Number);
+  var maxPossible = totalNodes * totalEdges;
+
+  var stats = graph.stats || (graph.stats = {});
+  stats.totalNodes = totalNodes;
+  stats.totalEdges = totalEdges;
+  stats.density = Math.round((maxPossible > 0 ? state.incidenceCount / maxPossible : 0) * 10000) / 10000;
+  stats.avgDegree = Math.round((totalNodes > 0 ? state.incidenceCount / totalNodes : 0) * 100) / 100;
+  stats.maxDegree = degrees.length ? Math.max.apply(null, degrees) : 0;
+  stats.minDegree = degrees.length ? Math.min.apply(null, degrees) : 0;
+  stats.avgEdgeSize = Math.round((totalEdges > 0 ? state.incidenceCount / totalEdges : 0) * 100) / 100;
+  stats.maxEdgeSize = sizes.length ? Math.max.apply(null, sizes) : 0;
+  stats.minEdgeSize = sizes.length ? Math.min.apply(null, sizes) : 0;
+};
+
+/**
+ * Snapshot format tag written by toJSON and checked by fromJSON.
+ */
+HypergraphCore.JSON_FORMAT = 'bsm-hypergraph';
+HypergraphCore.JSON_VERSION = 1;
+
+// Fields the force simulation adds to node objects; not part of a snapshot.
+HypergraphCore._SIM_FIELDS = ['x', 'y', 'vx', 'vy', 'fx', 'fy', 'index'];
+
+/**
+ * Serialise a hypergraph (and optionally the raw data it was built from)
+ * to a plain JSON-safe object. Incidence Sets become arrays.
+ *
+ * @param {Object} graph - Hypergraph descriptor from build() or transpose()
+ * @param {Object} [rawData] - { taskCiRecords, incidents, relationships, inventory }
+ * @returns {Object} Snapshot { format, version, nodes, edges, incidence, stats, isTransposed,
+ *   taskCiRecords, incidents, relationships, inventory }
+ */
+HypergraphCore.prototype.toJSON = function (graph, rawData) {
+  var i;
+  var nodes = [];
+  for (i = 0; i < graph.nodes.length; i++) {
+    nodes.push(this._plainCopy(graph.nodes[i]));
+  }
+
+  var edges = [];
+  for (i = 0; i < graph.edges.length; i++) {
+    var edge = this._plainCopy(graph.edges[i]);
+    edge.elements = graph.edges[i].elements.slice();
+    edges.push(edge);
+  }
+
+  var incidence = {};
+  var uids = Object.keys(graph.incidence);
+  for (i = 0; i < uids.length; i++) {
+    incidence[uids[i]] = Array.from(graph.incidence[uids[i]]);
+  }
+
+  return {
+    format: HypergraphCore.JSON_FORMAT,
+    version: HypergraphCore.JSON_VERSION,
+    nodes: nodes,
+    edges: edges,
+    incidence: incidence,
+    stats: graph.stats,
+    isTransposed: !!graph.isTransposed,
+    taskCiRecords: rawData && rawData.taskCiRecords ? rawData.taskCiRecords : [],
+    incidents: rawData && rawData.incidents ? rawData.incidents : {},
+    relationships: rawData && rawData.relationships ? rawData.relationships : [],
+    inventory: rawData && rawData.inventory ? rawData.inventory : []
+  };
+};
+
+/**
+ * Restore a hypergraph from a toJSON snapshot. Incidence arrays become Sets;
+ * when incidence is missing it is derived from edge elements, and stats are
+ * recomputed when absent.
+ *
+ * @param {Object} obj - Parsed snapshot
+ * @returns {Object} { graph, rawData }
+ */
+HypergraphCore.prototype.fromJSON = function (obj) {
+  if (!obj || !Array.isArray(obj.nodes) || !Array.isArray(obj.edges)) {
+    throw new Error('Invalid hypergraph snapshot: nodes and edges arrays are required');
+  }
+  if (obj.format && obj.format !== HypergraphCore.JSON_FORMAT) {
+    throw new Error('Unsupported snapshot format: ' + obj.format);
+  }
+  if (obj.version > HypergraphCore.JSON_VERSION) {
+    throw new Error('Snapshot version ' + obj.version + ' is newer than supported (' + HypergraphCore.JSON_VERSION + ')');
+  }
+
+  var i, j;
+  var nodes = [];
+  var incidence = {};
+  for (i = 0; i < obj.nodes.length; i++) {
+    nodes.push(this._plainCopy(obj.nodes[i]));
+    incidence[obj.nodes[i].uid] = new Set();
+  }
+
+  var edges = [];
+  for (i = 0; i < obj.edges.length; i++) {
+    var edge = this._plainCopy(obj.edges[i]);
+    edge.elements = (obj.edges[i].elements || []).slice();
+    edges.push(edge);
+  }
+
+  if (obj.incidence) {
+    var uids = Object.keys(obj.incidence);
+    for (i = 0; i < uids.length; i++) {
+      incidence[uids[i]] = new Set(obj.incidence[uids[i]]);
+    }
+  } else {
+    for (i = 0; i < edges.length; i++) {
+      for (j = 0; j < edges[i].elements.length; j++) {
+        if (!incidence[edges[i].elements[j]]) incidence[edges[i].elements[j]] = new Set();
+        incidence[edges[i].elements[j]].add(edges[i].uid);
+      }
+    }
+  }
+
+  var graph = {
+    nodes: nodes,
+    edges: edges,
+    edgeById: this._indexEdges(edges),
+    incidence: incidence,
+    stats: obj.stats || this._computeStats(nodes, edges, incidence),
+    isTransposed: !!obj.isTransposed
+  };
+
+  var rawData = null;
+  if (obj.taskCiRecords) {
+    rawData = {
+      taskCiRecords: obj.taskCiRecords,
+      incidents: obj.incidents || {},
+      relationships: obj.relationships || [],
+      inventory: obj.inventory || []
+    };
+  }
+
+  return { graph: graph, rawData: rawData };
+};
+
+/**
+ * Normalize a loosely-shaped graph payload (e.g. backend/server.py's
+ * /api/sample-graph: uids like "ci-001" / "edge-1", incidence as arrays)
+ * into a HypergraphCore graph.
+ *
+ * Node uids gain a "<type>:" prefix and edge uids a "change:" prefix unless
+ * already prefixed, matching build(). Incidence is rebuilt as Sets from edge
+ * elements and stats are recomputed; payload incidence and stats are ignored.
+ *
+ * @param {Object} payload - { nodes, edges, isTransposed? }
+ * @returns {Object} Hypergraph descriptor { nodes, edges, edgeById, incidence, stats, isTransposed }
+ * @throws {Error} When nodes/edges are missing, uids repeat, or an edge
+ *   references an unknown node
+ */
+HypergraphCore.prototype.normalize = function (payload) {
+  if (!payload || !Array.isArray(payload.nodes) || !Array.isArray(payload.edges)) {
+    throw new Error('Invalid graph payload: nodes and edges arrays are required');
+  }
+
+  var i, j;
+  var nodes = [];
+  var incidence = {};
+  var uidMap = {};
+
+  for (i = 0; i < payload.nodes.length; i++) {
+    var src = payload.nodes[i];
+    if (!src || !src.uid) throw new Error('Invalid graph payload: node ' + i + ' has no uid');
+    if (uidMap[src.uid]) throw new Error('Invalid graph payload: duplicate node uid ' + src.uid);
+
+    var node = this._plainCopy(src);
+    node.type = node.type || 'ci';
+    node.name = node.name || src.uid;
+    node.uid = this._prefixUid(src.uid, node.type);
+    uidMap[src.uid] = node.uid;
+    nodes.push(node);
+    incidence[node.uid] = new Set();
+  }
+
+  var edges = [];
+  var edgeUids = {};
+  for (i = 0; i < payload.edges.length; i++) {
+    var srcEdge = payload.edges[i];
+    if (!srcEdge || !srcEdge.uid) throw new Error('Invalid graph payload: edge ' + i + ' has no uid');
+    if (!Array.isArray(srcEdge.elements)) {
+      throw new Error('Invalid graph payload: edge ' + srcEdge.uid + ' has no elements array');
+    }
+
+    var edge = this._plainCopy(srcEdge);
+    edge.uid = this._prefixUid(srcEdge.uid, 'change');
+    if (edgeUids[edge.uid]) throw new Error('Invalid graph payload: duplicate edge uid ' + srcEdge.uid);
+    edgeUids[edge.uid] = true;
+    edge.number = edge.number || edge.name || srcEdge.uid;
+
+    var elements = [];
+    for (j = 0; j < srcEdge.elements.length; j++) {
+      var memberUid = uidMap[srcEdge.elements[j]];
+      if (!memberUid) {
+        throw new Error('Invalid graph payload: edge ' + srcEdge.uid + ' references unknown node ' + srcEdge.elements[j]);
+      }
+      if (elements.indexOf(memberUid) !== -1) continue;
+      elements.push(memberUid);
+      incidence[memberUid].add(edge.uid);
+    }
+    edge.elements = elements;
+    edges.push(edge);
+  }
+
+  return {
+    nodes: nodes,
+    edges: edges,
+    edgeById: this._indexEdges(edges),
+    incidence: incidence,
+    stats: this._computeStats(nodes, edges, incidence),
+    isTransposed: !!payload.isTransposed
+  };
+};
+
+/**
+ * Prefix a uid with "<type>:" unless it already carries a prefix.
+ * @private
+ */
+HypergraphCore.prototype._prefixUid = function (uid, type) {
+  uid = String(uid);
+  return uid.indexOf(':') !== -1 ? uid : type + ':' + uid;
+};
+
+/**
+ * Shallow-copy a node or edge, dropping simulation state and private
+ * (underscore-prefixed) properties.
+ * @private
+ */
+HypergraphCore.prototype._plainCopy = function (obj) {
+  var copy = {};
+  var keys = Object.keys(obj);
+  for (var i = 0; i < keys.length; i++) {
+    var key = keys[i];
+    if (key.charAt(0) === '_' || HypergraphCore._SIM_FIELDS.indexOf(key) !== -1) continue;
+    copy[key] = obj[key];
+  }
+  return copy;
+};
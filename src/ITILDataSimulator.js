@@ -6,12 +6,18 @@
  *   - Configuration items across multiple CMDB classes
  *   - Support groups and business services with natural clustering
  *   - Incidents with cascading failure modeling and CI clustering
+ *   - Declared CMDB relationships (cmdb_rel_ci), mostly but not always
+ *     matching the CIs that change together
+ *   - A cmdb_ci inventory including CIs no change touches
+ *   - Change lifecycle: planned / actual window, state and close code
  *
  * Usage:
  *   var sim = new ITILDataSimulator({ changeCount: 50, incidentCount: 30 });
  *   var data = sim.generate();
  *   // data.taskCiRecords — flat task_ci rows with dot-walked fields
  *   // data.incidents     — map of INC number -> incident record
+ *   // data.relationships — cmdb_rel_ci rows { sysId, parent, child, type }
+ *   // data.inventory     — every CI, with operationalStatus and earlier history
  */
 
 function ITILDataSimulator(options) {
@@ -148,6 +154,13 @@ ITILDataSimulator.RISK_LEVELS = ['Low', 'Medium', 'High', 'Critical'];
 ITILDataSimulator.IMPACT_LEVELS = ['1 - High', '2 - Medium', '3 - Low'];
 ITILDataSimulator.CHANGE_MODELS = ['Standard', 'Normal', 'Emergency'];
 
+/**
+ * Chance that a closed change is Unsuccessful, by risk; Emergency changes
+ * fail EMERGENCY_FAILURE_FACTOR times as often.
+ */
+ITILDataSimulator.FAILURE_RATE = { Low: 0.04, Medium: 0.08, High: 0.15, Critical: 0.25 };
+ITILDataSimulator.EMERGENCY_FAILURE_FACTOR = 1.6;
+
 /**
  * Maps CI class names to change categories.
  * When a change touches multiple CI classes, the first matching category wins.
@@ -160,6 +173,18 @@ ITILDataSimulator.CLASS_TO_CATEGORY = {
   application: 'Software'
 };
 
+/**
+ * cmdb_rel_ci types declared by the simulator, as parent class -> child
+ * classes. Types use ServiceNow's "parent descriptor::child descriptor" names.
+ */
+ITILDataSimulator.RELATIONSHIP_RULES = [
+  { parent: 'application', child: ['linux_server', 'windows_server'], type: 'Runs on::Runs', share: 1 },
+  { parent: 'linux_server', child: ['network_gear'], type: 'Connected by::Connects', share: 0.6 },
+  { parent: 'windows_server', child: ['network_gear'], type: 'Connected by::Connects', share: 0.6 },
+  { parent: 'linux_server', child: ['storage'], type: 'Depends on::Used by', share: 0.4 },
+  { parent: 'windows_server', child: ['storage'], type: 'Depends on::Used by', share: 0.4 }
+];
+
 /**
  * Category priority order for selecting a single category when multiple CI
  * classes are present in a change. Lower index = higher priority.
@@ -174,11 +199,22 @@ ITILDataSimulator.prototype.generate = function () {
   var cis = this._generateCIs();
   var changes = this._generateChanges(groups, services, cis);
   var incidents = this._generateIncidents(groups, services, cis, changes);
+  // These share the random stream with the generators above: keep them in
+  // this order and add new ones at the end, so a seed still produces the
+  // data it did before they were added.
+  var relationships = this._generateRelationships(cis, changes);
+  var inventory = this._generateInventory(cis, changes);
+  this._generateLifecycle(changes);
 
   // Flatten changes into task_ci records (single-query model)
   var taskCiRecords = this._flattenToTaskCi(changes);
 
-  return { taskCiRecords: taskCiRecords, incidents: incidents };
+  return {
+    taskCiRecords: taskCiRecords,
+    incidents: incidents,
+    relationships: relationships,
+    inventory: inventory
+  };
 };
 
 /**
@@ -208,7 +244,17 @@ ITILDataSimulator.prototype._flattenToTaskCi = function (changes) {
         'task.u_impact_region':   chg.region,
         'task.assignment_group':  chg.assignmentGroup.name,
         'task.business_service':  chg.businessService.name,
+        'task.assignment_group.sys_id': chg.assignmentGroup.id,
+        'task.business_service.sys_id': chg.businessService.id,
         'task.sys_created_on':    chg.createdAt,
+        'task.start_date':        chg.plannedStart,
+        'task.end_date':          chg.plannedEnd,
+        'task.work_start':        chg.workStart || '',
+        'task.work_end':          chg.workEnd || '',
+        'task.state':             chg.state,
+        'task.close_code':        chg.closeCode || '',
+        'task.on_hold':           chg.onHold ? 'true' : 'false',
+        'task.cab_required':      chg.cabRequired ? 'true' : 'false',
         'ci_item.sys_id':         ci.id,
         'ci_item.name':           ci.name,
         'ci_item.sys_class_name': ci.className,
@@ -576,3 +622,177 @@ ITILDataSimulator.prototype._generateIncidents = function (groups, services, cis
 
   return incidents;
 };
+
+/**
+ * Generate declared CMDB relationships per RELATIONSHIP_RULES.
+ *
+ * A share of each parent class gets one relationship. The child is usually
+ * the CI of the right class the parent changes with most, so declared and
+ * observed coupling mostly agree, but one in four picks an unrelated CI
+ * (declared, never co-changed) and the rule shares leave some co-changing
+ * pairs undeclared.
+ *
+ * @returns {Array<{sysId: string, parent: Object, child: Object, type: string}>}
+ *   parent / child are { id, name }
+ */
+ITILDataSimulator.prototype._generateRelationships = function (cis, changes) {
+  var coChanges = {}; // ci id -> { ci id: shared change count }
+  var changeKeys = Object.keys(changes);
+  var i, j, k;
+
+  for (i = 0; i < changeKeys.length; i++) {
+    var chgCis = changes[changeKeys[i]].cis;
+    for (j = 0; j < chgCis.length; j++) {
+      if (!coChanges[chgCis[j].id]) coChanges[chgCis[j].id] = {};
+      for (k = 0; k < chgCis.length; k++) {
+        if (j === k) continue;
+        coChanges[chgCis[j].id][chgCis[k].id] = (coChanges[chgCis[j].id][chgCis[k].id] || 0) + 1;
+      }
+    }
+  }
+
+  var relationships = [];
+  var rules = ITILDataSimulator.RELATIONSHIP_RULES;
+  for (i = 0; i < rules.length; i++) {
+    var rule = rules[i];
+    var children = cis.filter(function (ci) { return rule.child.indexOf(ci.className) !== -1; });
+    if (children.length === 0) continue;
+
+    for (j = 0; j < cis.length; j++) {
+      var parent = cis[j];
+      if (parent.className !== rule.parent || this._rng() >= rule.share) continue;
+
+      var child = null;
+      if (this._rng() >= 0.25) {
+        var partners = coChanges[parent.id] || {};
+        var best = 0;
+        for (k = 0; k < children.length; k++) {
+          if ((partners[children[k].id] || 0) > best) {
+            best = partners[children[k].id];
+            child = children[k];
+          }
+        }
+      }
+      if (!child) child = this._pick(children);
+
+      relationships.push({
+        sysId: this._uuid(),
+        parent: { id: parent.id, name: parent.name },
+        child: { id: child.id, name: child.name },
+        type: rule.type
+      });
+    }
+  }
+
+  return relationships;
+};
+
+/**
+ * Generate the cmdb_ci inventory: every simulated CI with its operational
+ * status ('1' operational, '6' retired).
+ *
+ * CIs that no change in the window touches get an earlier history: about a
+ * third were never changed at all (and some of those are retired), the rest
+ * last changed up to a year before the window. lifetimeChanges and
+ * lastChangedAt stay null for CIs changed in the window, as they would from
+ * the app's Table API load.
+ *
+ * @returns {Array<Object>} { id, name, className, role, ipAddress, model, os,
+ *   sysUpdatedOn, operationalStatus, lifetimeChanges, lastChangedAt }
+ */
+ITILDataSimulator.prototype._generateInventory = function (cis, changes) {
+  var changed = {};
+  var changeKeys = Object.keys(changes);
+  var i, j;
+  for (i = 0; i < changeKeys.length; i++) {
+    var chgCis = changes[changeKeys[i]].cis;
+    for (j = 0; j < chgCis.length; j++) changed[chgCis[j].id] = true;
+  }
+
+  var dayMs = 24 * 60 * 60 * 1000;
+  var inventory = [];
+  for (i = 0; i < cis.length; i++) {
+    var ci = cis[i];
+    var item = {
+      id: ci.id,
+      name: ci.name,
+      className: ci.className,
+      role: ci.role,
+      ipAddress: ci.ipAddress,
+      model: ci.model,
+      os: ci.os,
+      sysUpdatedOn: ci.sysUpdatedOn,
+      operationalStatus: '1',
+      lifetimeChanges: null,
+      lastChangedAt: null
+    };
+
+    if (!changed[ci.id]) {
+      if (this._rng() < 0.35) {
+        item.lifetimeChanges = 0;
+        if (this._rng() < 0.3) item.operationalStatus = '6';
+      } else {
+        item.lifetimeChanges = 1 + Math.floor(this._rng() * 8);
+        var daysBefore = 1 + Math.floor(this._rng() * 365);
+        item.lastChangedAt = new Date(this.baseDate.getTime() - daysBefore * dayMs).toISOString();
+      }
+    }
+    inventory.push(item);
+  }
+
+  return inventory;
+};
+
+/**
+ * Add the lifecycle fields to each change, in place: the planned window
+ * (2-8 hours between creation and closure), state, and for closed changes
+ * the actual window and close code. Changes not closed by the end of the
+ * window are in Implement or Scheduled. Failure is likelier with risk and
+ * for Emergency changes, and failed changes tend to overrun their window.
+ *
+ * @param {Object} changes - Internal change map keyed by CHG number
+ */
+ITILDataSimulator.prototype._generateLifecycle = function (changes) {
+  var hourMs = 60 * 60 * 1000;
+  var windowEnd = this.endDate.getTime();
+  var changeKeys = Object.keys(changes);
+
+  for (var i = 0; i < changeKeys.length; i++) {
+    var chg = changes[changeKeys[i]];
+    var createdMs = new Date(chg.createdAt).getTime();
+    var closedMs = new Date(chg.closedAt).getTime();
+
+    var plannedHours = 2 + Math.floor(this._rng() * 7);
+    var plannedStart = createdMs + Math.floor(this._rng() * (closedMs - createdMs - plannedHours * hourMs));
+    var plannedEnd = plannedStart + plannedHours * hourMs;
+    chg.plannedStart = new Date(plannedStart).toISOString();
+    chg.plannedEnd = new Date(plannedEnd).toISOString();
+    chg.onHold = this._rng() < 0.05;
+    chg.cabRequired = chg.model === 'Emergency' ||
+      (chg.model === 'Normal' && (chg.risk === 'High' || chg.risk === 'Critical'));
+    chg.workStart = null;
+    chg.workEnd = null;
+    chg.closeCode = null;
+
+    if (closedMs > windowEnd) {
+      chg.state = plannedStart <= windowEnd ? 'Implement' : 'Scheduled';
+      continue;
+    }
+
+    chg.state = 'Closed';
+    var failureRate = ITILDataSimulator.FAILURE_RATE[chg.risk] *
+      (chg.model === 'Emergency' ? ITILDataSimulator.EMERGENCY_FAILURE_FACTOR : 1);
+    var outcome = this._rng();
+    if (outcome < failureRate) chg.closeCode = 'Unsuccessful';
+    else if (outcome < failureRate + 0.1) chg.closeCode = 'Successful with issues';
+    else chg.closeCode = 'Successful';
+
+    // Start up to 30 minutes early or 15 late; 60-120% of the planned
+    // duration, failed changes half again as long
+    var workStart = plannedStart + Math.floor((this._rng() * 0.75 - 0.5) * hourMs);
+    var duration = plannedHours * hourMs * (0.6 + this._rng() * 0.6) *
+      (chg.closeCode === 'Unsuccessful' ? 1.5 : 1);
+    chg.workStart = new Date(workStart).toISOString();
+    chg.workEnd = new Date(workStart + Math.floor(duration)).toISOString();
+  }
+};
@@ -0,0 +1,299 @@
+/**
+ * ServiceNow Authentication Providers
+ *
+ * Pluggable auth for SNTableAPI so the same client works inside an instance
+ * UI page, from the standalone dist/ build and from a Node CLI.
+ *
+ * Every provider implements:
+ *   apply(init)    -> Promise<init>   Add headers / credentials mode to a fetch init
+ *   refresh()      -> Promise<boolean> Called once after a 401; true = retry the request
+ *   describe()     -> string           Log-safe summary (never contains secrets)
+ *
+ * Secrets are held in a closure rather than on the instance, so logging or
+ * JSON.stringify-ing a provider (or an SNTableAPI holding one) never prints
+ * them.
+ *
+ * Usage:
+ *
+ *   // Inside the ServiceNow UI (default): session cookie + g_ck CSRF token
+ *   new SNTableAPI({ auth: new SNAuth.Session() });
+ *
+ *   // Standalone page / Node CLI
+ *   new SNTableAPI({
+ *     instanceUrl: 'https://dev12345.service-now.com',
+ *     auth: new SNAuth.Basic({ username: 'admin', password: '...' })
+ *   });
+ *   new SNTableAPI({ instanceUrl: url, auth: new SNAuth.Bearer({ token: '...' }) });
+ *
+ *   // OAuth2 password grant, refreshed automatically on 401 / expiry
+ *   var auth = new SNAuth.OAuth2({
+ *     instanceUrl: 'https://dev12345.service-now.com',
+ *     clientId: '...', clientSecret: '...',
+ *     username: 'integration.user', password: '...',
+ *     onTokens: function (tokens) { saveRefreshToken(tokens.refreshToken); }
+ *   });
+ */
+
+var SNAuth = {};
+
+/**
+ * Keep secret values out of enumerable instance state.
+ * Returns an accessor: get(name) / set(name, value).
+ * @private
+ */
+SNAuth._vault = function (initial) {
+  var secrets = {};
+  Object.keys(initial || {}).forEach(function (key) {
+    secrets[key] = initial[key];
+  });
+  return function (name, value) {
+    if (arguments.length > 1) secrets[name] = value;
+    return secrets[name];
+  };
+};
+
+/** Base64 for Basic auth in browsers and Node. @private */
+SNAuth._base64 = function (text) {
+  if (typeof btoa === 'function') {
+    // btoa only takes Latin-1; encode UTF-8 first
+    return btoa(unescape(encodeURIComponent(text)));
+  }
+  return Buffer.from(text, 'utf8').toString('base64');
+};
+
+// ---------- Session ----------
+
+/**
+ * Instance session: sends the session cookie and, when running in a
+ * ServiceNow UI page, the g_ck CSRF token. This is SNTableAPI's default.
+ */
+SNAuth.Session = function () {
+  this.type = 'session';
+};
+
+SNAuth.Session.prototype.apply = function (init) {
+  init.credentials = 'same-origin';
+  if (typeof g_ck !== 'undefined') {
+    init.headers['X-UserToken'] = g_ck;
+  }
+  return Promise.resolve(init);
+};
+
+SNAuth.Session.prototype.refresh = function () {
+  return Promise.resolve(false);
+};
+
+SNAuth.Session.prototype.describe = function () {
+  return 'session';
+};
+
+// ---------- Basic ----------
+
+/**
+ * HTTP Basic auth.
+ *
+ * @param {Object} options
+ * @param {string} options.username
+ * @param {string} options.password
+ */
+SNAuth.Basic = function (options) {
+  options = options || {};
+  if (!options.username) throw new Error('SNAuth.Basic requires a username');
+  this.type = 'basic';
+  this.username = options.username;
+  this._secret = SNAuth._vault({ password: options.password || '' });
+};
+
+SNAuth.Basic.prototype.apply = function (init) {
+  init.credentials = 'omit';
+  init.headers.Authorization = 'Basic ' + SNAuth._base64(this.username + ':' + this._secret('password'));
+  return Promise.resolve(init);
+};
+
+SNAuth.Basic.prototype.refresh = function () {
+  return Promise.resolve(false);
+};
+
+SNAuth.Basic.prototype.describe = function () {
+  return 'basic (' + this.username + ')';
+};
+
+// ---------- Bearer ----------
+
+/**
+ * Static bearer token, or a function returning one (or a Promise of one)
+ * for tokens managed elsewhere. With a function, a 401 re-asks it once.
+ *
+ * @param {Object} options
+ * @param {string|Function} options.token
+ */
+SNAuth.Bearer = function (options) {
+  options = options || {};
+  if (!options.token) throw new Error('SNAuth.Bearer requires a token');
+  this.type = 'bearer';
+  this._secret = SNAuth._vault({ token: options.token });
+};
+
+SNAuth.Bearer.prototype.apply = function (init) {
+  var token = this._secret('token');
+  return Promise.resolve(typeof token === 'function' ? token() : token).then(function (value) {
+    init.credentials = 'omit';
+    init.headers.Authorization = 'Bearer ' + value;
+    return init;
+  });
+};
+
+SNAuth.Bearer.prototype.refresh = function () {
+  return Promise.resolve(typeof this._secret('token') === 'function');
+};
+
+SNAuth.Bearer.prototype.describe = function () {
+  return 'bearer';
+};
+
+// ---------- OAuth2 ----------
+
+/**
+ * OAuth2 against the instance's /oauth_token.do. Uses the refresh-token
+ * grant when a refresh token is known, otherwise the password grant.
+ * Tokens are fetched lazily, renewed shortly before expiry and on a 401;
+ * concurrent requests share a single token request.
+ *
+ * @param {Object} options
+ * @param {string} [options.instanceUrl]  - e.g. 'https://dev12345.service-now.com'
+ * @param {string} [options.tokenUrl]     - Defaults to <instanceUrl>/oauth_token.do
+ * @param {string} options.clientId
+ * @param {string} [options.clientSecret]
+ * @param {string} [options.username]     - Password grant
+ * @param {string} [options.password]
+ * @param {string} [options.refreshToken] - e.g. persisted from a previous run
+ * @param {string} [options.accessToken]
+ * @param {Function} [options.onTokens]   - Called with { accessToken, refreshToken, expiresAt }
+ *   after each successful grant, to persist them
+ */
+SNAuth.OAuth2 = function (options) {
+  options = options || {};
+  if (!options.clientId) throw new Error('SNAuth.OAuth2 requires a clientId');
+  if (!options.refreshToken && !(options.username && options.password) && !options.accessToken) {
+    throw new Error('SNAuth.OAuth2 requires a refreshToken, an accessToken or username/password');
+  }
+  this.type = 'oauth2';
+  this.tokenUrl = options.tokenUrl || (options.instanceUrl || '').replace(/\/+$/, '') + '/oauth_token.do';
+  this.clientId = options.clientId;
+  this.username = options.username || null;
+  this.expiresAt = options.accessToken ? Infinity : 0;
+  this._onTokens = options.onTokens || null;
+  this._pending = null;
+  this._secret = SNAuth._vault({
+    clientSecret: options.clientSecret || '',
+    password: options.password || '',
+    refreshToken: options.refreshToken || '',
+    accessToken: options.accessToken || ''
+  });
+};
+
+/** Renew this many ms before the reported expiry. */
+SNAuth.OAuth2.EXPIRY_MARGIN = 60000;
+
+SNAuth.OAuth2.prototype.apply = function (init) {
+  var self = this;
+  var valid = this._secret('accessToken') && Date.now() < this.expiresAt - SNAuth.OAuth2.EXPIRY_MARGIN;
+  return (valid ? Promise.resolve() : this._renew()).then(function () {
+    init.credentials = 'omit';
+    init.headers.Authorization = 'Bearer ' + self._secret('accessToken');
+    return init;
+  });
+};
+
+SNAuth.OAuth2.prototype.refresh = function () {
+  this._secret('accessToken', '');
+  return this._renew().then(function () { return true; });
+};
+
+SNAuth.OAuth2.prototype.describe = function () {
+  return 'oauth2 (' + (this.username || this.clientId) + ')';
+};
+
+/**
+ * Obtain a new access token, sharing one in-flight grant between callers.
+ * A rejected refresh-token grant falls back to the password grant when a
+ * password is available.
+ * @private
+ */
+SNAuth.OAuth2.prototype._renew = function () {
+  var self = this;
+  if (this._pending) return this._pending;
+
+  var grant;
+  if (this._secret('refreshToken')) {
+    grant = this._grant({ grant_type: 'refresh_token', refresh_token: this._secret('refreshToken') })
+      .catch(function (err) {
+        if (!self.username || !self._secret('password')) throw err;
+        self._secret('refreshToken', '');
+        return self._passwordGrant();
+      });
+  } else if (this.username && this._secret('password')) {
+    grant = this._passwordGrant();
+  } else {
+    grant = Promise.reject(new Error('OAuth2 access token expired and no refresh token or password is available'));
+  }
+
+  this._pending = grant.then(function (result) {
+    self._pending = null;
+    return result;
+  }, function (err) {
+    self._pending = null;
+    throw err;
+  });
+  return this._pending;
+};
+
+/** @private */
+SNAuth.OAuth2.prototype._passwordGrant = function () {
+  return this._grant({ grant_type: 'password', username: this.username, password: this._secret('password') });
+};
+
+/**
+ * POST a grant to the token endpoint and store the returned tokens.
+ * Error messages carry the HTTP status and OAuth error code only.
+ * @private
+ */
+SNAuth.OAuth2.prototype._grant = function (params) {
+  var self = this;
+  params.client_id = this.clientId;
+  if (this._secret('clientSecret')) params.client_secret = this._secret('clientSecret');
+
+  var body = Object.keys(params).map(function (key) {
+    return encodeURIComponent(key) + '=' + encodeURIComponent(params[key]);
+  }).join('&');
+
+  return fetch(this.tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    credentials: 'omit',
+    body: body
+  }).then(function (response) {
+    return response.json().catch(function () { return {}; }).then(function (json) {
+      if (!response.ok || !json.access_token) {
+        var err = new Error('OAuth2 ' + params.grant_type + ' grant failed: HTTP ' + response.status +
+          (json.error ? ' (' + json.error + ')' : ''));
+        err.status = response.status;
+        throw err;
+      }
+      self._secret('accessToken', json.access_token);
+      if (json.refresh_token) self._secret('refreshToken', json.refresh_token);
+      self.expiresAt = json.expires_in ? Date.now() + json.expires_in * 1000 : Infinity;
+      if (self._onTokens) {
+        self._onTokens({
+          accessToken: json.access_token,
+          refreshToken: self._secret('refreshToken'),
+          expiresAt: self.expiresAt
+        });
+      }
+    });
+  });
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SNAuth;
+}
@@ -0,0 +1,447 @@
+/**
+ * ServiceNow Encoded Query Builder
+ *
+ * Builds and parses sysparm_query strings so callers never concatenate
+ * "field>=value^..." by hand. Literal carets in values are escaped as "^^".
+ *
+ * Usage:
+ *
+ *   var q = new SNQuery()
+ *     .where('task.sys_class_name', 'change_request')
+ *     .and('task.sys_created_on', '>=', '2025-01-15')
+ *     .and('priority', 'IN', ['1', '2'])
+ *     .or('priority', 'ISEMPTY')
+ *     .orderBy('number', true);
+ *   q.toString();
+ *   // task.sys_class_name=change_request^task.sys_created_on>=2025-01-15
+ *   //   ^priorityIN1,2^ORpriorityISEMPTY^ORDERBYDESCnumber
+ *
+ *   // Relative dates
+ *   new SNQuery().where('opened_at', '>=', SNQuery.daysAgoStart(30));
+ *   new SNQuery().where('opened_at', 'RELATIVEGT', SNQuery.relative(7, 'day', 'ago'));
+ *
+ *   // Round-trip a pasted query
+ *   var parsed = SNQuery.parse('active=true^ORDERBYnumber');
+ *   parsed.find('active', '=');   // 'true'
+ */
+
+function SNQuery() {
+  // Each ^NQ segment is a list of { join: 'AND'|'OR', field, operator, value }
+  this._segments = [[]];
+  this._orderBy = [];
+}
+
+/**
+ * Encoded operators, longest first so parse() matches "NOT LIKE" before "LIKE"
+ * and ">=" before ">".
+ */
+SNQuery.OPERATORS = [
+  'VALCHANGES', 'CHANGESFROM', 'CHANGESTO',
+  'ISNOTEMPTY', 'ISEMPTY', 'EMPTYSTRING', 'ANYTHING',
+  'RELATIVEGE', 'RELATIVELE', 'RELATIVEGT', 'RELATIVELT', 'RELATIVEEE',
+  'NOT LIKE', 'NOT IN', 'STARTSWITH', 'ENDSWITH', 'BETWEEN',
+  'NSAMEAS', 'SAMEAS', 'DATEPART',
+  'LIKE', 'IN',
+  '!=', '>=', '<=', '=', '>', '<'
+];
+
+/** Operators that take no value. */
+SNQuery.UNARY_OPERATORS = ['ISEMPTY', 'ISNOTEMPTY', 'EMPTYSTRING', 'ANYTHING', 'VALCHANGES'];
+
+/** Builder-friendly names mapped to their encoded form. */
+SNQuery.OPERATOR_ALIASES = {
+  'CONTAINS': 'LIKE',
+  'DOES NOT CONTAIN': 'NOT LIKE',
+  'NOTLIKE': 'NOT LIKE',
+  'NOTIN': 'NOT IN',
+  '==': '=',
+  '<>': '!='
+};
+
+// ---------- Building ----------
+
+/**
+ * Add an AND condition. where(field, value) is shorthand for "=";
+ * unary operators (ISEMPTY, ISNOTEMPTY, ...) take no value.
+ *
+ * @param {string} field    - Field name, dot-walking allowed
+ * @param {string} operator - One of SNQuery.OPERATORS or an alias (e.g. CONTAINS)
+ * @param {*} [value]       - String, number, array (IN / BETWEEN) or relative spec
+ * @returns {SNQuery} this
+ */
+SNQuery.prototype.where = function (field, operator, value) {
+  this._current().push(this._condition('AND', arguments));
+  return this;
+};
+
+/** Alias of where(), for readability in chains. */
+SNQuery.prototype.and = function () {
+  return this.where.apply(this, arguments);
+};
+
+/**
+ * Add a condition OR-ed with the preceding one ("^OR").
+ *
+ * @returns {SNQuery} this
+ * @throws {Error} When there is no preceding condition in this segment
+ */
+SNQuery.prototype.or = function (field, operator, value) {
+  var current = this._current();
+  if (current.length === 0) {
+    throw new Error('SNQuery.or() needs a preceding condition');
+  }
+  current.push(this._condition('OR', arguments));
+  return this;
+};
+
+/**
+ * Append an ORDERBY (or ORDERBYDESC) clause. A leading "-" on the field
+ * also means descending, matching SNTableAPI's orderBy option.
+ *
+ * @param {string} field
+ * @param {boolean} [descending=false]
+ * @returns {SNQuery} this
+ */
+SNQuery.prototype.orderBy = function (field, descending) {
+  if (field.charAt(0) === '-') {
+    field = field.substring(1);
+    descending = true;
+  }
+  this._orderBy.push({ field: field, descending: !!descending });
+  return this;
+};
+
+/**
+ * Start a new "^NQ" segment; records matching either segment are returned.
+ *
+ * @returns {SNQuery} this
+ */
+SNQuery.prototype.newQuery = function () {
+  if (this._current().length > 0) this._segments.push([]);
+  return this;
+};
+
+/**
+ * AND the conditions of an encoded query (string or SNQuery) onto this one.
+ * Its first condition joins with AND, later ones keep their own joins.
+ *
+ * @param {string|SNQuery} encoded
+ * @returns {SNQuery} this
+ * @throws {Error} When the encoded query has ^NQ segments
+ */
+SNQuery.prototype.addEncoded = function (encoded) {
+  var other = typeof encoded === 'string' ? SNQuery.parse(encoded) : encoded;
+  if (!other || other.isEmpty()) return this;
+  if (other._segments.length > 1) {
+    throw new Error('SNQuery.addEncoded() does not support ^NQ queries');
+  }
+  var current = this._current();
+  var conditions = other._segments[0];
+  for (var i = 0; i < conditions.length; i++) {
+    var c = conditions[i];
+    current.push({
+      join: i === 0 || current.length === 0 ? 'AND' : c.join,
+      field: c.field,
+      operator: c.operator,
+      value: c.value
+    });
+  }
+  this._orderBy = this._orderBy.concat(other._orderBy);
+  return this;
+};
+
+// ---------- Inspecting ----------
+
+/**
+ * All conditions as plain objects { segment, join, field, operator, value }.
+ */
+SNQuery.prototype.conditions = function () {
+  var out = [];
+  for (var s = 0; s < this._segments.length; s++) {
+    for (var i = 0; i < this._segments[s].length; i++) {
+      var c = this._segments[s][i];
+      out.push({ segment: s, join: c.join, field: c.field, operator: c.operator, value: c.value });
+    }
+  }
+  return out;
+};
+
+/**
+ * Value of the first condition on field (optionally with operator), or null.
+ */
+SNQuery.prototype.find = function (field, operator) {
+  var all = this.conditions();
+  for (var i = 0; i < all.length; i++) {
+    if (all[i].field === field && (!operator || all[i].operator === this._normalizeOperator(operator))) {
+      return all[i].value;
+    }
+  }
+  return null;
+};
+
+/**
+ * New SNQuery keeping only the conditions for which predicate returns true.
+ * OR groups are kept or dropped as a whole, since dropping one side of an
+ * OR would change what the remaining side matches. ORDERBY clauses are kept.
+ *
+ * @param {Function} predicate - (condition) -> boolean, condition as in conditions()
+ * @returns {SNQuery}
+ */
+SNQuery.prototype.filter = function (predicate) {
+  var result = new SNQuery();
+  result._segments = [];
+  for (var s = 0; s < this._segments.length; s++) {
+    var kept = [];
+    var groups = this._orGroups(this._segments[s]);
+    for (var g = 0; g < groups.length; g++) {
+      var keepGroup = true;
+      for (var i = 0; i < groups[g].length && keepGroup; i++) {
+        var c = groups[g][i];
+        keepGroup = !!predicate({ segment: s, join: c.join, field: c.field, operator: c.operator, value: c.value });
+      }
+      if (keepGroup) kept = kept.concat(groups[g]);
+    }
+    if (kept.length) result._segments.push(kept);
+  }
+  if (result._segments.length === 0) result._segments.push([]);
+  result._orderBy = this._orderBy.slice();
+  return result;
+};
+
+SNQuery.prototype.isEmpty = function () {
+  return this._segments.length === 1 && this._segments[0].length === 0 && this._orderBy.length === 0;
+};
+
+// ---------- Encoding ----------
+
+/**
+ * Encode as a sysparm_query string.
+ */
+SNQuery.prototype.toString = function () {
+  var parts = [];
+  for (var s = 0; s < this._segments.length; s++) {
+    var terms = [];
+    var conditions = this._segments[s];
+    for (var i = 0; i < conditions.length; i++) {
+      var c = conditions[i];
+      var term = (c.join === 'OR' && i > 0 ? 'OR' : '') + c.field + c.operator + this._encodeValue(c.operator, c.value);
+      terms.push(term);
+    }
+    if (terms.length) parts.push(terms.join('^'));
+  }
+  var encoded = parts.join('^NQ');
+
+  var order = [];
+  for (var o = 0; o < this._orderBy.length; o++) {
+    order.push((this._orderBy[o].descending ? 'ORDERBYDESC' : 'ORDERBY') + this._orderBy[o].field);
+  }
+  if (order.length) encoded += (encoded ? '^' : '') + order.join('^');
+  return encoded;
+};
+
+// ---------- Parsing ----------
+
+/**
+ * Parse an encoded query back into an SNQuery. IN / NOT IN values become
+ * arrays and BETWEEN values a [from, to] pair; everything else stays a string.
+ *
+ * @param {string} encoded
+ * @returns {SNQuery}
+ * @throws {Error} When a term cannot be parsed as a condition
+ */
+SNQuery.parse = function (encoded) {
+  var query = new SNQuery();
+  if (!encoded) return query;
+
+  var terms = SNQuery._splitTerms(String(encoded));
+  for (var i = 0; i < terms.length; i++) {
+    var term = terms[i];
+    if (!term || term === 'EQ') continue;
+    if (term.indexOf('NQ') === 0 && term.charAt(2) !== '' && SNQuery._isFieldStart(term.charAt(2))) {
+      query.newQuery();
+      term = term.substring(2);
+    }
+    if (term.indexOf('ORDERBYDESC') === 0) {
+      query.orderBy(term.substring(11), true);
+      continue;
+    }
+    if (term.indexOf('ORDERBY') === 0) {
+      query.orderBy(term.substring(7), false);
+      continue;
+    }
+
+    var join = 'AND';
+    if (term.indexOf('OR') === 0 && SNQuery._isFieldStart(term.charAt(2))) {
+      join = 'OR';
+      term = term.substring(2);
+    }
+
+    var parsed = SNQuery._parseCondition(term);
+    if (!parsed) {
+      throw new Error('Cannot parse encoded query term: ' + term);
+    }
+    var current = query._current();
+    current.push({
+      join: current.length === 0 ? 'AND' : join,
+      field: parsed.field,
+      operator: parsed.operator,
+      value: SNQuery._decodeValue(parsed.operator, parsed.value)
+    });
+  }
+  return query;
+};
+
+/**
+ * Split on "^" separators, treating "^^" as an escaped literal caret and
+ * "^NQ" as a segment break (kept as an "NQ" prefix on the next term).
+ * @private
+ */
+SNQuery._splitTerms = function (encoded) {
+  var terms = [''];
+  for (var i = 0; i < encoded.length; i++) {
+    var ch = encoded.charAt(i);
+    if (ch === '^') {
+      if (encoded.charAt(i + 1) === '^') {
+        terms[terms.length - 1] += '^';
+        i++;
+        continue;
+      }
+      terms.push('');
+      continue;
+    }
+    terms[terms.length - 1] += ch;
+  }
+  return terms;
+};
+
+/** @private */
+SNQuery._isFieldStart = function (ch) {
+  return /[a-z0-9_]/.test(ch);
+};
+
+/** @private */
+SNQuery._parseCondition = function (term) {
+  // Field names are lowercase (with dots for dot-walking), so the field ends
+  // where the uppercase or symbolic operator begins.
+  var match = /^[a-z0-9_.]+/.exec(term);
+  if (!match) return null;
+  var rest = term.substring(match[0].length);
+  for (var i = 0; i < SNQuery.OPERATORS.length; i++) {
+    var op = SNQuery.OPERATORS[i];
+    if (rest.indexOf(op) === 0) {
+      return { field: match[0], operator: op, value: rest.substring(op.length) };
+    }
+  }
+  return null;
+};
+
+/** @private */
+SNQuery._decodeValue = function (operator, value) {
+  if (SNQuery.UNARY_OPERATORS.indexOf(operator) !== -1) return null;
+  if (operator === 'IN' || operator === 'NOT IN') return value === '' ? [] : value.split(',');
+  if (operator === 'BETWEEN') return value.split('@');
+  return value;
+};
+
+// ---------- Value helpers (javascript:gs.*) ----------
+
+SNQuery.daysAgo = function (n) { return 'javascript:gs.daysAgo(' + (n | 0) + ')'; };
+SNQuery.daysAgoStart = function (n) { return 'javascript:gs.daysAgoStart(' + (n | 0) + ')'; };
+SNQuery.daysAgoEnd = function (n) { return 'javascript:gs.daysAgoEnd(' + (n | 0) + ')'; };
+SNQuery.hoursAgo = function (n) { return 'javascript:gs.hoursAgo(' + (n | 0) + ')'; };
+SNQuery.beginningOfToday = function () { return 'javascript:gs.beginningOfToday()'; };
+SNQuery.endOfToday = function () { return 'javascript:gs.endOfToday()'; };
+
+/**
+ * javascript:gs.dateGenerate('2025-01-15','00:00:00') — an absolute date-time,
+ * typically for BETWEEN bounds.
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} [time='00:00:00'] - HH:mm:ss, or 'start' / 'end' of day
+ */
+SNQuery.dateGenerate = function (date, time) {
+  if (!time || time === 'start') time = '00:00:00';
+  if (time === 'end') time = '23:59:59';
+  return "javascript:gs.dateGenerate('" + date + "','" + time + "')";
+};
+
+/**
+ * Value for RELATIVEGT/GE/LT/LE/EE: "@<unit>@<ago|ahead>@<amount>".
+ *
+ * @param {number} amount
+ * @param {string} unit - minute | hour | day | month | quarter | year
+ * @param {string} [direction='ago'] - ago | ahead
+ */
+SNQuery.relative = function (amount, unit, direction) {
+  var snUnit = unit === 'day' || unit === 'days' ? 'dayofweek' : String(unit).replace(/s$/, '');
+  return '@' + snUnit + '@' + (direction || 'ago') + '@' + (amount | 0);
+};
+
+// ---------- Internals ----------
+
+/** @private */
+SNQuery.prototype._current = function () {
+  return this._segments[this._segments.length - 1];
+};
+
+/** @private */
+SNQuery.prototype._normalizeOperator = function (operator) {
+  var op = String(operator).toUpperCase();
+  if (SNQuery.OPERATOR_ALIASES[op]) op = SNQuery.OPERATOR_ALIASES[op];
+  if (SNQuery.OPERATORS.indexOf(op) === -1) {
+    throw new Error('Unknown encoded query operator: ' + operator);
+  }
+  return op;
+};
+
+/**
+ * Build a condition from where()/or() arguments.
+ * @private
+ */
+SNQuery.prototype._condition = function (join, args) {
+  var field = args[0];
+  var operator = args[1];
+  var value = args[2];
+  if (!field || typeof field !== 'string') {
+    throw new Error('SNQuery condition needs a field name');
+  }
+  if (args.length === 2 && SNQuery.UNARY_OPERATORS.indexOf(String(operator).toUpperCase()) === -1) {
+    value = operator;
+    operator = '=';
+  }
+  var op = this._normalizeOperator(operator);
+  if (op === 'BETWEEN' && (!Array.isArray(value) || value.length !== 2)) {
+    throw new Error('BETWEEN needs a [from, to] pair');
+  }
+  return {
+    join: join,
+    field: field,
+    operator: op,
+    value: SNQuery.UNARY_OPERATORS.indexOf(op) !== -1 ? null : value
+  };
+};
+
+/** @private */
+SNQuery.prototype._encodeValue = function (operator, value) {
+  if (value == null) return '';
+  var raw;
+  if (Array.isArray(value)) {
+    raw = value.join(operator === 'BETWEEN' ? '@' : ',');
+  } else {
+    raw = String(value);
+  }
+  return raw.replace(/\^/g, '^^');
+};
+
+/**
+ * Split a segment's conditions into OR groups (each starts with an AND).
+ * @private
+ */
+SNQuery.prototype._orGroups = function (conditions) {
+  var groups = [];
+  for (var i = 0; i < conditions.length; i++) {
+    if (i === 0 || conditions[i].join !== 'OR') groups.push([]);
+    groups[groups.length - 1].push(conditions[i]);
+  }
+  return groups;
+};
@@ -1,10 +1,19 @@
 /**
  * ServiceNow REST Table API Client-Side Wrapper (Read-Only)
  *
+ * Authenticates through an SNAuth provider (SNAuth.js); without one it uses
+ * the instance session, so inside ServiceNow nothing needs configuring.
+ *
  * Usage (in UI Scripts, Client Scripts, or Service Portal widgets):
  *
  *   var api = new SNTableAPI();
  *
+ *   // Outside the instance (standalone page, Node CLI)
+ *   var remote = new SNTableAPI({
+ *     instanceUrl: 'https://dev12345.service-now.com',
+ *     auth: new SNAuth.Basic({ username: 'admin', password: '...' })
+ *   });
+ *
  *   // List incidents
  *   api.getRecords('incident', {
  *     query: 'active=true^priority=1',
@@ -22,15 +31,89 @@
  *   }).then(function(record) {
  *     console.log(record);
  *   });
+ *
+ * Resilience:
+ *   Requests that fail with 429 / 502 / 503 / 504, time out, or hit a network
+ *   error are retried with exponential backoff and jitter, honoring
+ *   Retry-After. At most SNTableAPI.maxConcurrent requests are in flight
+ *   across all instances; api.abort() cancels everything this instance has
+ *   in flight or waiting.
+ *
+ *   var api = new SNTableAPI({
+ *     maxRetries: 5,
+ *     timeout: 20000,
+ *     onRetry: function (info) { console.log('retry', info.attempt, info.delay); },
+ *     onAbort: function (info) { console.log('aborted', info.reason); }
+ *   });
+ *
+ *   // Cache getRecords / paginate results (see SNTableCache.js)
+ *   var cached = new SNTableAPI({ cache: new SNTableCache({ staleWhileRevalidate: true }) });
+ *
+ *   // Aggregate API: change counts per assignment group, busiest first
+ *   api.aggregate('change_request', {
+ *     query: 'active=true',
+ *     groupBy: ['assignment_group'],
+ *     count: true,
+ *     having: [{ aggregate: 'count', field: 'sys_id', operator: '>', value: 5 }],
+ *     orderBy: '-COUNT'
+ *   }).then(function (rows) {
+ *     rows.forEach(function (row) {
+ *       console.log(row.groupBy.assignment_group.displayValue, row.count);
+ *     });
+ *   });
  */
 
 function SNTableAPI(options) {
   options = options || {};
-  this.baseUrl = options.baseUrl || '/api/now/table';
+  this.instanceUrl = (options.instanceUrl || '').replace(/\/+$/, '');
+  this.baseUrl = options.baseUrl || this.instanceUrl + '/api/now/table';
   this.defaultLimit = options.defaultLimit || 100;
   this.apiVersion = options.apiVersion || null; // e.g. 'v2'
+  this.statsUrl = options.statsUrl || this.baseUrl.replace(/\/table$/, '/stats');
+
+  this.maxRetries = options.maxRetries != null ? options.maxRetries : 3;
+  this.retryStatuses = options.retryStatuses || [429, 502, 503, 504];
+  this.retryBaseDelay = options.retryBaseDelay != null ? options.retryBaseDelay : 1000; // ms
+  this.retryMaxDelay = options.retryMaxDelay != null ? options.retryMaxDelay : 30000;  // ms
+  this.timeout = options.timeout != null ? options.timeout : 30000;                     // ms per attempt, 0 = none
+  this._onRetry = options.onRetry || null;
+  this._onAbort = options.onAbort || null;
+  this.auth = options.auth || (typeof SNAuth !== 'undefined' ? new SNAuth.Session() : null);
+  this.cache = options.cache || null; // SNTableCache for getRecords / paginate
+
+  this._controllers = [];
+  this._abortGeneration = 0;
 }
 
+/**
+ * Maximum number of Table API requests in flight at once, shared by all
+ * SNTableAPI instances. Further requests queue until a slot frees up.
+ */
+SNTableAPI.maxConcurrent = 4;
+SNTableAPI._active = 0;
+SNTableAPI._waiting = [];
+
+/** @private */
+SNTableAPI._acquireSlot = function () {
+  if (SNTableAPI._active < SNTableAPI.maxConcurrent) {
+    SNTableAPI._active++;
+    return Promise.resolve();
+  }
+  return new Promise(function (resolve) {
+    SNTableAPI._waiting.push(resolve);
+  });
+};
+
+/** @private */
+SNTableAPI._releaseSlot = function () {
+  var next = SNTableAPI._waiting.shift();
+  if (next) {
+    next(); // hand the slot straight to the next waiter
+  } else {
+    SNTableAPI._active--;
+  }
+};
+
 /**
  * Build the API URL for a given table and optional sys_id.
  */
@@ -103,32 +186,128 @@ SNTableAPI.prototype._buildParams = function (opts) {
 };
 
 /**
- * Execute a GET request to the Table API.
+ * Execute a GET request to the Table API, retrying transient failures.
  *
  * @param {string} url - Full API URL with query parameters
- * @returns {Promise<{status: number, headers: Object, body: Object}>}
+ * @returns {Promise<{status: number, totalCount: number|null, body: Object}>}
  */
 SNTableAPI.prototype._request = function (url) {
-  var headers = {
-    Accept: 'application/json',
-    'Content-Type': 'application/json',
+  var self = this;
+  var generation = this._abortGeneration;
+  var attempt = 0;
+  var reauthenticated = false;
+
+  function tryOnce() {
+    attempt++;
+    return SNTableAPI._acquireSlot().then(function () {
+      if (generation !== self._abortGeneration) {
+        SNTableAPI._releaseSlot();
+        throw self._abortedError(url);
+      }
+      return self._fetchOnce(url).then(function (res) {
+        SNTableAPI._releaseSlot();
+        return res;
+      }, function (err) {
+        SNTableAPI._releaseSlot();
+        throw err;
+      });
+    }).catch(function (err) {
+      // One free retry after the auth provider renews its credentials
+      if (err.status === 401 && !reauthenticated && self.auth) {
+        reauthenticated = true;
+        return self.auth.refresh().then(function (retry) {
+          if (!retry) throw err;
+          attempt--;
+          return tryOnce();
+        });
+      }
+      if (err.aborted || attempt > self.maxRetries || !self._isRetryable(err)) throw err;
+
+      var delay = self._retryDelay(attempt, err.retryAfter);
+      if (self._onRetry) {
+        self._onRetry({
+          url: url,
+          attempt: attempt,
+          maxRetries: self.maxRetries,
+          delay: delay,
+          status: err.status || null,
+          error: err
+        });
+      }
+      return new Promise(function (resolve) { setTimeout(resolve, delay); }).then(function () {
+        if (generation !== self._abortGeneration) throw self._abortedError(url);
+        return tryOnce();
+      });
+    });
+  }
+
+  return tryOnce();
+};
+
+/**
+ * Single fetch attempt: lets the auth provider decorate the request, then
+ * fetches with a per-request timeout.
+ * @private
+ */
+SNTableAPI.prototype._fetchOnce = function (url) {
+  var self = this;
+  var init = {
+    method: 'GET',
+    headers: {
+      Accept: 'application/json',
+      'Content-Type': 'application/json',
+    },
   };
 
   if (this.apiVersion) {
-    headers['X-ServiceNow-API-Version'] = this.apiVersion;
+    init.headers['X-ServiceNow-API-Version'] = this.apiVersion;
   }
 
-  // Fetch the CSRF token if available (g_ck is set by ServiceNow on the client)
-  if (typeof g_ck !== 'undefined') {
-    headers['X-UserToken'] = g_ck;
+  var authorized;
+  if (this.auth) {
+    authorized = this.auth.apply(init);
+  } else {
+    // No SNAuth loaded: instance session, with the CSRF token when available
+    init.credentials = 'same-origin';
+    if (typeof g_ck !== 'undefined') init.headers['X-UserToken'] = g_ck;
+    authorized = Promise.resolve(init);
   }
 
-  return fetch(url, {
-    method: 'GET',
-    headers: headers,
-    credentials: 'same-origin',
-  }).then(function (response) {
+  return authorized.then(function (request) {
+    return self._send(url, request);
+  });
+};
+
+/** @private */
+SNTableAPI.prototype._send = function (url, init) {
+  var self = this;
+  var controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  var timedOut = false;
+  var timer = null;
+  if (controller) {
+    this._controllers.push(controller);
+    if (this.timeout > 0) {
+      timer = setTimeout(function () {
+        timedOut = true;
+        controller.abort();
+      }, this.timeout);
+    }
+  }
+
+  function cleanup() {
+    if (timer) clearTimeout(timer);
+    if (controller) {
+      var idx = self._controllers.indexOf(controller);
+      if (idx !== -1) self._controllers.splice(idx, 1);
+    }
+  }
+
+  if (controller) init.signal = controller.signal;
+
+  return fetch(url, init).then(function (response) {
+    cleanup();
     if (!response.ok) {
+      var retryAfter = self._parseRetryAfter(response.headers.get('Retry-After'));
       return response.json().then(
         function (errorBody) {
           var msg =
@@ -137,11 +316,13 @@ SNTableAPI.prototype._request = function (url) {
           var err = new Error(msg);
           err.status = response.status;
           err.detail = errorBody.error && errorBody.error.detail;
+          err.retryAfter = retryAfter;
           throw err;
         },
         function () {
           var err = new Error('HTTP ' + response.status);
           err.status = response.status;
+          err.retryAfter = retryAfter;
           throw err;
         }
       );
@@ -156,25 +337,99 @@ SNTableAPI.prototype._request = function (url) {
         body: body,
       };
     });
+  }, function (fetchErr) {
+    cleanup();
+    var err;
+    if (timedOut) {
+      err = new Error('Request timed out after ' + self.timeout + 'ms');
+      err.timeout = true;
+      if (self._onAbort) self._onAbort({ url: url, reason: 'timeout' });
+    } else if (fetchErr && fetchErr.name === 'AbortError') {
+      err = self._abortedError(url);
+    } else {
+      err = new Error('Network error: ' + (fetchErr && fetchErr.message ? fetchErr.message : fetchErr));
+      err.network = true;
+    }
+    throw err;
   });
 };
 
+/**
+ * Abort every request this instance has in flight, queued for a slot or
+ * waiting to retry. Their promises reject with err.aborted === true.
+ * Requests started afterwards are unaffected.
+ */
+SNTableAPI.prototype.abort = function () {
+  this._abortGeneration++;
+  var controllers = this._controllers.slice();
+  this._controllers = [];
+  for (var i = 0; i < controllers.length; i++) {
+    controllers[i].abort();
+  }
+  if (this._onAbort) this._onAbort({ url: null, reason: 'cancelled' });
+};
+
+/** @private */
+SNTableAPI.prototype._abortedError = function (url) {
+  var err = new Error('Request aborted');
+  err.aborted = true;
+  err.url = url;
+  return err;
+};
+
+/** @private */
+SNTableAPI.prototype._isRetryable = function (err) {
+  return !!(err.timeout || err.network || this.retryStatuses.indexOf(err.status) !== -1);
+};
+
+/**
+ * Backoff before retry number `attempt` (1-based): exponential with "equal
+ * jitter" (half fixed, half random), or the server's Retry-After when given.
+ * Both are capped at retryMaxDelay.
+ * @private
+ */
+SNTableAPI.prototype._retryDelay = function (attempt, retryAfter) {
+  if (retryAfter != null) return Math.min(retryAfter, this.retryMaxDelay);
+  var exp = Math.min(this.retryMaxDelay, this.retryBaseDelay * Math.pow(2, attempt - 1));
+  return Math.round(exp / 2 + Math.random() * exp / 2);
+};
+
+/**
+ * Retry-After is either delta-seconds or an HTTP date. Returns ms or null.
+ * @private
+ */
+SNTableAPI.prototype._parseRetryAfter = function (value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+  var date = Date.parse(value);
+  if (isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+};
+
 /**
  * Retrieve multiple records from a table.
+ * Served through this.cache when one is configured, unless opts.cache is false.
  *
  * @param {string} table - Table name (e.g. 'incident', 'cmdb_ci')
  * @param {Object} [opts] - Query options (see _buildParams)
- * @returns {Promise<{records: Object[], totalCount: number|null}>}
+ * @returns {Promise<{records: Object[], totalCount: number|null}>} With
+ *   fromCache / stale flags when a cache is configured
  */
 SNTableAPI.prototype.getRecords = function (table, opts) {
+  var self = this;
   var url = this._buildUrl(table) + this._buildParams(opts);
 
-  return this._request(url).then(function (res) {
-    return {
-      records: res.body.result || [],
-      totalCount: res.totalCount,
-    };
-  });
+  function fetchFresh() {
+    return self._request(url).then(function (res) {
+      return {
+        records: res.body.result || [],
+        totalCount: res.totalCount,
+      };
+    });
+  }
+
+  if (!this.cache || (opts && opts.cache === false)) return fetchFresh();
+  return this.cache.wrap(this.cache.keyFor(url), table, fetchFresh);
 };
 
 /**
@@ -238,8 +493,118 @@ SNTableAPI.prototype.paginate = function (table, opts, onPage) {
   return nextPage();
 };
 
+/**
+ * Run an Aggregate API query (GET /api/now/stats/<table>).
+ *
+ * Every result is returned as a group row, so an ungrouped query yields a
+ * single row with an empty groupBy:
+ *   {
+ *     groupBy: { <field>: { value, displayValue } },
+ *     count: number|null,
+ *     avg: { <field>: number }, sum: { <field>: number },
+ *     min: { <field>: number|string }, max: { <field>: number|string }
+ *   }
+ * min/max stay strings for non-numeric fields (e.g. dates).
+ *
+ * @param {string} table - Table name
+ * @param {Object} [opts]
+ * @param {string}   opts.query        - Encoded query string
+ * @param {string[]} opts.groupBy      - Fields to group by (dot-walking allowed)
+ * @param {boolean}  opts.count        - Include the record count (default true)
+ * @param {string[]} opts.avg          - Fields to average
+ * @param {string[]} opts.min          - Fields to take the minimum of
+ * @param {string[]} opts.max          - Fields to take the maximum of
+ * @param {string[]} opts.sum          - Fields to sum
+ * @param {string|Object[]} opts.having - Encoded having string, or
+ *   [{ aggregate: 'count'|'avg'|'min'|'max'|'sum', field, operator, value }]
+ * @param {string}   opts.orderBy      - Group-by field or aggregate ('COUNT', 'AVG^priority'),
+ *   prefix with '-' for descending
+ * @param {string}   opts.displayValue - 'true', 'false', or 'all' (default 'all')
+ * @returns {Promise<Object[]>}
+ */
+SNTableAPI.prototype.aggregate = function (table, opts) {
+  opts = opts || {};
+  var params = [];
+  var displayValue = opts.displayValue || 'all';
+
+  if (opts.query) {
+    params.push('sysparm_query=' + encodeURIComponent(opts.query));
+  }
+  if (opts.count !== false) {
+    params.push('sysparm_count=true');
+  }
+  if (opts.groupBy && opts.groupBy.length) {
+    params.push('sysparm_group_by=' + encodeURIComponent(opts.groupBy.join(',')));
+  }
+  ['avg', 'min', 'max', 'sum'].forEach(function (fn) {
+    if (opts[fn] && opts[fn].length) {
+      params.push('sysparm_' + fn + '_fields=' + encodeURIComponent(opts[fn].join(',')));
+    }
+  });
+  if (opts.having) {
+    var having = typeof opts.having === 'string'
+      ? opts.having
+      : opts.having.map(function (h) {
+        return [h.aggregate, h.field, h.operator, h.value].join('^');
+      }).join(',');
+    params.push('sysparm_having=' + encodeURIComponent(having));
+  }
+  if (opts.orderBy) {
+    var desc = opts.orderBy.charAt(0) === '-';
+    var field = desc ? opts.orderBy.substring(1) : opts.orderBy;
+    params.push('sysparm_orderby=' + encodeURIComponent(field + (desc ? '^DESC' : '')));
+  }
+  params.push('sysparm_display_value=' + encodeURIComponent(displayValue));
+
+  var url = this.statsUrl + '/' + encodeURIComponent(table) + '?' + params.join('&');
+  var self = this;
+
+  return this._request(url).then(function (res) {
+    var result = res.body.result;
+    if (!result) return [];
+    if (!Array.isArray(result)) result = [result];
+    return result.map(function (row) { return self._typeStatsRow(row); });
+  });
+};
+
+/**
+ * Convert one raw Aggregate API result ({ stats, groupby_fields }) to a typed row.
+ * @private
+ */
+SNTableAPI.prototype._typeStatsRow = function (row) {
+  var stats = row.stats || {};
+  var typed = {
+    groupBy: {},
+    count: stats.count != null ? parseInt(stats.count, 10) : null,
+    avg: {},
+    min: {},
+    max: {},
+    sum: {},
+  };
+
+  ['avg', 'min', 'max', 'sum'].forEach(function (fn) {
+    var values = stats[fn] || {};
+    Object.keys(values).forEach(function (field) {
+      var raw = values[field];
+      var num = raw === '' || raw == null ? NaN : Number(raw);
+      typed[fn][field] = isNaN(num) ? (fn === 'min' || fn === 'max' ? raw : null) : num;
+    });
+  });
+
+  (row.groupby_fields || []).forEach(function (g) {
+    typed.groupBy[g.field] = {
+      value: g.value,
+      displayValue: g.display_value != null ? g.display_value : g.value,
+    };
+  });
+
+  return typed;
+};
+
 /**
  * Get the count of records matching a query (without fetching record data).
+ * Reads X-Total-Count from a one-row Table API request, so it only needs
+ * read access to the table.
  *
  * @param {string} table - Table name
  * @param {string} [query] - Encoded query string
@@ -254,3 +619,26 @@ SNTableAPI.prototype.getCount = function (table, query) {
     return result.totalCount || 0;
   });
 };
+
+/**
+ * Count the records matching a query with the Stats API (one aggregate
+ * request, no rows transferred). Needs the aggregate ACL on the table;
+ * use getCount where that cannot be assumed.
+ *
+ * @param {string} table - Table name
+ * @param {string} [query] - Encoded query string
+ * @returns {Promise<number>}
+ */
+SNTableAPI.prototype.getAggregateCount = function (table, query) {
+  return this.aggregate(table, {
+    query: query,
+    count: true,
+    displayValue: 'false',
+  }).then(function (rows) {
+    return rows.length && rows[0].count != null ? rows[0].count : 0;
+  });
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SNTableAPI;
+}
@@ -0,0 +1,235 @@
+/**
+ * Persistent cache for SNTableAPI.getRecords results
+ *
+ * Entries are keyed by the request URL with its query parameters sorted, so
+ * the same table + options always hit the same entry regardless of option
+ * order. Backed by IndexedDB, falling back to an in-memory store where
+ * IndexedDB is unavailable (Node, some private browsing modes).
+ *
+ * Fresh entries (younger than ttl) are served without a request. With
+ * staleWhileRevalidate, older entries up to maxStale are served immediately
+ * while a background request refreshes them.
+ *
+ * Usage:
+ *
+ *   var cache = new SNTableCache({ ttl: 15 * 60 * 1000, staleWhileRevalidate: true });
+ *   var api = new SNTableAPI({ cache: cache });
+ *   api.getRecords('task_ci', opts).then(function (result) {
+ *     result.fromCache; // true when served from the cache
+ *     result.stale;     // true when older than ttl (a refresh is in flight)
+ *   });
+ *
+ *   cache.entries().then(function (list) { ... });  // { key, table, storedAt, size, rows }
+ *   cache.purge();                                  // everything
+ *   cache.purge(function (e) { return e.table === 'incident'; });
+ */
+
+function SNTableCache(options) {
+  options = options || {};
+  this.dbName = options.dbName || 'sn-table-cache';
+  this.ttl = options.ttl != null ? options.ttl : 15 * 60 * 1000;                 // ms
+  this.staleWhileRevalidate = !!options.staleWhileRevalidate;
+  this.maxStale = options.maxStale != null ? options.maxStale : 24 * 60 * 60 * 1000; // ms
+  this._onRevalidate = options.onRevalidate || null;
+
+  this._dbPromise = null;
+  this._memory = null; // key -> entry, when IndexedDB is unavailable
+  if (options.memory || typeof indexedDB === 'undefined') {
+    this._memory = {};
+  }
+}
+
+SNTableCache.STORE = 'responses';
+
+/**
+ * Cache key for a request URL: path plus its parameters in sorted order.
+ *
+ * @param {string} url - Full request URL as built by SNTableAPI
+ * @returns {string}
+ */
+SNTableCache.prototype.keyFor = function (url) {
+  var q = url.indexOf('?');
+  if (q === -1) return url;
+  var params = url.substring(q + 1).split('&').filter(Boolean).sort();
+  return url.substring(0, q) + '?' + params.join('&');
+};
+
+// ---------- Storage ----------
+
+/** @private */
+SNTableCache.prototype._open = function () {
+  var self = this;
+  if (this._memory) return Promise.resolve(null);
+  if (this._dbPromise) return this._dbPromise;
+
+  this._dbPromise = new Promise(function (resolve, reject) {
+    var req = indexedDB.open(self.dbName, 1);
+    req.onupgradeneeded = function () {
+      var db = req.result;
+      if (!db.objectStoreNames.contains(SNTableCache.STORE)) {
+        db.createObjectStore(SNTableCache.STORE, { keyPath: 'key' });
+      }
+    };
+    req.onsuccess = function () { resolve(req.result); };
+    req.onerror = function () { reject(req.error); };
+  }).catch(function (err) {
+    console.warn('[SNTableCache] IndexedDB unavailable, caching in memory', err);
+    self._memory = {};
+    return null;
+  });
+  return this._dbPromise;
+};
+
+/**
+ * Run fn(store) in a transaction; resolves with the request result.
+ * @private
+ */
+SNTableCache.prototype._tx = function (mode, fn) {
+  return this._open().then(function (db) {
+    return new Promise(function (resolve, reject) {
+      var tx = db.transaction(SNTableCache.STORE, mode);
+      var req = fn(tx.objectStore(SNTableCache.STORE));
+      tx.oncomplete = function () { resolve(req ? req.result : undefined); };
+      tx.onerror = function () { reject(tx.error); };
+      tx.onabort = function () { reject(tx.error); };
+    });
+  });
+};
+
+/**
+ * @param {string} key
+ * @returns {Promise<Object|null>} { key, table, storedAt, size, rows, value }
+ */
+SNTableCache.prototype.get = function (key) {
+  var self = this;
+  return this._open().then(function () {
+    if (self._memory) return self._memory[key] || null;
+    return self._tx('readonly', function (store) { return store.get(key); }).then(function (entry) {
+      return entry || null;
+    });
+  });
+};
+
+/**
+ * Store a getRecords result.
+ *
+ * @param {string} key
+ * @param {string} table
+ * @param {{records: Object[], totalCount: number|null}} value
+ * @returns {Promise<Object>} The stored entry
+ */
+SNTableCache.prototype.set = function (key, table, value) {
+  var self = this;
+  var entry = {
+    key: key,
+    table: table,
+    storedAt: Date.now(),
+    size: JSON.stringify(value).length,
+    rows: value.records.length,
+    value: value
+  };
+  return this._open().then(function () {
+    if (self._memory) {
+      self._memory[key] = entry;
+      return entry;
+    }
+    return self._tx('readwrite', function (store) { return store.put(entry); }).then(function () {
+      return entry;
+    });
+  });
+};
+
+/**
+ * Summaries of all entries (no record data), newest first.
+ *
+ * @returns {Promise<Object[]>} [{ key, table, storedAt, size, rows }]
+ */
+SNTableCache.prototype.entries = function () {
+  var self = this;
+  return this._open().then(function () {
+    if (self._memory) {
+      return Object.keys(self._memory).map(function (k) { return self._memory[k]; });
+    }
+    return self._tx('readonly', function (store) { return store.getAll(); });
+  }).then(function (all) {
+    return (all || []).map(function (e) {
+      return { key: e.key, table: e.table, storedAt: e.storedAt, size: e.size, rows: e.rows };
+    }).sort(function (a, b) { return b.storedAt - a.storedAt; });
+  });
+};
+
+/**
+ * Delete entries. Without a predicate everything is removed.
+ *
+ * @param {Function} [predicate] - (entrySummary) -> boolean, true = delete
+ * @returns {Promise<number>} Number of entries removed
+ */
+SNTableCache.prototype.purge = function (predicate) {
+  var self = this;
+  return this.entries().then(function (list) {
+    var doomed = predicate ? list.filter(predicate) : list;
+    if (!doomed.length) return 0;
+    if (self._memory) {
+      doomed.forEach(function (e) { delete self._memory[e.key]; });
+      return doomed.length;
+    }
+    return self._tx('readwrite', function (store) {
+      doomed.forEach(function (e) { store.delete(e.key); });
+    }).then(function () { return doomed.length; });
+  });
+};
+
+// ---------- Read-through ----------
+
+/**
+ * Serve key from the cache when possible, else call fetchFresh() and store
+ * its result. Cache failures never fail the request: they fall through to
+ * the network.
+ *
+ * @param {string} key
+ * @param {string} table
+ * @param {Function} fetchFresh - () -> Promise<{records, totalCount}>
+ * @returns {Promise<Object>} The result, with fromCache / stale flags
+ */
+SNTableCache.prototype.wrap = function (key, table, fetchFresh) {
+  var self = this;
+
+  function fetchAndStore() {
+    return fetchFresh().then(function (value) {
+      self.set(key, table, value).catch(function (err) {
+        console.warn('[SNTableCache] Could not store ' + table + ' result', err);
+      });
+      return Object.assign({}, value, { fromCache: false, stale: false });
+    });
+  }
+
+  return this.get(key).catch(function (err) {
+    console.warn('[SNTableCache] Lookup failed, fetching', err);
+    return null;
+  }).then(function (entry) {
+    if (!entry) return fetchAndStore();
+
+    var age = Date.now() - entry.storedAt;
+    if (age < self.ttl) {
+      return Object.assign({}, entry.value, { fromCache: true, stale: false });
+    }
+    if (!self.staleWhileRevalidate || age >= self.maxStale) return fetchAndStore();
+
+    fetchAndStore().then(function (fresh) {
+      if (self._onRevalidate) {
+        self._onRevalidate({
+          key: key,
+          table: table,
+          changed: JSON.stringify(fresh.records) !== JSON.stringify(entry.value.records)
+        });
+      }
+    }).catch(function (err) {
+      console.warn('[SNTableCache] Background refresh of ' + table + ' failed', err);
+    });
+    return Object.assign({}, entry.value, { fromCache: true, stale: true });
+  });
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SNTableCache;
+}
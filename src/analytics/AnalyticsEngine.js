@@ -28,10 +28,12 @@ AnalyticsEngine.prototype._nodeMap = function (graph) {
 };
 
 /**
- * Build a lookup map from edge uid to edge object.
+ * Lookup map from edge uid to edge object: the graph's own edgeById index
+ * (see HypergraphCore.edgeIndex) when it carries one. Treat as read-only.
  * @private
  */
 AnalyticsEngine.prototype._edgeMap = function (graph) {
+  if (graph.edgeById) return graph.edgeById;
   var map = {};
   for (var i = 0; i < graph.edges.length; i++) {
     map[graph.edges[i].uid] = graph.edges[i];
@@ -89,6 +91,19 @@ AnalyticsEngine.prototype._parseDate = function (str) {
   return isNaN(d.getTime()) ? 0 : d.getTime();
 };
 
+/**
+ * Outcome of a change from its close code: 'failed' (Unsuccessful, backed
+ * out, rolled back), 'issues' (Successful with issues), 'successful', or
+ * null when the change has no close code (not closed, or not loaded).
+ * @private
+ */
+AnalyticsEngine.prototype._changeOutcome = function (closeCode) {
+  if (!closeCode) return null;
+  if (/unsuccessful|back(ed)?[\s_-]*out|roll(ed)?[\s_-]*back/i.test(closeCode)) return 'failed';
+  if (/issue/i.test(closeCode)) return 'issues';
+  return 'successful';
+};
+
 /**
  * Compute sorted canonical pair key for two uids.
  * @private
@@ -162,7 +177,8 @@ AnalyticsEngine.prototype._projectedAdjacency = function (graph) {
  * Build a flat change list with timestamps from rawData.taskCiRecords.
  * Groups flat task_ci rows by task.number into per-change entries.
  * Each entry: { number, createdAt (ms), risk, changeType, impact,
- *               region, assignmentGroup, ciUids: [...] }
+ *               region, assignmentGroup, businessService, state,
+ *               closeCode, ciUids: [...] }
  * @private
  */
 AnalyticsEngine.prototype._changeList = function (rawData) {
@@ -184,6 +200,8 @@ AnalyticsEngine.prototype._changeList = function (rawData) {
         region: rec['task.u_impact_region'] || '',
         assignmentGroup: rec['task.assignment_group'] || '',
         businessService: rec['task.business_service'] || '',
+        state: rec['task.state'] || '',
+        closeCode: rec['task.close_code'] || '',
         ciUids: []
       };
     }
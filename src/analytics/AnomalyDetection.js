@@ -8,12 +8,25 @@
 //  4. Anomaly Detection
 // ===================================================================
 
+/**
+ * Orphan categories, most neglected first (the order detectAnomalies
+ * reports them in).
+ */
+AnalyticsEngine.ORPHAN_CATEGORIES = ['never-changed', 'not-in-window', 'emergency-only', 'single-change'];
+
 /**
  * Detect structural and statistical anomalies in the change graph.
  *
+ * Orphans are CIs with at most one change, or changed only through
+ * emergency changes. CIs with no change at all are only in the graph when a
+ * cmdb_ci inventory was loaded (rawData.inventory); its lifetimeChanges /
+ * lastChangedAt tell CIs never changed from ones not changed in the window.
+ *
  * @param {Object} graph - Hypergraph from HypergraphCore.build()
  * @param {Object} rawData - Output of ITILDataSimulator.generate()
  * @returns {Object} { unexpectedPairs, orphans, overCoupled, underCoupled }
+ *   orphans: [{ uid, name, degree, category, reason, operationalStatus, lastChangedAt }],
+ *   category one of AnalyticsEngine.ORPHAN_CATEGORIES
  */
 AnalyticsEngine.prototype.detectAnomalies = function (graph, rawData) {
   if (!graph || !graph.nodes) {
@@ -29,20 +42,41 @@ AnalyticsEngine.prototype.detectAnomalies = function (graph, rawData) {
   }
 
   // --- Orphans ---
+  var edgeMap = this._edgeMap(graph);
+  var inventory = {};
+  var inventoryItems = (rawData && rawData.inventory) || [];
+  for (i = 0; i < inventoryItems.length; i++) {
+    inventory['ci:' + inventoryItems[i].id] = inventoryItems[i];
+  }
+
   var orphans = [];
   for (i = 0; i < ciUids.length; i++) {
     var uid = ciUids[i];
-    var deg = graph.incidence[uid] ? graph.incidence[uid].size : 0;
-    if (deg <= 1) {
-      var node = nodeMap[uid];
-      orphans.push({
-        uid: uid,
-        name: node ? node.name : uid,
-        degree: deg,
-        reason: deg === 0 ? 'no changes reference this CI' : 'only 1 change references this CI'
-      });
+    var changeUids = graph.incidence[uid] ? Array.from(graph.incidence[uid]) : [];
+    var emergency = 0;
+    for (j = 0; j < changeUids.length; j++) {
+      var change = edgeMap[changeUids[j]];
+      if (change && String(change.changeType || '').toLowerCase() === 'emergency') emergency++;
     }
+    var item = inventory[uid] || null;
+    var orphan = this._orphanCategory(changeUids.length, emergency, item);
+    if (!orphan) continue;
+
+    var node = nodeMap[uid];
+    orphans.push({
+      uid: uid,
+      name: node ? node.name : uid,
+      degree: changeUids.length,
+      category: orphan.category,
+      reason: orphan.reason,
+      operationalStatus: node ? node.operationalStatus || null : null,
+      lastChangedAt: item ? item.lastChangedAt || null : null
+    });
   }
+  orphans.sort(function (x, y) {
+    return AnalyticsEngine.ORPHAN_CATEGORIES.indexOf(x.category) - AnalyticsEngine.ORPHAN_CATEGORIES.indexOf(y.category) ||
+      x.degree - y.degree;
+  });
 
   // --- Count class frequencies and pair co-occurrences ---
   var classCount = {}; // className -> number of edges that include that class
@@ -187,3 +221,37 @@ AnalyticsEngine.prototype.detectAnomalies = function (graph, rawData) {
     underCoupled: underCoupled
   };
 };
+
+/**
+ * Classify a CI for the orphan list, or null when it is not an orphan.
+ *
+ * @param {number} degree - Changes in the graph touching the CI
+ * @param {number} emergency - How many of them are emergency changes
+ * @param {Object|null} item - The CI's inventory record, if loaded
+ * @returns {{category: string, reason: string}|null}
+ * @private
+ */
+AnalyticsEngine.prototype._orphanCategory = function (degree, emergency, item) {
+  if (degree === 0) {
+    if (item && item.lifetimeChanges === 0) {
+      return { category: 'never-changed', reason: 'no change has ever referenced this CI' };
+    }
+    var reason = 'no changes in the loaded window';
+    if (item && item.lastChangedAt) {
+      reason += ', last changed ' + item.lastChangedAt.slice(0, 10);
+    } else if (!item || item.lifetimeChanges == null) {
+      reason += ', earlier history unknown';
+    }
+    return { category: 'not-in-window', reason: reason };
+  }
+  if (emergency === degree) {
+    return {
+      category: 'emergency-only',
+      reason: degree === 1 ? 'only changed by 1 emergency change' : 'only changed by emergency changes (' + degree + ')'
+    };
+  }
+  if (degree === 1) {
+    return { category: 'single-change', reason: 'only 1 change references this CI' };
+  }
+  return null;
+};
@@ -0,0 +1,205 @@
+/**
+ * ChangeCollisions — Changes scheduled over each other on shared CIs or services
+ *
+ * Extends AnalyticsEngine.prototype. Requires analytics/AnalyticsEngine.js.
+ */
+
+// ===================================================================
+//  11. Change Collisions
+// ===================================================================
+
+/**
+ * Find changes whose planned windows (plannedStart..plannedEnd) overlap and
+ * that touch the same CIs, or the same business service through their CIs:
+ * one change is for a service that a CI of the other change supports, a CI
+ * supporting a service being one that some change for that service touched.
+ * Changes without a planned window are skipped.
+ *
+ * Colliding pairs are linked into groups; groups of three or more changes
+ * are returned as well, since each pair alone understates the pile-up.
+ *
+ * @param {Object} graph - Hypergraph from HypergraphCore.build()
+ * @param {Object} [options]
+ * @param {boolean} [options.includeServices=true] - Also report service-only collisions
+ * @param {number} [options.topN=100] - Pairs returned
+ * @returns {Object} {
+ *   pairs:  [{ a, b, kind, sharedCis, sharedServices, overlapStart, overlapEnd,
+ *              overlapHours, riskWeight }],
+ *   groups: [{ changes, sharedCis, start, end, pairs, riskWeight }],
+ *   summary: { scheduled, pairs, ciPairs, servicePairs, groups }
+ * }
+ *   a / b / changes (by planned start) are change edge uids and sharedCis
+ *   CI node uids. kind is 'ci' when CIs are shared, else 'service'.
+ *   riskWeight sums _riskWeight over the changes. Pairs rank by shared CIs,
+ *   then riskWeight, then overlap; groups by size, then shared CIs, then
+ *   riskWeight.
+ */
+AnalyticsEngine.prototype.changeCollisions = function (graph, options) {
+  options = options || {};
+  var includeServices = options.includeServices !== false;
+  var topN = options.topN || 100;
+  var nodeMap = this._nodeMap(graph);
+  var self = this;
+  var i, j;
+
+  // CI -> services its changes were for
+  var ciServices = {};
+  for (i = 0; i < graph.edges.length; i++) {
+    var svc = graph.edges[i].businessService;
+    if (!svc) continue;
+    var elements = graph.edges[i].elements;
+    for (j = 0; j < elements.length; j++) {
+      if (!nodeMap[elements[j]] || nodeMap[elements[j]].type !== 'ci') continue;
+      if (!ciServices[elements[j]]) ciServices[elements[j]] = {};
+      ciServices[elements[j]][svc] = true;
+    }
+  }
+
+  // Scheduled changes with their CIs and supported services
+  var scheduled = [];
+  var byUid = {};
+  for (i = 0; i < graph.edges.length; i++) {
+    var edge = graph.edges[i];
+    var start = this._parseDate(edge.plannedStart);
+    var end = this._parseDate(edge.plannedEnd);
+    if (!start || !end || end <= start) continue;
+    var cis = {};
+    var supports = {};
+    for (j = 0; j < edge.elements.length; j++) {
+      var uid = edge.elements[j];
+      if (!nodeMap[uid] || nodeMap[uid].type !== 'ci') continue;
+      cis[uid] = true;
+      Object.assign(supports, ciServices[uid]);
+    }
+    byUid[edge.uid] = { edge: edge, start: start, end: end, cis: cis, supports: supports };
+    scheduled.push(byUid[edge.uid]);
+  }
+  scheduled.sort(function (x, y) { return x.start - y.start; });
+
+  // Sweep: compare each change with the earlier ones still open at its start
+  var pairs = [];
+  var active = [];
+  for (i = 0; i < scheduled.length; i++) {
+    var cur = scheduled[i];
+    active = active.filter(function (other) { return other.end > cur.start; });
+    for (j = 0; j < active.length; j++) {
+      var pair = this._collision(active[j], cur, includeServices);
+      if (pair) pairs.push(pair);
+    }
+    active.push(cur);
+  }
+
+  pairs.sort(function (x, y) {
+    return y.sharedCis.length - x.sharedCis.length ||
+      y.riskWeight - x.riskWeight ||
+      y.overlapHours - x.overlapHours;
+  });
+
+  // Groups: connected components of the collision pairs, 3+ changes
+  var adjacency = {};
+  for (i = 0; i < pairs.length; i++) {
+    (adjacency[pairs[i].a] = adjacency[pairs[i].a] || []).push(i);
+    (adjacency[pairs[i].b] = adjacency[pairs[i].b] || []).push(i);
+  }
+  var visited = {};
+  var groups = [];
+  Object.keys(adjacency).forEach(function (seed) {
+    if (visited[seed]) return;
+    var changes = [];
+    var pairIdx = {};
+    var queue = [seed];
+    visited[seed] = true;
+    while (queue.length) {
+      var current = queue.shift();
+      changes.push(current);
+      var incident = adjacency[current];
+      for (var k = 0; k < incident.length; k++) {
+        pairIdx[incident[k]] = true;
+        var p = pairs[incident[k]];
+        var next = p.a === current ? p.b : p.a;
+        if (!visited[next]) {
+          visited[next] = true;
+          queue.push(next);
+        }
+      }
+    }
+    if (changes.length < 3) return;
+    changes.sort(function (x, y) { return byUid[x].start - byUid[y].start; });
+
+    var sharedCis = {};
+    Object.keys(pairIdx).forEach(function (idx) {
+      pairs[idx].sharedCis.forEach(function (ci) { sharedCis[ci] = true; });
+    });
+    var groupStart = Infinity;
+    var groupEnd = 0;
+    var riskWeight = 0;
+    for (var c = 0; c < changes.length; c++) {
+      var member = byUid[changes[c]];
+      groupStart = Math.min(groupStart, member.start);
+      groupEnd = Math.max(groupEnd, member.end);
+      riskWeight += self._riskWeight(member.edge.risk);
+    }
+    groups.push({
+      changes: changes,
+      sharedCis: Object.keys(sharedCis),
+      start: new Date(groupStart).toISOString(),
+      end: new Date(groupEnd).toISOString(),
+      pairs: Object.keys(pairIdx).length,
+      riskWeight: riskWeight
+    });
+  });
+  groups.sort(function (x, y) {
+    return y.changes.length - x.changes.length ||
+      y.sharedCis.length - x.sharedCis.length ||
+      y.riskWeight - x.riskWeight;
+  });
+
+  var ciPairs = 0;
+  for (i = 0; i < pairs.length; i++) {
+    if (pairs[i].kind === 'ci') ciPairs++;
+  }
+
+  return {
+    pairs: pairs.slice(0, topN),
+    groups: groups,
+    summary: {
+      scheduled: scheduled.length,
+      pairs: pairs.length,
+      ciPairs: ciPairs,
+      servicePairs: pairs.length - ciPairs,
+      groups: groups.length
+    }
+  };
+};
+
+/**
+ * Collision between two scheduled changes whose windows are known to
+ * overlap, or null when they share neither CIs nor (with includeServices)
+ * a service.
+ * @private
+ */
+AnalyticsEngine.prototype._collision = function (x, y, includeServices) {
+  var sharedCis = Object.keys(x.cis).filter(function (uid) { return y.cis[uid]; });
+
+  var sharedServices = [];
+  var svcX = x.edge.businessService;
+  var svcY = y.edge.businessService;
+  if (svcX && y.supports[svcX]) sharedServices.push(svcX);
+  if (svcY && svcY !== svcX && x.supports[svcY]) sharedServices.push(svcY);
+
+  if (!sharedCis.length && (!includeServices || !sharedServices.length)) return null;
+
+  var overlapStart = Math.max(x.start, y.start);
+  var overlapEnd = Math.min(x.end, y.end);
+  return {
+    a: x.edge.uid,
+    b: y.edge.uid,
+    kind: sharedCis.length ? 'ci' : 'service',
+    sharedCis: sharedCis,
+    sharedServices: sharedServices,
+    overlapStart: new Date(overlapStart).toISOString(),
+    overlapEnd: new Date(overlapEnd).toISOString(),
+    overlapHours: Math.round((overlapEnd - overlapStart) / 36e5 * 10) / 10,
+    riskWeight: this._riskWeight(x.edge.risk) + this._riskWeight(y.edge.risk)
+  };
+};
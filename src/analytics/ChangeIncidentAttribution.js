@@ -0,0 +1,207 @@
+/**
+ * ChangeIncidentAttribution — Incidents linked to the changes likely to have caused them
+ *
+ * Extends AnalyticsEngine.prototype. Requires analytics/AnalyticsEngine.js.
+ */
+
+// ===================================================================
+//  12. Change-Incident Attribution
+// ===================================================================
+
+/**
+ * Link each incident to the changes that may have caused it: changes that
+ * ended within windowHours before the incident opened and touched its CI,
+ * or a hypergraph neighbour of it (a CI sharing a change with it). A change
+ * ends at its workEnd; changes without one have not ended and are never
+ * candidates.
+ *
+ * Candidates score proximity x coupling. Proximity falls linearly from 1
+ * (ended as the incident opened) to 0 (windowHours before). Coupling is 1
+ * on the incident's own CI, else the highest Jaccard similarity of change
+ * sets between that CI and a neighbour the change touched.
+ *
+ * Each incident is attributed to its best candidate only, so a change is
+ * "causing" once it is some incident's best candidate. The change-caused
+ * incident rate of a change type, group or CI is its causing changes over
+ * all its changes.
+ *
+ * @param {Object} graph - Hypergraph from HypergraphCore.build()
+ * @param {Object} rawData - { incidents } as from ITILDataSimulator.generate()
+ * @param {Object} [options]
+ * @param {number} [options.windowHours=24] - How long before the incident a change may have ended
+ * @param {boolean} [options.neighbours=true] - Also consider changes on neighbouring CIs
+ * @returns {Object} {
+ *   incidents: [{ number, ci, openedAt, priority, candidates: [{ change, number, via,
+ *                 direct, gapHours, proximity, coupling, score }] }],
+ *   byChangeType: [{ key, name, changes, causing, incidents, rate, causingChanges }],
+ *   byGroup: [...same], byCi: [...same],
+ *   summary: { incidents, attributed, attributionRate, changes, causing, rate }
+ * }
+ *   ci / via are CI node uids (via: the CI the change reached the incident
+ *   through), change a change edge uid. incidents lists only incidents on CIs
+ *   in the graph, best attributed first; candidates are sorted by score.
+ *   The by* lists are sorted by rate, then causing changes; causingChanges
+ *   are their causing change edge uids.
+ */
+AnalyticsEngine.prototype.changeIncidentAttribution = function (graph, rawData, options) {
+  options = options || {};
+  var windowMs = (options.windowHours || 24) * 36e5;
+  var useNeighbours = options.neighbours !== false;
+  var nodeMap = this._nodeMap(graph);
+  var edgeMap = this._edgeMap(graph);
+  var i, j;
+
+  function isCi(uid) {
+    return nodeMap[uid] && nodeMap[uid].type === 'ci';
+  }
+
+  var changeEnd = {}; // change uid -> workEnd ms, ended changes only
+  for (i = 0; i < graph.edges.length; i++) {
+    var ended = this._parseDate(graph.edges[i].workEnd);
+    if (ended) changeEnd[graph.edges[i].uid] = ended;
+  }
+
+  function jaccard(a, b) {
+    var setA = graph.incidence[a];
+    var setB = graph.incidence[b];
+    var shared = 0;
+    setA.forEach(function (uid) { if (setB.has(uid)) shared++; });
+    var union = setA.size + setB.size - shared;
+    return union > 0 ? shared / union : 0;
+  }
+
+  var rawIncidents = (rawData && rawData.incidents) || {};
+  var incNumbers = Object.keys(rawIncidents);
+  var results = [];
+  var causingBy = {}; // change uid -> attributed incident count
+
+  for (i = 0; i < incNumbers.length; i++) {
+    var inc = rawIncidents[incNumbers[i]];
+    var ciUid = inc.affectedCI && inc.affectedCI.id ? 'ci:' + inc.affectedCI.id : null;
+    if (!ciUid || !isCi(ciUid)) continue;
+    var openedAt = this._parseDate(inc.createdAt);
+    if (!openedAt) continue;
+
+    // Candidate changes through the CI itself (coupling 1) or a neighbour
+    var coupling = {}; // change uid -> { coupling, via }
+    graph.incidence[ciUid].forEach(function (edgeUid) {
+      coupling[edgeUid] = { coupling: 1, via: ciUid };
+    });
+    if (useNeighbours) {
+      var neighbours = {};
+      graph.incidence[ciUid].forEach(function (edgeUid) {
+        edgeMap[edgeUid].elements.forEach(function (uid) {
+          if (uid !== ciUid && isCi(uid)) neighbours[uid] = true;
+        });
+      });
+      Object.keys(neighbours).forEach(function (nUid) {
+        var strength = jaccard(ciUid, nUid);
+        graph.incidence[nUid].forEach(function (edgeUid) {
+          if (!coupling[edgeUid] || coupling[edgeUid].coupling < strength) {
+            coupling[edgeUid] = { coupling: strength, via: nUid };
+          }
+        });
+      });
+    }
+
+    var candidates = [];
+    var edgeUids = Object.keys(coupling);
+    for (j = 0; j < edgeUids.length; j++) {
+      if (!changeEnd[edgeUids[j]]) continue;
+      var edge = edgeMap[edgeUids[j]];
+      var gap = openedAt - changeEnd[edgeUids[j]];
+      if (gap < 0 || gap > windowMs) continue;
+      var proximity = 1 - gap / windowMs;
+      var c = coupling[edgeUids[j]];
+      candidates.push({
+        change: edge.uid,
+        number: edge.number,
+        via: c.via,
+        direct: c.via === ciUid,
+        gapHours: Math.round(gap / 36e5 * 10) / 10,
+        proximity: Math.round(proximity * 1000) / 1000,
+        coupling: Math.round(c.coupling * 1000) / 1000,
+        score: Math.round(proximity * c.coupling * 1000) / 1000
+      });
+    }
+    candidates.sort(function (x, y) { return y.score - x.score || x.gapHours - y.gapHours; });
+    if (candidates.length && candidates[0].score > 0) {
+      causingBy[candidates[0].change] = (causingBy[candidates[0].change] || 0) + 1;
+    }
+
+    results.push({
+      number: inc.number,
+      ci: ciUid,
+      openedAt: inc.createdAt,
+      priority: inc.priority,
+      candidates: candidates
+    });
+  }
+
+  results.sort(function (x, y) {
+    var sx = x.candidates.length ? x.candidates[0].score : 0;
+    var sy = y.candidates.length ? y.candidates[0].score : 0;
+    return sy - sx;
+  });
+
+  // Roll up per change type, group and CI
+  var byType = {};
+  var byGroup = {};
+  var byCi = {};
+  var changeCount = 0;
+
+  function tally(map, key, name, edgeUid) {
+    if (!key) return;
+    if (!map[key]) {
+      map[key] = { key: key, name: name || key, changes: 0, causing: 0, incidents: 0, rate: 0, causingChanges: [] };
+    }
+    map[key].changes++;
+    if (causingBy[edgeUid]) {
+      map[key].causing++;
+      map[key].incidents += causingBy[edgeUid];
+      map[key].causingChanges.push(edgeUid);
+    }
+  }
+
+  for (i = 0; i < graph.edges.length; i++) {
+    var e = graph.edges[i];
+    if (!e.number) continue;
+    changeCount++;
+    tally(byType, e.changeType, e.changeType, e.uid);
+    tally(byGroup, e.assignmentGroup, e.assignmentGroup, e.uid);
+    for (j = 0; j < e.elements.length; j++) {
+      if (isCi(e.elements[j])) tally(byCi, e.elements[j], nodeMap[e.elements[j]].name, e.uid);
+    }
+  }
+
+  function ranked(map) {
+    var list = Object.keys(map).map(function (key) {
+      var entry = map[key];
+      entry.rate = entry.changes > 0 ? Math.round(entry.causing / entry.changes * 100) / 100 : 0;
+      return entry;
+    });
+    list.sort(function (x, y) { return y.rate - x.rate || y.causing - x.causing; });
+    return list;
+  }
+
+  var attributed = 0;
+  for (i = 0; i < results.length; i++) {
+    if (results[i].candidates.length && results[i].candidates[0].score > 0) attributed++;
+  }
+  var causing = Object.keys(causingBy).length;
+
+  return {
+    incidents: results,
+    byChangeType: ranked(byType),
+    byGroup: ranked(byGroup),
+    byCi: ranked(byCi),
+    summary: {
+      incidents: results.length,
+      attributed: attributed,
+      attributionRate: results.length > 0 ? Math.round(attributed / results.length * 100) / 100 : 0,
+      changes: changeCount,
+      causing: causing,
+      rate: changeCount > 0 ? Math.round(causing / changeCount * 100) / 100 : 0
+    }
+  };
+};
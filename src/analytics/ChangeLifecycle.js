@@ -0,0 +1,112 @@
+/**
+ * ChangeLifecycle — Change success rates from close codes
+ *
+ * Extends AnalyticsEngine.prototype. Requires analytics/AnalyticsEngine.js.
+ */
+
+// ===================================================================
+//  10. Change Lifecycle
+// ===================================================================
+
+/**
+ * Success rate of the closed changes, overall and per CI, business service
+ * and assignment group. A change counts once it has a close code;
+ * "Successful with issues" is a success, Unsuccessful / backed out is not
+ * (see _changeOutcome).
+ *
+ * @param {Object} graph - Hypergraph from HypergraphCore.build(), whose change
+ *   hyperedges carry closeCode, state, plannedEnd, workEnd, onHold, cabRequired
+ * @param {Object} [options]
+ * @param {number} [options.minClosed=1] - Closed changes for a CI / service / group to be listed
+ * @returns {Object} {
+ *   overall:   { changes, open, closed, successful, withIssues, failed, successRate,
+ *                overran, onHold, cabRequired },
+ *   byCi:      [{ key, name, closed, successful, withIssues, failed, successRate, changes }],
+ *   byService: [...same],
+ *   byGroup:   [...same]
+ * }
+ *   key is the CI node uid, or the service / group name. changes are the
+ *   closed change edge uids. Lists are sorted worst first: lowest successRate,
+ *   then most failures. overran counts changes whose work ended after the
+ *   planned end.
+ */
+AnalyticsEngine.prototype.changeSuccessRates = function (graph, options) {
+  options = options || {};
+  var minClosed = options.minClosed || 1;
+  var nodeMap = this._nodeMap(graph);
+  var overall = {
+    changes: 0, open: 0, closed: 0, successful: 0, withIssues: 0, failed: 0,
+    successRate: 0, overran: 0, onHold: 0, cabRequired: 0
+  };
+  var byCi = {};
+  var byService = {};
+  var byGroup = {};
+
+  function tally(map, key, name, edge, outcome) {
+    if (!key) return;
+    if (!map[key]) {
+      map[key] = { key: key, name: name || key, closed: 0, successful: 0, withIssues: 0, failed: 0, successRate: 0, changes: [] };
+    }
+    var entry = map[key];
+    entry.closed++;
+    if (outcome === 'successful') entry.successful++;
+    else if (outcome === 'issues') entry.withIssues++;
+    else entry.failed++;
+    entry.changes.push(edge.uid);
+  }
+
+  for (var i = 0; i < graph.edges.length; i++) {
+    var edge = graph.edges[i];
+    if (!edge.number) continue;
+    overall.changes++;
+    if (edge.onHold) overall.onHold++;
+    if (edge.cabRequired) overall.cabRequired++;
+    if (edge.plannedEnd && edge.workEnd && this._parseDate(edge.workEnd) > this._parseDate(edge.plannedEnd)) {
+      overall.overran++;
+    }
+
+    var outcome = this._changeOutcome(edge.closeCode);
+    if (!outcome) {
+      overall.open++;
+      continue;
+    }
+    overall.closed++;
+    if (outcome === 'successful') overall.successful++;
+    else if (outcome === 'issues') overall.withIssues++;
+    else overall.failed++;
+
+    for (var j = 0; j < edge.elements.length; j++) {
+      var node = nodeMap[edge.elements[j]];
+      if (node && node.type === 'ci') tally(byCi, node.uid, node.name, edge, outcome);
+    }
+    tally(byService, edge.businessService, edge.businessService, edge, outcome);
+    tally(byGroup, edge.assignmentGroup, edge.assignmentGroup, edge, outcome);
+  }
+
+  function rate(entry) {
+    return entry.closed > 0 ? Math.round((entry.successful + entry.withIssues) / entry.closed * 100) / 100 : 0;
+  }
+
+  function ranked(map) {
+    var list = [];
+    var keys = Object.keys(map);
+    for (var k = 0; k < keys.length; k++) {
+      var entry = map[keys[k]];
+      if (entry.closed < minClosed) continue;
+      entry.successRate = rate(entry);
+      list.push(entry);
+    }
+    list.sort(function (x, y) {
+      return x.successRate - y.successRate || y.failed - x.failed || y.closed - x.closed;
+    });
+    return list;
+  }
+
+  overall.successRate = rate(overall);
+  return {
+    overall: overall,
+    byCi: ranked(byCi),
+    byService: ranked(byService),
+    byGroup: ranked(byGroup)
+  };
+};
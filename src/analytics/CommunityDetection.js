@@ -21,7 +21,10 @@ AnalyticsEngine.prototype.detectCommunities = function (graph) {
   }
 
   var proj = this._projectedAdjacency(graph);
-  var nodes = proj.nodes;   // CI uids only
+  // CI uids only, leaving out CIs without changes (inventory-only nodes)
+  var nodes = proj.nodes.filter(function (uid) {
+    return graph.incidence[uid] && graph.incidence[uid].size > 0;
+  });
   var matrix = proj.matrix;
   var n = nodes.length;
 
@@ -173,6 +176,7 @@ AnalyticsEngine.prototype.detectCommunities = function (graph) {
  */
 AnalyticsEngine.prototype._communitySummary = function (communities, graph) {
   var nodeMap = this._nodeMap(graph);
+  var edgeMap = this._edgeMap(graph);
   var result = [];
   var comIds = Object.keys(communities);
 
@@ -191,9 +195,9 @@ AnalyticsEngine.prototype._communitySummary = function (communities, graph) {
       var edgeSet = graph.incidence[members[j]];
       if (edgeSet) {
         var edgeArr = Array.from(edgeSet);
-        for (var e = 0; e < graph.edges.length; e++) {
-          if (!edgeSet.has(graph.edges[e].uid)) continue;
-          var svcName = graph.edges[e].businessService;
+        for (var e = 0; e < edgeArr.length; e++) {
+          var memberEdge = edgeMap[edgeArr[e]];
+          var svcName = memberEdge && memberEdge.businessService;
           if (svcName) serviceCounts[svcName] = (serviceCounts[svcName] || 0) + 1;
         }
       }
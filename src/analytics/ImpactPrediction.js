@@ -25,6 +25,7 @@ AnalyticsEngine.prototype.predictImpact = function (graph, rawData, targetCiUid)
 
   var nodeMap = this._nodeMap(graph);
   if (!nodeMap[targetCiUid]) return [];
+  var edgeMap = this._edgeMap(graph);
 
   var ciUids = this._ciNodes(graph);
   var ciSet = {};
@@ -38,9 +39,9 @@ AnalyticsEngine.prototype.predictImpact = function (graph, rawData, targetCiUid)
   var edgeSet = graph.incidence[targetCiUid];
   if (edgeSet) {
     var edgeArr = Array.from(edgeSet);
-    for (i = 0; i < graph.edges.length; i++) {
-      var edge = graph.edges[i];
-      if (!edgeSet.has(edge.uid)) continue;
+    for (i = 0; i < edgeArr.length; i++) {
+      var edge = edgeMap[edgeArr[i]];
+      if (!edge) continue;
       for (j = 0; j < edge.elements.length; j++) {
         var el = edge.elements[j];
         if (el !== targetCiUid && ciSet[el]) {
@@ -130,10 +131,11 @@ AnalyticsEngine.prototype.predictImpact = function (graph, rawData, targetCiUid)
   var targetNeighbors = {};
   var neighborCount = 0;
   if (edgeSet) {
-    for (i = 0; i < graph.edges.length; i++) {
-      if (!edgeSet.has(graph.edges[i].uid)) continue;
-      for (j = 0; j < graph.edges[i].elements.length; j++) {
-        var ne = graph.edges[i].elements[j];
+    for (i = 0; i < edgeArr.length; i++) {
+      var targetEdge = edgeMap[edgeArr[i]];
+      if (!targetEdge) continue;
+      for (j = 0; j < targetEdge.elements.length; j++) {
+        var ne = targetEdge.elements[j];
         if (ne !== targetCiUid) {
           targetNeighbors[ne] = true;
           neighborCount++;
@@ -149,10 +151,12 @@ AnalyticsEngine.prototype.predictImpact = function (graph, rawData, targetCiUid)
     var otherEdgeSet = graph.incidence[otherUid];
     if (!otherEdgeSet) continue;
     var otherNeighbors = {};
-    for (j = 0; j < graph.edges.length; j++) {
-      if (!otherEdgeSet.has(graph.edges[j].uid)) continue;
-      for (var k = 0; k < graph.edges[j].elements.length; k++) {
-        var ne2 = graph.edges[j].elements[k];
+    var otherEdges = Array.from(otherEdgeSet);
+    for (j = 0; j < otherEdges.length; j++) {
+      var otherEdge = edgeMap[otherEdges[j]];
+      if (!otherEdge) continue;
+      for (var k = 0; k < otherEdge.elements.length; k++) {
+        var ne2 = otherEdge.elements[k];
         if (ne2 !== otherUid) otherNeighbors[ne2] = true;
       }
     }
@@ -0,0 +1,113 @@
+/**
+ * RelationshipReconciliation — Declared CMDB relationships vs co-change coupling
+ *
+ * Extends AnalyticsEngine.prototype. Requires analytics/AnalyticsEngine.js
+ * and analytics/CooccurrenceAnalysis.js.
+ */
+
+// ===================================================================
+//  9. Relationship Reconciliation
+// ===================================================================
+
+/**
+ * Compare the relationships the CMDB declares (cmdb_rel_ci) with the CI
+ * pairs that change together. Relationships are only judged when both CIs
+ * are in the graph; the rest are counted as outOfScope.
+ *
+ * @param {Object} graph - Hypergraph from HypergraphCore.build()
+ * @param {Object} rawData - { taskCiRecords, incidents, relationships }, where
+ *   relationships are { sysId, parent: { id, name }, child: { id, name }, type }
+ * @param {Object} [options]
+ * @param {number} [options.minCoChanges=2] - Shared changes for an undeclared pair to count
+ * @param {number} [options.topN=50] - Undeclared candidates returned
+ * @returns {Object} {
+ *   declaredObserved: [{ parent, child, type, coChanges, composite }],
+ *   declaredOnly:     [{ parent, child, type }],
+ *   undeclared:       [{ a, b, coChanges, composite, jaccard }],
+ *   summary: { declared, declaredObserved, declaredOnly, undeclared, outOfScope, coverage }
+ * }
+ *   Uids are node uids. undeclared is ranked by weightedCooccurrence composite;
+ *   coverage is the share of declared relationships that were seen co-changing.
+ */
+AnalyticsEngine.prototype.relationshipReconciliation = function (graph, rawData, options) {
+  options = options || {};
+  var minCoChanges = options.minCoChanges || 2;
+  var topN = options.topN || 50;
+  var relationships = (rawData && rawData.relationships) || [];
+  var nodeMap = this._nodeMap(graph);
+  var i;
+
+  // Declared pairs in scope, merged across direction and type
+  var declared = {};
+  var declaredKeys = [];
+  var outOfScope = 0;
+  for (i = 0; i < relationships.length; i++) {
+    var rel = relationships[i];
+    var parent = rel.parent ? 'ci:' + rel.parent.id : null;
+    var child = rel.child ? 'ci:' + rel.child.id : null;
+    if (!parent || !child || !nodeMap[parent] || !nodeMap[child]) {
+      outOfScope++;
+      continue;
+    }
+    if (parent === child) continue;
+    var key = this._pairKey(parent, child);
+    if (declared[key]) {
+      if (declared[key].type.indexOf(rel.type) === -1) declared[key].type += ', ' + rel.type;
+      continue;
+    }
+    declared[key] = { parent: parent, child: child, type: rel.type || '' };
+    declaredKeys.push(key);
+  }
+
+  var pairs = this.weightedCooccurrence(graph, rawData, Infinity);
+  var pairByKey = {};
+  for (i = 0; i < pairs.length; i++) {
+    pairByKey[this._pairKey(pairs[i].a, pairs[i].b)] = pairs[i];
+  }
+
+  var declaredObserved = [];
+  var declaredOnly = [];
+  for (i = 0; i < declaredKeys.length; i++) {
+    var d = declared[declaredKeys[i]];
+    var observed = pairByKey[declaredKeys[i]];
+    if (observed) {
+      declaredObserved.push({
+        parent: d.parent,
+        child: d.child,
+        type: d.type,
+        coChanges: observed.rawCount,
+        composite: observed.composite
+      });
+    } else {
+      declaredOnly.push({ parent: d.parent, child: d.child, type: d.type });
+    }
+  }
+  declaredObserved.sort(function (x, y) { return y.coChanges - x.coChanges || y.composite - x.composite; });
+
+  // pairs is already sorted by composite
+  var undeclared = [];
+  for (i = 0; i < pairs.length; i++) {
+    if (pairs[i].rawCount < minCoChanges || declared[this._pairKey(pairs[i].a, pairs[i].b)]) continue;
+    undeclared.push({
+      a: pairs[i].a,
+      b: pairs[i].b,
+      coChanges: pairs[i].rawCount,
+      composite: pairs[i].composite,
+      jaccard: pairs[i].jaccard
+    });
+  }
+
+  return {
+    declaredObserved: declaredObserved,
+    declaredOnly: declaredOnly,
+    undeclared: undeclared.slice(0, topN),
+    summary: {
+      declared: declaredKeys.length,
+      declaredObserved: declaredObserved.length,
+      declaredOnly: declaredOnly.length,
+      undeclared: undeclared.length,
+      outOfScope: outOfScope,
+      coverage: declaredKeys.length > 0 ? Math.round(declaredObserved.length / declaredKeys.length * 100) / 100 : 0
+    }
+  };
+};
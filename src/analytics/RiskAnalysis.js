@@ -7,6 +7,11 @@
 /**
  * Generate a per-CI risk heatmap with multi-factor scoring.
  *
+ * Factors: change frequency, emergency ratio, incident count and coupling
+ * density, each normalized to the highest CI. When the changes carry close
+ * codes, failureRatio (closed changes that were unsuccessful or backed out)
+ * joins them and the weights are spread over five factors.
+ *
  * @param {Object} graph - Hypergraph from HypergraphCore.build()
  * @param {Object} rawData - Output of ITILDataSimulator.generate()
  * @returns {Array<{ci, name, riskScore, factors}>}
@@ -25,20 +30,25 @@ AnalyticsEngine.prototype.riskHeatmap = function (graph, rawData) {
   var changeList = this._changeList(rawData || { taskCiRecords: [] });
 
   // Per-CI metrics
-  var ciStats = {}; // uid -> { changeCount, emergencyCount, coupledCIs (Set) }
+  var ciStats = {}; // uid -> { changeCount, emergencyCount, closedCount, failedCount, coupledCIs (Set) }
   for (i = 0; i < ciUids.length; i++) {
-    ciStats[ciUids[i]] = { changeCount: 0, emergencyCount: 0, coupledCIs: {} };
+    ciStats[ciUids[i]] = { changeCount: 0, emergencyCount: 0, closedCount: 0, failedCount: 0, coupledCIs: {} };
   }
+  var hasOutcomes = false;
 
   // Accumulate from change list
   for (i = 0; i < changeList.length; i++) {
     var chg = changeList[i];
     var isEmergency = (chg.changeType === 'Emergency');
+    var outcome = this._changeOutcome(chg.closeCode);
+    if (outcome) hasOutcomes = true;
     for (j = 0; j < chg.ciUids.length; j++) {
       var ciUid = chg.ciUids[j];
       if (!ciStats[ciUid]) continue;
       ciStats[ciUid].changeCount++;
       if (isEmergency) ciStats[ciUid].emergencyCount++;
+      if (outcome) ciStats[ciUid].closedCount++;
+      if (outcome === 'failed') ciStats[ciUid].failedCount++;
     }
     // Track coupling
     for (var a = 0; a < chg.ciUids.length; a++) {
@@ -71,23 +81,26 @@ AnalyticsEngine.prototype.riskHeatmap = function (graph, rawData) {
     var emergencyRatio = stats.changeCount > 0 ? stats.emergencyCount / stats.changeCount : 0;
     var incidentRate = incidentCounts[uid] || 0;
     var couplingDensity = Object.keys(stats.coupledCIs).length;
+    var failureRatio = stats.closedCount > 0 ? stats.failedCount / stats.closedCount : 0;
 
     rawFactors.push({
       uid: uid,
       changeFrequency: changeFreq,
       emergencyRatio: emergencyRatio,
       incidentRate: incidentRate,
-      couplingDensity: couplingDensity
+      couplingDensity: couplingDensity,
+      failureRatio: failureRatio
     });
   }
 
   // Find maxima for normalization
-  var maxCF = 0, maxER = 0, maxIR = 0, maxCD = 0;
+  var maxCF = 0, maxER = 0, maxIR = 0, maxCD = 0, maxFR = 0;
   for (i = 0; i < rawFactors.length; i++) {
     if (rawFactors[i].changeFrequency > maxCF) maxCF = rawFactors[i].changeFrequency;
     if (rawFactors[i].emergencyRatio > maxER) maxER = rawFactors[i].emergencyRatio;
     if (rawFactors[i].incidentRate > maxIR) maxIR = rawFactors[i].incidentRate;
     if (rawFactors[i].couplingDensity > maxCD) maxCD = rawFactors[i].couplingDensity;
+    if (rawFactors[i].failureRatio > maxFR) maxFR = rawFactors[i].failureRatio;
   }
 
   // Build final results
@@ -99,10 +112,13 @@ AnalyticsEngine.prototype.riskHeatmap = function (graph, rawData) {
     var nER = maxER > 0 ? rf.emergencyRatio / maxER : 0;
     var nIR = maxIR > 0 ? rf.incidentRate / maxIR : 0;
     var nCD = maxCD > 0 ? rf.couplingDensity / maxCD : 0;
+    var nFR = maxFR > 0 ? rf.failureRatio / maxFR : 0;
 
-    var riskScore = Math.round((0.3 * nCF + 0.25 * nER + 0.25 * nIR + 0.2 * nCD) * 100);
+    var riskScore = hasOutcomes
+      ? Math.round((0.25 * nCF + 0.2 * nER + 0.2 * nIR + 0.15 * nCD + 0.2 * nFR) * 100)
+      : Math.round((0.3 * nCF + 0.25 * nER + 0.25 * nIR + 0.2 * nCD) * 100);
 
-    results.push({
+    var entry = {
       ci: rf.uid,
       name: node ? node.name : rf.uid,
       riskScore: riskScore,
@@ -112,7 +128,9 @@ AnalyticsEngine.prototype.riskHeatmap = function (graph, rawData) {
         incidentRate: rf.incidentRate,
         couplingDensity: rf.couplingDensity
       }
-    });
+    };
+    if (hasOutcomes) entry.factors.failureRatio = Math.round(rf.failureRatio * 10000) / 10000;
+    results.push(entry);
   }
 
   results.sort(function (x, y) { return y.riskScore - x.riskScore; });
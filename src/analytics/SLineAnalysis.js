@@ -0,0 +1,135 @@
+/**
+ * SLineAnalysis — Betweenness and component profiles on s-line graphs
+ *
+ * Works on the s-line graphs of HypergraphCore.sLineGraph, where hyperedges
+ * are adjacent only when they share at least s members, so the higher-order
+ * overlap that the pairwise projections flatten is kept.
+ *
+ * Extends AnalyticsEngine.prototype. Requires analytics/AnalyticsEngine.js.
+ */
+
+// ===================================================================
+//  8. s-Line Analysis
+// ===================================================================
+
+/**
+ * s-betweenness centrality (HyperNetX s_betweenness_centrality): Brandes
+ * betweenness on the s-line graph. Line graphs with more than maxSources
+ * vertices are estimated from maxSources evenly spaced sources, scaled up.
+ *
+ * @param {Object} lineGraph - From HypergraphCore.sLineGraph()
+ * @param {Object} [options]
+ * @param {boolean} [options.normalized=true] - Divide by (n-1)(n-2)/2 pairs
+ * @param {number} [options.maxSources=300]
+ * @returns {Object} { vertexUid: score }
+ */
+AnalyticsEngine.prototype.sBetweenness = function (lineGraph, options) {
+  options = options || {};
+  var vertices = lineGraph.vertices;
+  var adjacency = lineGraph.adjacency;
+  var n = vertices.length;
+  var maxSources = options.maxSources || 300;
+  var scores = {};
+  var i, j;
+
+  for (i = 0; i < n; i++) scores[vertices[i]] = 0;
+  if (n < 3) return scores;
+
+  var step = n > maxSources ? n / maxSources : 1;
+  var sources = 0;
+  for (var pos = 0; pos < n; pos += step) {
+    var source = vertices[Math.floor(pos)];
+    sources++;
+
+    // Brandes: BFS for shortest-path counts, then back-propagate dependencies
+    var stack = [];
+    var preds = {};
+    var sigma = {};
+    var dist = {};
+    sigma[source] = 1;
+    dist[source] = 0;
+    var queue = [source];
+    for (var head = 0; head < queue.length; head++) {
+      var v = queue[head];
+      stack.push(v);
+      var next = Object.keys(adjacency[v]);
+      for (j = 0; j < next.length; j++) {
+        var w = next[j];
+        if (dist[w] == null) {
+          dist[w] = dist[v] + 1;
+          sigma[w] = 0;
+          preds[w] = [];
+          queue.push(w);
+        }
+        if (dist[w] === dist[v] + 1) {
+          sigma[w] += sigma[v];
+          preds[w].push(v);
+        }
+      }
+    }
+
+    var delta = {};
+    while (stack.length > 0) {
+      var x = stack.pop();
+      var dx = delta[x] || 0;
+      var p = preds[x] || [];
+      for (j = 0; j < p.length; j++) {
+        delta[p[j]] = (delta[p[j]] || 0) + (sigma[p[j]] / sigma[x]) * (1 + dx);
+      }
+      if (x !== source) scores[x] += dx;
+    }
+  }
+
+  // Each pair was counted from both ends; sampled runs scale to n sources
+  var scale = (n / sources) / 2;
+  if (options.normalized !== false) scale /= (n - 1) * (n - 2) / 2;
+  for (i = 0; i < n; i++) {
+    scores[vertices[i]] = Math.round(scores[vertices[i]] * scale * 10000) / 10000;
+  }
+  return scores;
+};
+
+/**
+ * Describe s-connected components of hyperedges: their size, the distinct
+ * members they cover and the members most shared inside them.
+ *
+ * @param {Object} graph - Hypergraph the components were computed on
+ * @param {string[][]} components - From HypergraphCore.sConnectedComponents()
+ * @param {Object} [options]
+ * @param {string} [options.nodeType] - Only count members of this type
+ * @param {number} [options.topShared=5]
+ * @returns {Array<{edges: string[], edgeCount: number, nodeCount: number, sharedNodes: Array<{uid: string, count: number}>}>}
+ *   sharedNodes: members in two or more of the component's hyperedges, most shared first
+ */
+AnalyticsEngine.prototype.sComponentProfiles = function (graph, components, options) {
+  options = options || {};
+  var nodeType = options.nodeType || null;
+  var topShared = options.topShared || 5;
+  var edgeMap = this._edgeMap(graph);
+  var nodeMap = this._nodeMap(graph);
+
+  return components.map(function (edgeUids) {
+    var count = {};
+    for (var i = 0; i < edgeUids.length; i++) {
+      var elements = edgeMap[edgeUids[i]].elements;
+      for (var j = 0; j < elements.length; j++) {
+        if (nodeType && (!nodeMap[elements[j]] || nodeMap[elements[j]].type !== nodeType)) continue;
+        count[elements[j]] = (count[elements[j]] || 0) + 1;
+      }
+    }
+
+    var members = Object.keys(count);
+    var shared = [];
+    for (var k = 0; k < members.length; k++) {
+      if (count[members[k]] > 1) shared.push({ uid: members[k], count: count[members[k]] });
+    }
+    shared.sort(function (a, b) { return b.count - a.count; });
+
+    return {
+      edges: edgeUids,
+      edgeCount: edgeUids.length,
+      nodeCount: members.length,
+      sharedNodes: shared.slice(0, topShared)
+    };
+  });
+};
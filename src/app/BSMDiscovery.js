@@ -4,17 +4,29 @@
  * Extends BSMDiscovery.prototype. Requires app/BSMDiscovery.js.
  */
 
-/* global ITILDataSimulator, HypergraphCore, BSMHypergraphRenderer, AnalyticsEngine, UpSetRenderer */
+/* global ITILDataSimulator, HypergraphCore, BSMHypergraphRenderer, AnalyticsEngine, UpSetRenderer, SNQuery */
 
 function BSMDiscovery(options) {
   options = options || {};
   this.containerSelector = options.container || '#graph-container';
   this.simulatorOptions = options.simulator || {};
+  this.dataSource = options.dataSource || 'servicenow'; // key of BSMDiscovery.DATA_SOURCES
+  this.sampleGraphUrl = options.sampleGraphUrl || '/api/sample-graph';
+  // SNTableAPI options (instanceUrl, auth provider, retries...) for the servicenow source
+  this.apiOptions = options.api || {};
+  // Table API result cache (SNTableCache options), disabled with cache: false
+  this._tableCache = this._createCache(options.cache);
+  // Promote assignment groups and business services to hypergraph nodes (opt-in)
+  this.includeEntities = options.includeEntities === true;
 
   this._simulator = null;
   this._core = null;
   this._renderer = null;
   this._upsetRenderer = null;
+  this._sourceRawData = null; // as loaded; _rawData / _originalGraph are the filtered view
+  this._sourceGraph = null;
+  this._graphFilter = Object.assign({}, options.filter); // see app/BSMDiscoveryFilter.js
+  this._compare = null; // baseline to diff against, see app/BSMDiscoveryCompare.js
   this._rawData = null;
   this._originalGraph = null;
   this._transposedGraph = null;
@@ -23,33 +35,88 @@ function BSMDiscovery(options) {
   this._primaryView = 'matrix'; // matrix | explorer | force | upset
   this._searchTerm = '';
   this._selectedHyperedgeUid = null;
+  this._highlightedEdgeUids = null; // from an analytics panel, see _highlightEdges
   this._cooccurrenceFilter = '';
+  this._syncState = null; // delta-sync watermark, see app/BSMDiscoverySync.js
 
   // Analytics
   this._analytics = null;
   this._analyticsData = {};
   this._activeTab = 'centrality';
+  this._sLineS = 2; // Overlap tab: changes adjacent when sharing s CIs
 }
 
 // ---------- Initialization ----------
 
 /**
- * Field list for the single ServiceNow Table API query on task_ci.
- * Dot-walked fields pull data from the change_request (task.*) and CI (ci_item.*).
+ * Field lists for the ServiceNow Table API queries.
+ * task_ci: dot-walked fields pull data from the change_request (task.*) and CI (ci_item.*),
+ *   including the planned / actual window, state and close code of the change.
+ * incident: queried over the same date window on opened_at.
+ * cmdb_rel_ci: declared relationships whose parent is a loaded CI.
+ * cmdb_ci: the optional CI inventory (simulatorOptions.inventory).
+ * sys_id / sys_updated_on identify rows and drive the delta-sync watermark (refresh()).
  */
 BSMDiscovery.QUERY_FIELDS = {
   task_ci: [
     'task.number', 'task.type', 'task.risk', 'task.impact',
     'task.u_impact_region', 'task.assignment_group', 'task.business_service',
+    'task.assignment_group.sys_id', 'task.business_service.sys_id',
     'task.sys_created_on',
+    'task.start_date', 'task.end_date', 'task.work_start', 'task.work_end',
+    'task.state', 'task.close_code', 'task.on_hold', 'task.cab_required',
     'ci_item.sys_id',
     'ci_item.name', 'ci_item.sys_class_name', 'ci_item.u_role',
     'ci_item.ip_address', 'ci_item.model_id', 'ci_item.os',
-    'ci_item.sys_updated_on'
+    'ci_item.sys_updated_on',
+    'sys_id', 'sys_updated_on', 'task.sys_updated_on'
   ],
-  filter: 'task.sys_class_name=change_request'
+  filter: 'task.sys_class_name=change_request',
+  incident: [
+    'number', 'priority', 'cmdb_ci', 'business_service',
+    'opened_at', 'resolved_at', 'parent_incident', 'assignment_group',
+    'sys_id', 'sys_updated_on'
+  ],
+  cmdb_rel_ci: ['sys_id', 'parent', 'child', 'type'],
+  cmdb_ci: [
+    'sys_id', 'name', 'sys_class_name', 'u_role', 'ip_address', 'model_id', 'os',
+    'operational_status', 'sys_updated_on'
+  ]
 };
 
+/**
+ * task_ci date-time fields the adapter takes from the internal value (UTC)
+ * rather than the display value, which is in the user's timezone and format.
+ */
+BSMDiscovery.TASK_CI_DATE_FIELDS = ['task.start_date', 'task.end_date', 'task.work_start', 'task.work_end'];
+
+/**
+ * Selectable data sources for init(). 'servicenow' queries the Table API,
+ * 'simulator' runs ITILDataSimulator offline, 'file' reads a local JSON file,
+ * 'sample' fetches a prebuilt graph from the local backend.
+ */
+BSMDiscovery.DATA_SOURCES = {
+  servicenow: { label: 'ServiceNow (live)', loadingText: 'Fetching data from ServiceNow Table API...' },
+  simulator: { label: 'Simulator', loadingText: 'Generating simulated ITIL data...' },
+  file: { label: 'Load file', loadingText: 'Reading data file...' },
+  sample: { label: 'Sample graph (backend)', loadingText: 'Fetching sample graph...' }
+};
+
+/**
+ * Page size used when "load all" drives SNTableAPI.paginate.
+ */
+BSMDiscovery.PAGE_SIZE = 1000;
+
+/**
+ * CI sys_ids per cmdb_rel_ci query (parentIN...), keeping request URLs short.
+ */
+BSMDiscovery.REL_CI_CHUNK_SIZE = 100;
+
+/**
+ * Row cap for the cmdb_ci inventory query outside "load all" mode.
+ */
+BSMDiscovery.INVENTORY_LIMIT = 5000;
+
 /**
  * Update the encoded query display to show the equivalent ServiceNow queries.
  */
@@ -58,15 +125,51 @@ BSMDiscovery.prototype._updateQueryDisplay = function () {
   var startEl = document.getElementById('query-start');
   var endEl = document.getElementById('query-end');
   var displayEl = document.getElementById('query-encoded');
+  var loadAllEl = document.getElementById('query-load-all');
+  var entitiesEl = document.getElementById('query-entities');
   if (!limitEl || !startEl || !endEl || !displayEl) return;
 
+  var sourceEl = document.getElementById('query-source');
+  var source = sourceEl ? sourceEl.value : this.dataSource;
   var limit = limitEl.value || 100;
+  if (loadAllEl && loadAllEl.checked) limit = BSMDiscovery.PAGE_SIZE + ' (paginated, all rows)';
 
-  var queryParts = [];
-  if (BSMDiscovery.QUERY_FIELDS.filter) queryParts.push(BSMDiscovery.QUERY_FIELDS.filter);
-  if (startEl.value) queryParts.push('task.sys_created_on>=' + startEl.value);
-  if (endEl.value) queryParts.push('task.sys_created_on<=' + endEl.value);
-  var query = queryParts.join('^');
+  if (source === 'simulator') {
+    displayEl.textContent = [
+      '\u2500\u2500 ITILDataSimulator \u2500\u2500',
+      'changeCount=' + Math.min(this.simulatorOptions.changeCount || 50, parseInt(limitEl.value, 10) || 100),
+      'incidentCount=' + (this.simulatorOptions.incidentCount || 30),
+      'seed=' + (this.simulatorOptions.seed || 42),
+      'startDate=' + (startEl.value || 'n/a'),
+      'endDate=' + (endEl.value || 'n/a'),
+      'inventory=' + (this._readInventoryControls() ? 'on' : 'off'),
+      'entities=' + ((entitiesEl ? entitiesEl.checked : this.includeEntities) ? 'on' : 'off')
+    ].join('\n');
+    displayEl.classList.add('visible');
+    return;
+  }
+  if (source === 'file') {
+    displayEl.textContent = this._fileName ? 'file: ' + this._fileName : 'No file selected';
+    displayEl.classList.add('visible');
+    return;
+  }
+  if (source === 'sample') {
+    var urlEl = document.getElementById('query-sample-url');
+    displayEl.textContent = 'GET ' + ((urlEl && urlEl.value) || this.sampleGraphUrl);
+    displayEl.classList.add('visible');
+    return;
+  }
+
+  var extraEl = document.getElementById('query-extra');
+  var queries;
+  try {
+    queries = this._buildQueries(startEl.value, endEl.value, extraEl ? extraEl.value : '');
+  } catch (err) {
+    displayEl.textContent = err.message;
+    displayEl.classList.add('visible');
+    return;
+  }
+  var query = queries.taskCi.toString();
 
   var fields = BSMDiscovery.QUERY_FIELDS.task_ci;
   var lines = [];
@@ -75,10 +178,135 @@ BSMDiscovery.prototype._updateQueryDisplay = function () {
   lines.push('sysparm_fields=' + fields.join(','));
   if (query) lines.push('sysparm_query=' + query);
 
+  var incidentQuery = queries.incident.toString();
+  lines.push('');
+  lines.push('\u2500\u2500 incident \u2500\u2500');
+  lines.push('sysparm_limit=' + limit);
+  lines.push('sysparm_fields=' + BSMDiscovery.QUERY_FIELDS.incident.join(','));
+  if (incidentQuery) lines.push('sysparm_query=' + incidentQuery);
+
+  lines.push('');
+  lines.push('\u2500\u2500 cmdb_rel_ci \u2500\u2500');
+  lines.push('sysparm_fields=' + BSMDiscovery.QUERY_FIELDS.cmdb_rel_ci.join(','));
+  lines.push('sysparm_query=parentIN<CIs from task_ci, ' + BSMDiscovery.REL_CI_CHUNK_SIZE + ' per request>');
+
+  var inventory = this._readInventoryControls();
+  if (inventory) {
+    lines.push('');
+    lines.push('\u2500\u2500 cmdb_ci \u2500\u2500');
+    lines.push('sysparm_fields=' + BSMDiscovery.QUERY_FIELDS.cmdb_ci.join(','));
+    lines.push('sysparm_query=sys_class_nameIN' +
+      (inventory.classes.length ? inventory.classes.join(',') : '<classes in task_ci>') +
+      (inventory.operationalStatus ? '^operational_status=' + inventory.operationalStatus : ''));
+    lines.push('\u2500\u2500 stats/task_ci \u2500\u2500');
+    lines.push('sysparm_group_by=ci_item, sysparm_max_fields=task.sys_created_on');
+    lines.push('sysparm_query=' + BSMDiscovery.QUERY_FIELDS.filter + '^ci_itemIN<inventory CIs without changes>');
+  }
+
   displayEl.textContent = lines.join('\n');
   displayEl.classList.add('visible');
 };
 
+/**
+ * Build the task_ci and incident encoded queries for a date window.
+ * extraQuery is AND-ed onto the task_ci query only.
+ *
+ * @param {string} [startDate] - YYYY-MM-DD, inclusive
+ * @param {string} [endDate]   - YYYY-MM-DD
+ * @param {string} [extraQuery] - Additional encoded task_ci conditions
+ * @returns {{taskCi: SNQuery, incident: SNQuery}}
+ */
+BSMDiscovery.prototype._buildQueries = function (startDate, endDate, extraQuery) {
+  var taskCi = SNQuery.parse(BSMDiscovery.QUERY_FIELDS.filter);
+  if (startDate) taskCi.and('task.sys_created_on', '>=', startDate);
+  if (endDate) taskCi.and('task.sys_created_on', '<=', endDate);
+  if (extraQuery) taskCi.addEncoded(extraQuery);
+
+  var incident = new SNQuery();
+  if (startDate) incident.where('opened_at', '>=', startDate);
+  if (endDate) incident.where('opened_at', '<=', endDate);
+
+  return { taskCi: taskCi, incident: incident };
+};
+
+/**
+ * Fill the query controls from a pasted task_ci encoded query.
+ * Standalone (AND) sys_created_on bounds (>=, <=, BETWEEN) with a literal
+ * date become the start/end inputs and a standalone base change_request
+ * filter is dropped; everything else, including any OR group, lands in the
+ * extra-conditions field unchanged.
+ *
+ * @param {string} encoded
+ * @throws {Error} When the query cannot be parsed or uses ^NQ
+ */
+BSMDiscovery.prototype._applyEncodedQuery = function (encoded) {
+  var parsed = SNQuery.parse(encoded.trim());
+  var conditions = parsed.conditions();
+  if (conditions.some(function (c) { return c.segment > 0; })) {
+    throw new Error('^NQ (new query) is not supported in the query panel');
+  }
+
+  var startEl = document.getElementById('query-start');
+  var endEl = document.getElementById('query-end');
+  var extraEl = document.getElementById('query-extra');
+  var base = SNQuery.parse(BSMDiscovery.QUERY_FIELDS.filter).conditions();
+  var dateFields = ['task.sys_created_on', 'sys_created_on'];
+  var datePattern = /\d{4}-\d{2}-\d{2}/;
+
+  function key(c) {
+    return JSON.stringify([c.field, c.operator, c.value]);
+  }
+
+  function isBase(c) {
+    for (var b = 0; b < base.length; b++) {
+      if (c.field === base[b].field && c.operator === base[b].operator && c.value === base[b].value) return true;
+    }
+    return false;
+  }
+
+  // { start, end } days a date condition sets, or null when it is not one
+  function dateBound(c) {
+    if (dateFields.indexOf(c.field) === -1) return null;
+    if (c.operator === 'BETWEEN') {
+      var from = datePattern.exec(c.value[0]);
+      var to = datePattern.exec(c.value[1]);
+      return from && to && startEl && endEl ? { start: from[0], end: to[0] } : null;
+    }
+    var date = datePattern.exec(c.value || '');
+    if (!date) return null;
+    if ((c.operator === '>=' || c.operator === '>') && startEl) return { start: date[0] };
+    if ((c.operator === '<=' || c.operator === '<') && endEl) return { end: date[0] };
+    return null;
+  }
+
+  // Only conditions ANDed on their own can leave the query; dropping one
+  // member of an OR group would change what the rest matches.
+  var taken = {};
+  var start = null;
+  var end = null;
+  for (var i = 0; i < conditions.length; i++) {
+    var c = conditions[i];
+    var next = conditions[i + 1];
+    if (c.join === 'OR' || (next && next.join === 'OR')) continue;
+    if (isBase(c)) {
+      taken[key(c)] = true;
+      continue;
+    }
+    var bound = dateBound(c);
+    if (!bound) continue;
+    if (bound.start) start = bound.start;
+    if (bound.end) end = bound.end;
+    taken[key(c)] = true;
+  }
+
+  var extra = parsed.filter(function (c) { return !taken[key(c)]; });
+
+  if (start) startEl.value = start;
+  if (end) endEl.value = end;
+  if (extraEl) extraEl.value = extra.toString();
+  this._updateQueryDisplay();
+};
+
 /**
  * Re-initialize the app with new query parameters.
  * Reads values from the query parameter controls.
@@ -87,6 +315,8 @@ BSMDiscovery.prototype.reInit = function () {
   var limitEl = document.getElementById('query-limit');
   var startEl = document.getElementById('query-start');
   var endEl = document.getElementById('query-end');
+  var loadAllEl = document.getElementById('query-load-all');
+  var sourceEl = document.getElementById('query-source');
 
   var limit = limitEl ? parseInt(limitEl.value, 10) || 100 : 100;
   var startDate = startEl ? startEl.value : null;
@@ -97,6 +327,15 @@ BSMDiscovery.prototype.reInit = function () {
   this.simulatorOptions.changeCount = Math.max(limit, this.simulatorOptions.changeCount || 200);
   if (startDate) this.simulatorOptions.startDate = startDate;
   if (endDate) this.simulatorOptions.endDate = endDate;
+  this.simulatorOptions.loadAll = !!(loadAllEl && loadAllEl.checked);
+  this.simulatorOptions.inventory = this._readInventoryControls();
+  var entitiesEl = document.getElementById('query-entities');
+  if (entitiesEl) this.includeEntities = entitiesEl.checked;
+  if (sourceEl && sourceEl.value) this.dataSource = sourceEl.value;
+  var extraEl = document.getElementById('query-extra');
+  if (extraEl) this.simulatorOptions.extraQuery = extraEl.value.trim();
+  var sampleUrlEl = document.getElementById('query-sample-url');
+  if (sampleUrlEl && sampleUrlEl.value) this.sampleGraphUrl = sampleUrlEl.value;
 
   this._updateQueryDisplay();
   this._isTransposed = false;
@@ -107,148 +346,765 @@ BSMDiscovery.prototype.reInit = function () {
 
 BSMDiscovery.prototype.init = function () {
   var self = this;
+  var source = BSMDiscovery.DATA_SOURCES[this.dataSource] ? this.dataSource : 'servicenow';
+
+  // Query controls must work before the first successful load so the user
+  // can switch data source when no ServiceNow session is available.
+  if (!this._queryControlsBound) {
+    this._bindQueryControls();
+    this._bindCacheControls();
+    this._bindFilterControls();
+    this._syncFilterControls();
+    this._bindCompareControls();
+    this._queryControlsBound = true;
+  }
+  var cacheStatus = document.getElementById('cache-status');
+  if (cacheStatus) cacheStatus.textContent = '';
 
   // Show loading
-  this._setLoading(true, 'Fetching data from ServiceNow Table API...');
+  this._loadCancelled = false;
+  this._syncState = null;
+  this._updateRefreshButton();
+  var syncStatus = document.getElementById('query-sync-status');
+  if (syncStatus) syncStatus.textContent = '';
+  this._setLoading(true, BSMDiscovery.DATA_SOURCES[source].loadingText);
 
-  var api = new SNTableAPI();
-  
-  var queryParts = [];
-  if (BSMDiscovery.QUERY_FIELDS.filter) queryParts.push(BSMDiscovery.QUERY_FIELDS.filter);
-  if (self.simulatorOptions.startDate) queryParts.push('task.sys_created_on>=' + self.simulatorOptions.startDate);
-  if (self.simulatorOptions.endDate) queryParts.push('task.sys_created_on<=' + self.simulatorOptions.endDate);
-  
-  var activeQuery = queryParts.join('^');
+  this._loadData(source).then(function (result) {
+    self._setLoadingCancelable(false);
+    self._renderCacheInspector();
+    self._setLoading(true, 'Building hypergraph...');
+    if (result.graph) {
+      self._loadGraph(result.graph, result.rawData);
+    } else {
+      self._buildFromRawData(result.rawData);
+    }
+  }).catch(function (error) {
+    self._setLoadingCancelable(false);
+    console.error('[BSM] Data load error', error);
+    self._setLoading(false, 'Failed to load ' + BSMDiscovery.DATA_SOURCES[source].label + ' data');
+  });
+};
+
+/**
+ * Load data from the selected source. Most sources deliver rawData
+ * ({ taskCiRecords, incidents, relationships, inventory }) to be built into a graph; the sample-graph
+ * source delivers a ready-made graph instead.
+ *
+ * @param {string} source - Key of BSMDiscovery.DATA_SOURCES
+ * @returns {Promise<Object>} { rawData, graph } with graph null unless prebuilt
+ */
+BSMDiscovery.prototype._loadData = function (source) {
+  if (source === 'sample') {
+    return this._loadSampleGraph().then(function (graph) {
+      return { rawData: null, graph: graph };
+    });
+  }
+
+  var request;
+  if (source === 'simulator') {
+    request = this._loadSimulatorData();
+  } else if (source === 'file') {
+    request = this._loadFileData();
+  } else {
+    request = this._loadServiceNowData();
+  }
+  return request.then(function (rawData) {
+    return { rawData: rawData, graph: null };
+  });
+};
+
+/**
+ * Query task_ci and incident through the Table API and adapt the results.
+ */
+BSMDiscovery.prototype._loadServiceNowData = function () {
+  var self = this;
+  var api = this._api = this._createApi({
+    onRetry: function (info) { self._onApiRetry(info); },
+    onAbort: function (info) {
+      if (info.reason === 'timeout') console.warn('[BSM] Request timed out', info.url);
+    }
+  });
 
-  api.getRecords('task_ci', {
-    query: activeQuery,
+  var queries;
+  try {
+    queries = this._buildQueries(
+      self.simulatorOptions.startDate,
+      self.simulatorOptions.endDate,
+      self.simulatorOptions.extraQuery
+    );
+  } catch (err) {
+    return Promise.reject(err);
+  }
+
+  var taskCiRequest = this._fetchRecords(api, 'task_ci', {
+    query: queries.taskCi.toString(),
     fields: BSMDiscovery.QUERY_FIELDS.task_ci,
     limit: self.simulatorOptions.limit || 100,
     displayValue: 'all' // Crucial for our adapter
-  }).then(function(result) {
-    self._setLoading(true, 'Building hypergraph...');
-    
-    // 1. Adapt the incoming SN records to match Simulator format
-    self._rawData = self._adaptSNData(result.records);
-    
-    // 2. Build the graph core
-    self._core = new HypergraphCore();
-    self._originalGraph = self._core.build(self._rawData);
-    self._transposedGraph = self._core.transpose(self._originalGraph);
-
-    // 3. Initialize Renderer
-    self._renderer = new BSMHypergraphRenderer(self.containerSelector, {
-      onNodeClick: function (d) { self._showNodeDetail(d); },
-      onHullClick: function (edge) { self._onHyperedgeClick(edge); },
-      onStatsUpdate: function (stats, isTransposed) { self._updateStats(stats, isTransposed); }
+  });
+
+  // Incidents are optional enrichment: a failed query (e.g. ACLs) leaves them empty.
+  // Fetched after task_ci so paginated progress reports one table at a time.
+  var incidentRequest = taskCiRequest.then(function () {
+    if (self._loadCancelled) return [];
+    return self._fetchRecords(api, 'incident', {
+      query: queries.incident.toString(),
+      fields: BSMDiscovery.QUERY_FIELDS.incident,
+      limit: self.simulatorOptions.limit || 100,
+      displayValue: 'all'
     });
+  }).catch(function (error) {
+    console.warn('[BSM] Incident query failed, continuing without incidents', error);
+    return [];
+  });
 
-    // 4. Start rendering loop (same as original code)
+  // Declared relationships of the loaded CIs, optional like incidents
+  var relationshipRequest = incidentRequest.then(function () {
+    return taskCiRequest;
+  }).then(function (taskCiRecords) {
+    if (self._loadCancelled) return [];
+    var seen = {};
+    var ciIds = [];
+    for (var i = 0; i < taskCiRecords.length; i++) {
+      var id = self._snValue(taskCiRecords[i]['ci_item.sys_id']);
+      if (id && !seen[id]) {
+        seen[id] = true;
+        ciIds.push(id);
+      }
+    }
+    return self._fetchRelationships(api, ciIds);
+  }).catch(function (error) {
+    console.warn('[BSM] cmdb_rel_ci query failed, continuing without relationships', error);
+    return [];
+  });
+
+  // CI inventory, only when asked for (see app/BSMDiscoveryInventory.js)
+  var inventoryRequest = relationshipRequest.then(function () {
+    return taskCiRequest;
+  }).then(function (taskCiRecords) {
+    if (self._loadCancelled || !self.simulatorOptions.inventory) return [];
+    return self._fetchInventory(api, self.simulatorOptions.inventory, taskCiRecords);
+  }).catch(function (error) {
+    console.warn('[BSM] cmdb_ci query failed, continuing without the CI inventory', error);
+    return [];
+  });
+
+  return Promise.all([taskCiRequest, incidentRequest, relationshipRequest, inventoryRequest]).then(function (results) {
+    if (self._loadCancelled) {
+      console.warn('[BSM] Load cancelled, building from ' + results[0].length + ' task_ci rows');
+    } else if (self._isCompleteLoad(results[0], results[1])) {
+      // Only a complete load can be brought up to date by refresh()
+      self._recordSyncState(queries, results[0], results[1]);
+    } else {
+      self._showSyncUnavailable('Row limit reached: reload with "Load all" to enable Refresh');
+    }
+
+    // Adapt the incoming SN records to match Simulator format
+    var rawData = self._adaptSNData(results[0]);
+    rawData.incidents = self._adaptSNIncidents(results[1]);
+    rawData.relationships = self._adaptSNRelationships(results[2]);
+    rawData.inventory = results[3];
+    return rawData;
+  });
+};
+
+/**
+ * Fetch the cmdb_rel_ci rows whose parent is one of ciIds, one chunk of
+ * REL_CI_CHUNK_SIZE sys_ids at a time. Each chunk is paged through in
+ * PAGE_SIZE pages, whatever the load mode, so well-connected CIs don't
+ * lose relationships past the first page.
+ *
+ * @param {SNTableAPI} api
+ * @param {string[]} ciIds - CI sys_ids
+ * @returns {Promise<Object[]>} Raw Table API records
+ */
+BSMDiscovery.prototype._fetchRelationships = function (api, ciIds) {
+  var self = this;
+  var rows = [];
+  var chunks = [];
+  for (var i = 0; i < ciIds.length; i += BSMDiscovery.REL_CI_CHUNK_SIZE) {
+    chunks.push(ciIds.slice(i, i + BSMDiscovery.REL_CI_CHUNK_SIZE));
+  }
+
+  return chunks.reduce(function (previous, chunk) {
+    return previous.then(function () {
+      if (self._loadCancelled) return;
+      return api.paginate('cmdb_rel_ci', {
+        query: new SNQuery().where('parent', 'IN', chunk).toString(),
+        fields: BSMDiscovery.QUERY_FIELDS.cmdb_rel_ci,
+        limit: BSMDiscovery.PAGE_SIZE,
+        orderBy: 'sys_id', // stable ordering across pages
+        displayValue: 'all'
+      }, function (records) {
+        for (var j = 0; j < records.length; j++) rows.push(records[j]);
+        return !self._loadCancelled;
+      });
+    });
+  }, Promise.resolve()).then(function () {
+    return rows;
+  });
+};
+
+/**
+ * SNTableAPI client configured from options.api, with per-call overrides
+ * (e.g. progress callbacks) layered on top.
+ *
+ * @param {Object} [overrides]
+ * @returns {SNTableAPI}
+ */
+BSMDiscovery.prototype._createApi = function (overrides) {
+  return new SNTableAPI(Object.assign({ cache: this._tableCache }, this.apiOptions, overrides));
+};
+
+/**
+ * Generate offline data with ITILDataSimulator, driven by simulatorOptions
+ * (changeCount, incidentCount, seed, startDate, endDate, limit).
+ */
+BSMDiscovery.prototype._loadSimulatorData = function () {
+  var self = this;
+  var options = this.simulatorOptions;
+  return new Promise(function (resolve) {
+    // Yield first so the loading overlay paints before generation runs
     setTimeout(function () {
-      self._renderer.render(self._originalGraph);
-      if (!self._controlsBound) {
-        self._bindControls();
-        self._controlsBound = true;
+      var rawData = new ITILDataSimulator(options).generate();
+      rawData.inventory = options.inventory
+        ? self._filterInventory(rawData.inventory, options.inventory, rawData.taskCiRecords)
+        : [];
+      resolve(rawData);
+    }, 0);
+  });
+};
+
+/**
+ * Fetch the backend's sample graph (backend/server.py /api/sample-graph, or
+ * sampleGraphUrl) and normalize it into a HypergraphCore graph.
+ */
+BSMDiscovery.prototype._loadSampleGraph = function () {
+  var url = this.sampleGraphUrl;
+  return fetch(url, {
+    method: 'GET',
+    headers: { 'Accept': 'application/json' }
+  }).then(function (response) {
+    if (!response.ok) {
+      throw new Error('Sample graph request failed: ' + response.status + ' ' + response.statusText + ' (' + url + ')');
+    }
+    return response.json();
+  }).then(function (payload) {
+    return new HypergraphCore().normalize(payload);
+  });
+};
+
+/**
+ * Use the JSON file picked in the query panel (see _readDataFile).
+ */
+BSMDiscovery.prototype._loadFileData = function () {
+  if (!this._fileData) {
+    return Promise.reject(new Error('No data file selected'));
+  }
+  try {
+    return Promise.resolve(this._adaptFileData(this._fileData));
+  } catch (err) {
+    return Promise.reject(err);
+  }
+};
+
+/**
+ * Accept the JSON shapes an analyst is likely to have on disk:
+ *   - simulator / rawData output: { taskCiRecords: [...], incidents: {...}, relationships: [...], inventory: [...] }
+ *   - a Table API response:       { result: [...task_ci rows] }
+ *   - a bare array of task_ci rows
+ * Rows may be flat strings or sysparm_display_value=all objects; both go
+ * through _adaptSNData. Incidents may be an INC-keyed map or raw rows;
+ * relationships and inventory adapted or raw cmdb_rel_ci / cmdb_ci rows.
+ */
+BSMDiscovery.prototype._adaptFileData = function (obj) {
+  var records = null;
+  var incidents = {};
+  var relationships = [];
+  var inventory = [];
+
+  if (Array.isArray(obj)) {
+    records = obj;
+  } else if (obj && Array.isArray(obj.taskCiRecords)) {
+    records = obj.taskCiRecords;
+    if (Array.isArray(obj.incidents)) {
+      incidents = this._adaptSNIncidents(obj.incidents);
+    } else if (obj.incidents && typeof obj.incidents === 'object') {
+      incidents = obj.incidents;
+    }
+    if (Array.isArray(obj.relationships)) {
+      relationships = this._adaptSNRelationships(obj.relationships);
+    }
+    if (Array.isArray(obj.inventory)) {
+      inventory = this._adaptSNInventory(obj.inventory, null);
+    }
+  } else if (obj && Array.isArray(obj.result)) {
+    records = obj.result;
+  }
+
+  if (!records) {
+    throw new Error('Unrecognised data file: expected taskCiRecords, result or an array of task_ci rows');
+  }
+
+  var rawData = this._adaptSNData(records);
+  rawData.incidents = incidents;
+  rawData.relationships = relationships;
+  rawData.inventory = inventory;
+  return rawData;
+};
+
+/**
+ * Read and parse a JSON file chosen in the query panel.
+ *
+ * @param {File} file
+ * @returns {Promise<Object>} Parsed JSON
+ */
+BSMDiscovery.prototype._readDataFile = function (file) {
+  return new Promise(function (resolve, reject) {
+    var reader = new FileReader();
+    reader.onload = function () {
+      try {
+        resolve(JSON.parse(reader.result));
+      } catch (err) {
+        reject(new Error('Invalid JSON in ' + file.name + ': ' + err.message));
       }
-      self._renderPrimaryView();
-      self._updateViewButtons();
-      self._syncSidebarByView();
-      self._updateLegendCounts();
-      self._updateCooccurrence();
-
-      // --- Run analytics ---
-      self._setLoading(true, 'Running analytics...');
-      setTimeout(function () {
-        self._analytics = new AnalyticsEngine();
-
-        var graph = self._originalGraph;
-        var raw = self._rawData;
-
-        // Compute ALL analytics
-        var centralityResults = self._analytics.centrality(graph);
-        var cascades = self._analytics.temporalCascades(graph, raw, 7);
-        var velocity = self._analytics.changeVelocity(raw);
-        var cooccurrence = self._analytics.weightedCooccurrence(graph, raw, 30);
-        var anomalies = self._analytics.detectAnomalies(graph, raw);
-        var riskHeatmap = self._analytics.riskHeatmap(graph, raw);
-        var communities = self._analytics.detectCommunities(graph);
-        var linkPredictions = self._analytics.linkPrediction(graph, 20);
-
-        // Build incident array from rawData
-        var incidents = [];
-        if (raw && raw.incidents) {
-          var incKeys = Object.keys(raw.incidents);
-          for (var ii = 0; ii < incKeys.length; ii++) {
-            incidents.push(raw.incidents[incKeys[ii]]);
-          }
-        }
-        var incidentCorrelation = self._analytics.incidentCorrelation(incidents, graph);
-
-        // Store results
-        self._analyticsData = {
-          centrality: centralityResults,
-          cascades: cascades,
-          velocity: velocity,
-          cooccurrence: cooccurrence,
-          anomalies: anomalies,
-          riskHeatmap: riskHeatmap,
-          communities: communities,
-          linkPredictions: linkPredictions,
-          incidentCorrelation: incidentCorrelation
-        };
-
-        // Supply centrality data to renderer
-        self._renderer.setCentralityData(centralityResults.composite, 'composite');
-
-        // Supply cluster data: build uid -> clusterId map
-        var clusterMap = {};
-        var comIds = Object.keys(communities.communities);
-        for (var ci = 0; ci < comIds.length; ci++) {
-          var members = communities.communities[comIds[ci]];
-          for (var mi = 0; mi < members.length; mi++) {
-            clusterMap[members[mi]] = parseInt(comIds[ci], 10);
-          }
-        }
-        self._renderer.setClusterData(clusterMap);
+    };
+    reader.onerror = function () {
+      reject(reader.error || new Error('Could not read ' + file.name));
+    };
+    reader.readAsText(file);
+  });
+};
 
-        // Supply risk data: build uid -> score map
-        var riskMap = {};
-        for (var ri = 0; ri < riskHeatmap.length; ri++) {
-          riskMap[riskHeatmap[ri].ci] = riskHeatmap[ri].riskScore;
-        }
-        self._renderer.setRiskData(riskMap);
-
-        // Set anomaly nodes for CIs with riskScore > 70
-        var anomalyUids = [];
-        for (var ai = 0; ai < riskHeatmap.length; ai++) {
-          if (riskHeatmap[ai].riskScore > 70) {
-            anomalyUids.push(riskHeatmap[ai].ci);
-          }
-        }
-        self._renderer.setAnomalyNodes(anomalyUids);
-
-        // Populate all analytics panels
-        self._renderCentralityPanel('composite');
-        self._renderTemporalPanel();
-        self._renderAnomaliesPanel();
-        self._renderClustersPanel();
-        self._renderImpactPanel();
-        self._renderIncidentsPanel();
-
-        // Bind analytics controls (only once)
-        if (!self._analyticsControlsBound) {
-          self._bindAnalyticsControls();
-          self._analyticsControlsBound = true;
-        }
+/**
+ * Build the hypergraph from rawData, render it and run analytics.
+ *
+ * @param {Object} rawData - { taskCiRecords, incidents, relationships, inventory }
+ */
+BSMDiscovery.prototype._buildFromRawData = function (rawData) {
+  var core = new HypergraphCore();
+  this._loadGraph(core.build(rawData, { includeEntities: this.includeEntities }), rawData);
+};
+
+/**
+ * Install an already-built hypergraph (from build() or fromJSON()), render
+ * it and run analytics.
+ *
+ * @param {Object} graph - Original (non-transposed) hypergraph
+ * @param {Object} rawData - { taskCiRecords, incidents, relationships, inventory }
+ */
+BSMDiscovery.prototype._loadGraph = function (graph, rawData) {
+  var self = this;
+  self._sourceRawData = rawData || { taskCiRecords: [], incidents: {}, relationships: [], inventory: [] };
+
+  // Build the graph core; the views see the filtered graph
+  self._core = new HypergraphCore();
+  self._sourceGraph = graph;
+  self._populateFilterOptions();
+  self._deriveFilteredView();
 
-        self._setLoading(false);
-      }, 50);
+  // Initialize Renderer
+  self._renderer = new BSMHypergraphRenderer(self.containerSelector, {
+    onNodeClick: function (d) { self._showNodeDetail(d); },
+    onHullClick: function (edge) { self._onHyperedgeClick(edge); },
+    onStatsUpdate: function (stats, isTransposed) { self._updateStats(stats, isTransposed); }
+  });
+
+  // Start rendering loop
+  setTimeout(function () {
+    self._renderer.render(self._originalGraph);
+    if (!self._controlsBound) {
+      self._bindControls();
+      self._controlsBound = true;
+    }
+    self._renderPrimaryView();
+    self._updateViewButtons();
+    self._syncSidebarByView();
+    self._updateLegendCounts();
+    self._updateCooccurrence();
+
+    // --- Run analytics ---
+    self._setLoading(true, 'Running analytics...');
+    setTimeout(function () {
+      self._runAnalytics();
+      self._setLoading(false);
     }, 50);
+  }, 50);
+};
+
+/**
+ * Compute all analytics for the current graph, feed the renderer overlays
+ * and populate the analytics panels.
+ */
+BSMDiscovery.prototype._runAnalytics = function () {
+  var self = this;
+  self._analytics = new AnalyticsEngine();
+
+  var graph = self._originalGraph;
+  var raw = self._rawData;
+
+  // Compute ALL analytics
+  var centralityResults = self._analytics.centrality(graph);
+  var cascades = self._analytics.temporalCascades(graph, raw, 7);
+  var velocity = self._analytics.changeVelocity(raw);
+  var cooccurrence = self._analytics.weightedCooccurrence(graph, raw, 30);
+  var anomalies = self._analytics.detectAnomalies(graph, raw);
+  var riskHeatmap = self._analytics.riskHeatmap(graph, raw);
+  var communities = self._analytics.detectCommunities(graph);
+  var linkPredictions = self._analytics.linkPrediction(graph, 20);
+  var sLine = self._sLineAnalytics(self._sLineS);
+  var reconciliation = self._analytics.relationshipReconciliation(graph, raw);
+  var successRates = self._analytics.changeSuccessRates(graph);
+  var collisions = self._analytics.changeCollisions(graph);
+
+  // Build incident array from rawData
+  var incidents = [];
+  if (raw && raw.incidents) {
+    var incKeys = Object.keys(raw.incidents);
+    for (var ii = 0; ii < incKeys.length; ii++) {
+      incidents.push(raw.incidents[incKeys[ii]]);
+    }
+  }
+  var incidentCorrelation = self._analytics.incidentCorrelation(incidents, graph);
+  var attribution = self._analytics.changeIncidentAttribution(graph, raw, {
+    windowHours: BSMDiscovery.ATTRIBUTION_WINDOW_HOURS
+  });
+
+  // Store results
+  self._analyticsData = {
+    centrality: centralityResults,
+    cascades: cascades,
+    velocity: velocity,
+    cooccurrence: cooccurrence,
+    anomalies: anomalies,
+    riskHeatmap: riskHeatmap,
+    communities: communities,
+    linkPredictions: linkPredictions,
+    sLine: sLine,
+    reconciliation: reconciliation,
+    successRates: successRates,
+    collisions: collisions,
+    incidentCorrelation: incidentCorrelation,
+    attribution: attribution
+  };
+
+  // Supply centrality data to renderer
+  self._renderer.setCentralityData(centralityResults.composite, 'composite');
+
+  // Supply cluster data: build uid -> clusterId map
+  var clusterMap = {};
+  var comIds = Object.keys(communities.communities);
+  for (var ci = 0; ci < comIds.length; ci++) {
+    var members = communities.communities[comIds[ci]];
+    for (var mi = 0; mi < members.length; mi++) {
+      clusterMap[members[mi]] = parseInt(comIds[ci], 10);
+    }
+  }
+  self._renderer.setClusterData(clusterMap);
+
+  // Supply risk data: build uid -> score map
+  var riskMap = {};
+  for (var ri = 0; ri < riskHeatmap.length; ri++) {
+    riskMap[riskHeatmap[ri].ci] = riskHeatmap[ri].riskScore;
+  }
+  self._renderer.setRiskData(riskMap);
+
+  // Set anomaly nodes for CIs with riskScore > 70
+  var anomalyUids = [];
+  for (var ai = 0; ai < riskHeatmap.length; ai++) {
+    if (riskHeatmap[ai].riskScore > 70) {
+      anomalyUids.push(riskHeatmap[ai].ci);
+    }
+  }
+  self._renderer.setAnomalyNodes(anomalyUids);
+
+  // Populate all analytics panels
+  self._renderCentralityPanel('composite');
+  self._renderTemporalPanel();
+  self._renderAnomaliesPanel();
+  self._renderClustersPanel();
+  self._renderOverlapPanel();
+  self._renderImpactPanel();
+  self._renderIncidentsPanel();
+  self._renderAttributionPanel();
+  self._renderReconciliationPanel();
+  self._renderLifecyclePanel();
+  self._renderCollisionsPanel();
+  self._renderComparePanel();
+
+  // Bind analytics controls (only once)
+  if (!self._analyticsControlsBound) {
+    self._bindAnalyticsControls();
+    self._analyticsControlsBound = true;
+  }
+};
+
+/**
+ * Fetch rows from a table for init().
+ *
+ * By default a single getRecords call capped by opts.limit. In "load all"
+ * mode (simulatorOptions.loadAll) drives SNTableAPI.paginate with
+ * BSMDiscovery.PAGE_SIZE pages ordered by sys_id, reporting
+ * "page N of M / rows so far" in the loading overlay. The load is sized up
+ * front with a Stats API count, falling back to the first page's
+ * X-Total-Count when aggregates are not available. Cancelling stops after
+ * the in-flight page and resolves with the rows collected so far.
+ *
+ * @returns {Promise<Object[]>} Raw Table API records
+ */
+BSMDiscovery.prototype._fetchRecords = function (api, table, opts) {
+  var self = this;
+
+  if (!this.simulatorOptions.loadAll) {
+    return api.getRecords(table, opts).then(function (result) {
+      return result.records;
+    });
+  }
+
+  var rows = [];
+  var pageOpts = Object.assign({}, opts, {
+    limit: BSMDiscovery.PAGE_SIZE,
+    offset: 0,
+    orderBy: 'sys_id' // stable ordering across pages
+  });
+
+  this._setLoadingCancelable(true);
+  this._setLoading(true, 'Sizing ' + table + '...');
+
+  return api.getAggregateCount(table, opts.query).catch(function (err) {
+    if (err.aborted) throw err;
+    console.warn('[BSM] Stats API unavailable for ' + table + ', sizing from X-Total-Count', err);
+    return null;
+  }).then(function (expected) {
+    if (expected === 0 || self._loadCancelled) return;
+    if (expected != null) {
+      var pages = Math.ceil(expected / pageOpts.limit);
+      self._setLoading(true, table + ': ' + expected.toLocaleString() + ' rows in ' +
+        pages + (pages === 1 ? ' page...' : ' pages...'));
+    }
+
+    return api.paginate(table, pageOpts, function (records, pageInfo) {
+      for (var i = 0; i < records.length; i++) rows.push(records[i]);
+
+      var total = pageInfo.totalCount != null ? pageInfo.totalCount : expected;
+      var totalPages = total != null ? Math.max(1, Math.ceil(total / pageOpts.limit)) : '?';
+      self._setLoading(true, table + ': page ' + pageInfo.page + ' of ' + totalPages +
+        ' / ' + rows.length + ' rows so far');
+
+      if (self._loadCancelled) return false;
+    });
+  }).then(function () {
+    return rows;
+  }, function (err) {
+    if (err.aborted && self._loadCancelled) return rows;
+    throw err;
+  });
+};
+
+/**
+ * Surface a Table API retry in the loading overlay, e.g.
+ * "task_ci: HTTP 429, retrying in 3s (attempt 2/4)...".
+ */
+BSMDiscovery.prototype._onApiRetry = function (info) {
+  var match = /\/api\/now\/table\/([^/?]+)/.exec(info.url);
+  var reason = info.status ? 'HTTP ' + info.status : (info.error.timeout ? 'timed out' : 'network error');
+  var seconds = Math.max(1, Math.round(info.delay / 1000));
+  this._setLoading(true, (match ? match[1] + ': ' : '') + reason + ', retrying in ' + seconds +
+    's (attempt ' + (info.attempt + 1) + '/' + (info.maxRetries + 1) + ')...');
+};
+
+/**
+ * Request cancellation of an in-progress paginated load. Aborts the page
+ * request in flight (and any pending retry); rows already fetched are kept.
+ */
+BSMDiscovery.prototype.cancelLoad = function () {
+  this._loadCancelled = true;
+  this._setLoading(true, 'Cancelling...');
+  if (this._api) this._api.abort();
+};
+
+/**
+ * Preview what the current query form would load, using only the Stats API:
+ * the task_ci row count (and page count when paginating) plus change counts
+ * per assignment group, business service, risk and month. Shown in
+ * #query-preview-counts.
+ *
+ * @returns {Promise<void>}
+ */
+BSMDiscovery.prototype.previewCounts = function () {
+  var self = this;
+  var outEl = document.getElementById('query-preview-counts');
+  if (!outEl) return Promise.resolve();
+
+  var sourceEl = document.getElementById('query-source');
+  if ((sourceEl ? sourceEl.value : this.dataSource) !== 'servicenow') {
+    outEl.textContent = 'Preview counts is available for the ServiceNow source only';
+    outEl.classList.add('visible');
+    return Promise.resolve();
+  }
+
+  var startEl = document.getElementById('query-start');
+  var endEl = document.getElementById('query-end');
+  var extraEl = document.getElementById('query-extra');
+  var startDate = startEl ? startEl.value : '';
+  var endDate = endEl ? endEl.value : '';
+  var queries;
+  try {
+    queries = this._buildQueries(startDate, endDate, extraEl ? extraEl.value : '');
+  } catch (err) {
+    outEl.textContent = err.message;
+    outEl.classList.add('visible');
+    return Promise.resolve();
+  }
+
+  // Count changes on change_request when every condition is on task.*;
+  // otherwise group task_ci itself, which counts CI links rather than changes.
+  var changeQuery = this._changeQueryFor(queries.taskCi);
+  var table = changeQuery ? 'change_request' : 'task_ci';
+  var prefix = changeQuery ? '' : 'task.';
+  var groupQuery = (changeQuery || queries.taskCi).toString();
+  var api = this._createApi();
+
+  outEl.textContent = 'Counting...';
+  outEl.classList.add('visible');
+
+  function groupCounts(field) {
+    return api.aggregate(table, {
+      query: groupQuery,
+      groupBy: [prefix + field],
+      orderBy: '-COUNT'
+    });
+  }
+
+  var months = this._previewMonths(startDate, endDate);
+  var monthRequests = months.map(function (m) {
+    var q = SNQuery.parse(groupQuery).and(prefix + 'sys_created_on', 'BETWEEN',
+      [SNQuery.dateGenerate(m.start, 'start'), SNQuery.dateGenerate(m.end, 'end')]);
+    return api.getAggregateCount(table, q.toString());
+  });
+
+  return Promise.all([
+    api.getAggregateCount('task_ci', queries.taskCi.toString()),
+    changeQuery ? api.getAggregateCount(table, groupQuery) : Promise.resolve(null),
+    groupCounts('assignment_group'),
+    groupCounts('business_service'),
+    groupCounts('risk'),
+    Promise.all(monthRequests)
+  ]).then(function (results) {
+    outEl.textContent = self._formatCountPreview({
+      taskCiRows: results[0],
+      changes: results[1],
+      unit: changeQuery ? 'changes' : 'CI links',
+      groups: [
+        { label: 'assignment group', rows: results[2] },
+        { label: 'business service', rows: results[3] },
+        { label: 'risk', rows: results[4] }
+      ],
+      months: months.map(function (m, i) { return { label: m.label, count: results[5][i] }; })
+    });
+  }).catch(function (err) {
+    console.error('[BSM] Preview counts failed', err);
+    outEl.textContent = 'Preview failed: ' + err.message +
+      (err.status === 403 ? ' (Stats API access may need the aggregate ACL)' : '');
+  });
+};
 
-  }).catch(function(error) {
-    console.error("API Error", error);
-    self._setLoading(false, "Failed to load ServiceNow data");
+/**
+ * Rewrite a task_ci query whose conditions are all dot-walked through task.*
+ * as the equivalent change_request query. Returns null when any condition
+ * touches another field (e.g. ci_item.*).
+ *
+ * @param {SNQuery} taskCiQuery
+ * @returns {SNQuery|null}
+ */
+BSMDiscovery.prototype._changeQueryFor = function (taskCiQuery) {
+  var conditions = taskCiQuery.conditions();
+  var query = new SNQuery();
+  var segment = 0;
+  for (var i = 0; i < conditions.length; i++) {
+    var c = conditions[i];
+    if (c.field.indexOf('task.') !== 0) return null;
+    if (c.segment !== segment) {
+      query.newQuery();
+      segment = c.segment;
+    }
+    if (c.join === 'OR') {
+      query.or(c.field.substring(5), c.operator, c.value);
+    } else {
+      query.where(c.field.substring(5), c.operator, c.value);
+    }
+  }
+  return query;
+};
+
+/**
+ * Calendar months overlapping [startDate, endDate], clipped to the range.
+ * Capped at 24 months; empty when either bound is missing.
+ *
+ * @returns {{label: string, start: string, end: string}[]}
+ */
+BSMDiscovery.prototype._previewMonths = function (startDate, endDate) {
+  var months = [];
+  if (!startDate || !endDate || startDate > endDate) return months;
+
+  var year = parseInt(startDate.substring(0, 4), 10);
+  var month = parseInt(startDate.substring(5, 7), 10);
+  function pad(n) { return n < 10 ? '0' + n : '' + n; }
+
+  while (months.length < 24) {
+    var label = year + '-' + pad(month);
+    if (label > endDate.substring(0, 7)) break;
+    var lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    var first = label + '-01';
+    var last = label + '-' + pad(lastDay);
+    months.push({
+      label: label,
+      start: first < startDate ? startDate : first,
+      end: last > endDate ? endDate : last
+    });
+    month++;
+    if (month > 12) { month = 1; year++; }
+  }
+  return months;
+};
+
+/**
+ * Plain-text rendering of previewCounts() results for the query panel.
+ * @private
+ */
+BSMDiscovery.prototype._formatCountPreview = function (preview) {
+  var TOP = 8;
+  var lines = [];
+  var pages = Math.ceil(preview.taskCiRows / BSMDiscovery.PAGE_SIZE);
+
+  function row(label, count) {
+    var text = String(label || '(empty)');
+    if (text.length > 26) text = text.substring(0, 25) + '\u2026';
+    while (text.length < 27) text += ' ';
+    return text + count.toLocaleString();
+  }
+
+  lines.push('\u2500\u2500 task_ci \u2500\u2500');
+  lines.push(preview.taskCiRows.toLocaleString() + ' rows / ' + pages + ' page' +
+    (pages === 1 ? '' : 's') + ' of ' + BSMDiscovery.PAGE_SIZE);
+  if (preview.changes != null) lines.push(preview.changes.toLocaleString() + ' changes');
+
+  preview.groups.forEach(function (group) {
+    lines.push('');
+    lines.push('\u2500\u2500 ' + preview.unit + ' by ' + group.label + ' \u2500\u2500');
+    group.rows.slice(0, TOP).forEach(function (r) {
+      var key = Object.keys(r.groupBy)[0];
+      lines.push(row(key ? r.groupBy[key].displayValue : '', r.count || 0));
+    });
+    if (group.rows.length > TOP) lines.push('+' + (group.rows.length - TOP) + ' more');
   });
+
+  if (preview.months.length) {
+    lines.push('');
+    lines.push('\u2500\u2500 ' + preview.unit + ' by month \u2500\u2500');
+    preview.months.forEach(function (m) { lines.push(row(m.label, m.count)); });
+  }
+  return lines.join('\n');
 };
 
 // ---------- View Toggle ----------
@@ -270,10 +1126,13 @@ BSMDiscovery.prototype._adaptSNData = function(records) {
       var key = keys[k];
       var field = raw[key];
       
-      // If the field comes back as an object (due to displayValue: 'all')
-      if (field && typeof field === 'object' && field.hasOwnProperty('value')) {
+      if (BSMDiscovery.TASK_CI_DATE_FIELDS.indexOf(key) !== -1) {
+        // Internal UTC value as ISO, comparable with incident dates
+        adapted[key] = this._snDate(field) || '';
+      } else if (field && typeof field === 'object' && field.hasOwnProperty('value')) {
+        // The field comes back as an object (due to displayValue: 'all')
         // Use raw value for system IDs to avoid using display names as unique IDs
-        if (key === 'ci_item.sys_id' || key === 'task.sys_id') {
+        if (key === 'sys_id' || key.slice(-7) === '.sys_id') {
           adapted[key] = field.value || field.display_value || '';
         } else {
           // Prefer display_value for UI readability (e.g. assignment_group=Network instead of a sys_id)
@@ -290,6 +1149,102 @@ BSMDiscovery.prototype._adaptSNData = function(records) {
   return { taskCiRecords: adaptedRecords, incidents: {} };
 };
 
+/**
+ * Adapter for incident Table API results (sysparm_display_value=all).
+ * Produces the map of INC number -> incident record consumed by the
+ * analytics, matching ITILDataSimulator incidents:
+ *   { number, priority, affectedCI: {id, name}, businessService: {id, name},
+ *     createdAt, resolvedAt, relatedIncidents: [], assignmentGroup: {id, name} }
+ * Parent/child links from parent_incident are recorded in both directions.
+ */
+BSMDiscovery.prototype._adaptSNIncidents = function (records) {
+  var incidents = {};
+  var parents = [];
+  var i;
+
+  for (i = 0; i < records.length; i++) {
+    var raw = records[i];
+    var number = this._snDisplay(raw.number);
+    if (!number) continue;
+
+    incidents[number] = {
+      number: number,
+      priority: parseInt(this._snValue(raw.priority), 10) || 4,
+      affectedCI: this._snRef(raw.cmdb_ci),
+      businessService: this._snRef(raw.business_service),
+      createdAt: this._snDate(raw.opened_at),
+      resolvedAt: this._snDate(raw.resolved_at),
+      relatedIncidents: [],
+      assignmentGroup: this._snRef(raw.assignment_group)
+    };
+
+    var parentNumber = this._snDisplay(raw.parent_incident);
+    if (parentNumber) parents.push({ child: number, parent: parentNumber });
+  }
+
+  for (i = 0; i < parents.length; i++) {
+    var link = parents[i];
+    incidents[link.child].relatedIncidents.push(link.parent);
+    if (incidents[link.parent]) incidents[link.parent].relatedIncidents.push(link.child);
+  }
+
+  return incidents;
+};
+
+/**
+ * cmdb_rel_ci rows -> [{ sysId, parent: { id, name }, child: { id, name }, type }].
+ * Rows already in that shape (simulator output, exported rawData) pass
+ * through.
+ */
+BSMDiscovery.prototype._adaptSNRelationships = function (records) {
+  var self = this;
+  function ref(field) {
+    if (field && typeof field === 'object' && field.id) return { id: field.id, name: field.name || '' };
+    return self._snRef(field);
+  }
+
+  var relationships = [];
+  for (var i = 0; i < records.length; i++) {
+    var raw = records[i];
+    var parent = ref(raw.parent);
+    var child = ref(raw.child);
+    if (!parent || !child) continue;
+    relationships.push({
+      sysId: raw.sysId || this._snValue(raw.sys_id),
+      parent: parent,
+      child: child,
+      type: this._snDisplay(raw.type)
+    });
+  }
+  return relationships;
+};
+
+// ---------- Helpers: Table API field values ----------
+
+BSMDiscovery.prototype._snValue = function (field) {
+  if (field && typeof field === 'object') return field.value || '';
+  return field || '';
+};
+
+BSMDiscovery.prototype._snDisplay = function (field) {
+  if (field && typeof field === 'object') return field.display_value || field.value || '';
+  return field || '';
+};
+
+/** Reference field -> { id, name }, or null when the reference is empty. */
+BSMDiscovery.prototype._snRef = function (field) {
+  var id = this._snValue(field);
+  if (!id) return null;
+  return { id: id, name: this._snDisplay(field) };
+};
+
+/** Internal date-time value ('YYYY-MM-DD HH:mm:ss', UTC) -> ISO string. */
+BSMDiscovery.prototype._snDate = function (field) {
+  var value = this._snValue(field);
+  if (!value) return null;
+  return /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? value.replace(' ', 'T') + 'Z' : value;
+};
+
 BSMDiscovery.prototype.toggleTranspose = function () {
   this.setView(!this._isTransposed);
 };
@@ -304,6 +1259,44 @@ BSMDiscovery.prototype.setView = function (transposed) {
   this._hideNodeDetail();
 };
 
+// ---------- Snapshots ----------
+
+/**
+ * Download the loaded hypergraph and its raw data as a JSON snapshot
+ * (HypergraphCore.toJSON), to be reopened later with importSnapshot.
+ * The snapshot is unfiltered.
+ */
+BSMDiscovery.prototype.exportSnapshot = function () {
+  if (!this._sourceGraph) return;
+  var snapshot = this._core.toJSON(this._sourceGraph, this._sourceRawData);
+  var blob = new Blob([JSON.stringify(snapshot)], { type: 'application/json' });
+  var url = URL.createObjectURL(blob);
+  var link = document.createElement('a');
+  link.href = url;
+  link.download = 'bsm-hypergraph-' + new Date().toISOString().slice(0, 10) + '.json';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Load a snapshot written by exportSnapshot, bypassing the data source.
+ *
+ * @param {Object} obj - Parsed snapshot JSON
+ */
+BSMDiscovery.prototype.importSnapshot = function (obj) {
+  var core = new HypergraphCore();
+  var restored = core.fromJSON(obj);
+  var graph = restored.graph.isTransposed ? core.untranspose(restored.graph) : restored.graph;
+  this._isTransposed = false;
+  this._isUpSetView = false;
+  this._selectedHyperedgeUid = null;
+  this._syncState = null;
+  this._setLoading(true, 'Building hypergraph...');
+  this._loadGraph(graph, restored.rawData);
+};
+
 // ---------- Helper: Name Map ----------
 
 BSMDiscovery.prototype._buildNameMap = function (graph) {
@@ -328,6 +1321,8 @@ BSMDiscovery.prototype._typeBadge = function (uid) {
     type = 'group';
   } else if (uid.indexOf('service:') === 0) {
     type = 'service';
+  } else if (uid.indexOf('change:') === 0) {
+    type = 'change';
   }
   return '<span class="type-badge ' + type + '">' + type + '</span>';
 };
@@ -337,6 +1332,7 @@ BSMDiscovery.prototype._typeBadge = function (uid) {
 BSMDiscovery.prototype._nodeType = function (uid) {
   if (uid.indexOf('group:') === 0) return 'group';
   if (uid.indexOf('service:') === 0) return 'service';
+  if (uid.indexOf('change:') === 0) return 'change';
   return 'ci';
 };
 
@@ -353,6 +1349,20 @@ BSMDiscovery.prototype._setLoading = function (show, message) {
   }
 };
 
+/**
+ * Show or hide the Cancel button in the loading overlay.
+ */
+BSMDiscovery.prototype._setLoadingCancelable = function (cancelable) {
+  var btn = document.getElementById('loading-cancel');
+  if (!btn) return;
+  if (!this._cancelBound) {
+    var self = this;
+    btn.addEventListener('click', function () { self.cancelLoad(); });
+    this._cancelBound = true;
+  }
+  btn.classList.toggle('hidden', !cancelable);
+};
+
 // ---------- Helpers ----------
 
 BSMDiscovery.prototype._setText = function (id, value) {
@@ -51,14 +51,27 @@ BSMDiscovery.prototype._bindAnalyticsControls = function () {
 
       // Update renderer viz mode based on tab
       self._renderer.clearAnalyticsOverlays();
+      if (self._highlightedEdgeUids) self._highlightEdges(null);
       if (tabName === 'centrality') {
-        self._renderer.setVizMode('centrality');
+        self._setVizMode('centrality');
       } else if (tabName === 'clusters') {
-        self._renderer.setVizMode('cluster');
+        self._setVizMode('cluster');
       } else if (tabName === 'anomalies') {
-        self._renderer.setVizMode('risk');
+        self._setVizMode('risk');
+      } else if (tabName === 'compare') {
+        self._setVizMode('diff');
       } else {
-        self._renderer.setVizMode('type');
+        self._setVizMode('type');
+      }
+
+      // Temporal tab overlays the strongest cascades as arrows
+      if (tabName === 'temporal' && self._analyticsData.cascades) {
+        self._renderer.setCascadeOverlays(self._analyticsData.cascades.slice(0, 10));
+      }
+
+      // CMDB tab overlays declared and candidate relationships as dashed links
+      if (tabName === 'cmdb' && self._analyticsData.reconciliation) {
+        self._renderer.setRelationshipOverlays(self._relationshipOverlayLinks());
       }
     });
   });
@@ -82,6 +95,20 @@ BSMDiscovery.prototype._bindAnalyticsControls = function () {
     });
   });
 
+  // Overlap tab: s selector and s-distance inputs
+  var sSelect = document.getElementById('sline-s');
+  if (sSelect) {
+    sSelect.addEventListener('change', function () {
+      self._sLineS = parseInt(sSelect.value, 10) || 1;
+      self._analyticsData.sLine = self._sLineAnalytics(self._sLineS);
+      self._renderOverlapPanel();
+    });
+  }
+  ['sline-from', 'sline-to'].forEach(function (id) {
+    var el = document.getElementById(id);
+    if (el) el.addEventListener('change', function () { self._renderSDistance(); });
+  });
+
   // Impact CI select
   var impactSelect = document.getElementById('impact-ci-select');
   if (impactSelect) {
@@ -103,6 +130,21 @@ BSMDiscovery.prototype._bindAnalyticsControls = function () {
   }
 };
 
+/**
+ * Switch the graph's node encoding and keep the sidebar switcher in sync.
+ *
+ * @param {string} mode - type | centrality | cluster | risk | diff
+ */
+BSMDiscovery.prototype._setVizMode = function (mode) {
+  if (!this._renderer) return;
+  this._renderer.setVizMode(mode);
+  var active = this._renderer.getVizMode();
+  var btns = document.querySelectorAll('.viz-mode-btn');
+  btns.forEach(function (b) {
+    b.classList.toggle('active', b.getAttribute('data-mode') === active);
+  });
+};
+
 // ==========================================================================
 //  Panel Rendering Methods
 // ==========================================================================
@@ -273,6 +315,14 @@ BSMDiscovery.prototype._renderTemporalPanel = function () {
 
 // ---------- Anomalies Panel ----------
 
+/** Orphan category labels, keyed like AnalyticsEngine.ORPHAN_CATEGORIES. */
+BSMDiscovery.ORPHAN_LABELS = {
+  'never-changed': 'Never changed',
+  'not-in-window': 'Not changed in window',
+  'emergency-only': 'Emergency changes only',
+  'single-change': 'Single change'
+};
+
 BSMDiscovery.prototype._renderAnomaliesPanel = function () {
   var self = this;
   var nameMap = this._buildNameMap(this._originalGraph);
@@ -297,6 +347,7 @@ BSMDiscovery.prototype._renderAnomaliesPanel = function () {
         rHtml += ' | Emergency: ' + (Math.round(ri.factors.emergencyRatio * 100)) + '%';
         rHtml += ' | Incidents: ' + ri.factors.incidentRate;
         rHtml += ' | Coupling: ' + ri.factors.couplingDensity;
+        if (ri.factors.failureRatio != null) rHtml += ' | Failed: ' + Math.round(ri.factors.failureRatio * 100) + '%';
         rHtml += '</div>';
         rHtml += '</div>';
         rHtml += '<div class="risk-score" style="color:' + riskColor + '">' + ri.riskScore + '</div>';
@@ -355,19 +406,35 @@ BSMDiscovery.prototype._renderAnomaliesPanel = function () {
 
   // Orphan CIs
   var orphanContainer = document.getElementById('orphan-list');
+  var orphans = (this._analyticsData.anomalies && this._analyticsData.anomalies.orphans) ? this._analyticsData.anomalies.orphans : [];
+  var orphanSummary = document.getElementById('orphan-summary');
+  if (orphanSummary) {
+    var counts = {};
+    for (var oc = 0; oc < orphans.length; oc++) {
+      counts[orphans[oc].category] = (counts[orphans[oc].category] || 0) + 1;
+    }
+    orphanSummary.innerHTML = Object.keys(counts).length === 0 ? '' : AnalyticsEngine.ORPHAN_CATEGORIES.filter(function (category) {
+      return counts[category];
+    }).map(function (category) {
+      return '<div class="cluster-stat">' + BSMDiscovery.ORPHAN_LABELS[category] + ': <strong>' + counts[category] + '</strong></div>';
+    }).join('');
+  }
   if (orphanContainer) {
-    var orphans = (this._analyticsData.anomalies && this._analyticsData.anomalies.orphans) ? this._analyticsData.anomalies.orphans : [];
     if (orphans.length === 0) {
       orphanContainer.innerHTML = '<div class="analytics-empty">No orphan CIs detected</div>';
     } else {
       var oHtml = '';
-      for (var o = 0; o < Math.min(orphans.length, 15); o++) {
+      for (var o = 0; o < Math.min(orphans.length, 20); o++) {
         var orph = orphans[o];
-        oHtml += '<div class="anomaly-alert warning" data-uid="' + orph.uid + '">';
+        oHtml += '<div class="anomaly-alert ' + (orph.degree === 0 ? 'danger' : 'warning') + '" data-uid="' + orph.uid + '">';
         oHtml += '<div class="ranking-name">' + orph.name + '</div>';
-        oHtml += '<div class="ranking-detail">Degree: ' + orph.degree + ' \u2014 ' + orph.reason + '</div>';
+        oHtml += '<div class="ranking-detail">' + BSMDiscovery.ORPHAN_LABELS[orph.category] + ' \u2014 ' + orph.reason +
+          (orph.operationalStatus && orph.operationalStatus !== '1' ? ' (operational_status ' + orph.operationalStatus + ')' : '') + '</div>';
         oHtml += '</div>';
       }
+      if (orphans.length > 20) {
+        oHtml += '<div class="analytics-empty">\u2026 and ' + (orphans.length - 20) + ' more</div>';
+      }
       orphanContainer.innerHTML = oHtml;
 
       // Click handlers
@@ -448,18 +515,15 @@ BSMDiscovery.prototype._renderClustersPanel = function () {
         }
       }
 
-      var clusterPalette = [
-        '#4fc3f7', '#ff8a65', '#81c784', '#ce93d8',
-        '#ffd54f', '#4dd0e1', '#f48fb1', '#a5d6a7',
-        '#90caf9', '#ffab91', '#80cbc4', '#e6ee9c'
-      ];
+      var clusterPalette = BSMHypergraphRenderer.CLUSTER_PALETTE;
 
       var dHtml = '';
       for (var ci = 0; ci < comIds.length; ci++) {
         var comId = comIds[ci];
         var members = communities.communities[comId];
         var summary = summaryLookup[comId] || {};
-        var color = clusterPalette[ci % clusterPalette.length];
+        // Same index as the renderer's cluster fill
+        var color = clusterPalette[parseInt(comId, 10) % clusterPalette.length];
 
         dHtml += '<div class="cluster-card" data-cluster="' + comId + '" style="border-left: 3px solid ' + color + '">';
         dHtml += '<div class="cluster-header">';
@@ -497,7 +561,7 @@ BSMDiscovery.prototype._renderClustersPanel = function () {
 
           // Highlight cluster members in graph
           var clusterMembers = communities.communities[clusterId] || [];
-          self._renderer.setVizMode('cluster');
+          self._setVizMode('cluster');
           self._renderer.highlightNodes(clusterMembers);
         });
       });
@@ -505,6 +569,527 @@ BSMDiscovery.prototype._renderClustersPanel = function () {
   }
 };
 
+// ---------- CMDB Reconciliation Panel ----------
+
+/** Candidate missing relationships drawn on the graph. */
+BSMDiscovery.RECONCILIATION_OVERLAY_CANDIDATES = 15;
+
+/** Items listed per reconciliation bucket. */
+BSMDiscovery.RECONCILIATION_LIST_LIMIT = 15;
+
+/**
+ * Dashed links for the renderer: every declared relationship in scope,
+ * plus the strongest undeclared candidates.
+ */
+BSMDiscovery.prototype._relationshipOverlayLinks = function () {
+  var data = this._analyticsData.reconciliation;
+  var links = [];
+  var i;
+  for (i = 0; i < data.declaredObserved.length; i++) {
+    links.push({ source: data.declaredObserved[i].parent, target: data.declaredObserved[i].child, status: 'observed' });
+  }
+  for (i = 0; i < data.declaredOnly.length; i++) {
+    links.push({ source: data.declaredOnly[i].parent, target: data.declaredOnly[i].child, status: 'declared' });
+  }
+  var candidates = data.undeclared.slice(0, BSMDiscovery.RECONCILIATION_OVERLAY_CANDIDATES);
+  for (i = 0; i < candidates.length; i++) {
+    links.push({ source: candidates[i].a, target: candidates[i].b, status: 'missing' });
+  }
+  return links;
+};
+
+BSMDiscovery.prototype._renderReconciliationPanel = function () {
+  var self = this;
+  var data = this._analyticsData.reconciliation;
+  var nameMap = this._buildNameMap(this._originalGraph);
+  var limit = BSMDiscovery.RECONCILIATION_LIST_LIMIT;
+
+  function name(uid) {
+    return self._escapeHtml(nameMap[uid] || uid);
+  }
+
+  function more(count) {
+    return count > limit ? '<div class="analytics-empty">\u2026 and ' + (count - limit) + ' more</div>' : '';
+  }
+
+  // Pair items highlight both CIs on click
+  function bindPairs(container, pairs) {
+    var items = container.querySelectorAll('.ranking-item');
+    items.forEach(function (item) {
+      item.addEventListener('click', function () {
+        var pair = pairs[parseInt(item.getAttribute('data-idx'), 10)];
+        items.forEach(function (it) { it.classList.remove('active'); });
+        item.classList.add('active');
+        self._renderer.highlightNodes([pair[0], pair[1]]);
+      });
+    });
+  }
+
+  // Summary
+  var summaryEl = document.getElementById('reconciliation-summary');
+  if (summaryEl) {
+    var s = data.summary;
+    var sHtml = '';
+    if (s.declared === 0) {
+      sHtml += '<div class="analytics-empty">No CMDB relationships between CIs in the graph' +
+        (s.outOfScope > 0 ? ' (' + s.outOfScope + ' reach CIs outside it)' : '') + '</div>';
+    } else {
+      sHtml += '<div class="cluster-stat">Declared: <strong>' + s.declared + '</strong></div>';
+      sHtml += '<div class="cluster-stat">Co-changed: <strong>' + s.declaredObserved + '</strong> (' + Math.round(s.coverage * 100) + '%)</div>';
+      sHtml += '<div class="cluster-stat">Never co-changed: <strong>' + s.declaredOnly + '</strong></div>';
+      if (s.outOfScope > 0) sHtml += '<div class="cluster-stat">Outside the graph: <strong>' + s.outOfScope + '</strong></div>';
+    }
+    sHtml += '<div class="cluster-stat">Undeclared candidates: <strong>' + s.undeclared + '</strong></div>';
+    summaryEl.innerHTML = sHtml;
+  }
+
+  // Candidate missing relationships
+  var undeclaredEl = document.getElementById('reconciliation-undeclared');
+  if (undeclaredEl) {
+    if (data.undeclared.length === 0) {
+      undeclaredEl.innerHTML = '<div class="analytics-empty">No strongly co-changing pair lacks a declared relationship</div>';
+    } else {
+      var shown = data.undeclared.slice(0, limit);
+      var maxComposite = shown[0].composite || 1;
+      var uHtml = '';
+      for (var ui = 0; ui < shown.length; ui++) {
+        var u = shown[ui];
+        uHtml += '<div class="ranking-item" data-idx="' + ui + '">';
+        uHtml += '<span class="ranking-rank">' + (ui + 1) + '</span>';
+        uHtml += '<div class="ranking-info">';
+        uHtml += '<div class="ranking-name">' + name(u.a) + ' \u2194 ' + name(u.b) + '</div>';
+        uHtml += '<div class="ranking-detail">' + u.coChanges + ' shared changes, Jaccard ' + u.jaccard + '</div>';
+        uHtml += '</div>';
+        uHtml += '<div class="ranking-score">' + u.composite + '</div>';
+        uHtml += '<div class="ranking-bar"><div class="ranking-bar-fill" style="width:' + Math.round(u.composite / maxComposite * 100) + '%"></div></div>';
+        uHtml += '</div>';
+      }
+      undeclaredEl.innerHTML = uHtml + more(data.summary.undeclared);
+      bindPairs(undeclaredEl, shown.map(function (p) { return [p.a, p.b]; }));
+    }
+  }
+
+  // Declared buckets
+  function renderDeclared(elementId, list, empty, detail) {
+    var el = document.getElementById(elementId);
+    if (!el) return;
+    if (list.length === 0) {
+      el.innerHTML = '<div class="analytics-empty">' + empty + '</div>';
+      return;
+    }
+    var shownList = list.slice(0, limit);
+    var html = '';
+    for (var i = 0; i < shownList.length; i++) {
+      var rel = shownList[i];
+      html += '<div class="ranking-item" data-idx="' + i + '">';
+      html += '<div class="ranking-info">';
+      html += '<div class="ranking-name">' + name(rel.parent) + ' \u2192 ' + name(rel.child) + '</div>';
+      html += '<div class="ranking-detail">' + self._escapeHtml(rel.type) + detail(rel) + '</div>';
+      html += '</div>';
+      html += '</div>';
+    }
+    el.innerHTML = html + more(list.length);
+    bindPairs(el, shownList.map(function (r) { return [r.parent, r.child]; }));
+  }
+
+  renderDeclared('reconciliation-observed', data.declaredObserved,
+    'No declared relationship was seen co-changing',
+    function (rel) { return ' \u00b7 ' + rel.coChanges + ' shared changes'; });
+  renderDeclared('reconciliation-declared-only', data.declaredOnly,
+    'Every declared relationship was seen co-changing',
+    function () { return ''; });
+
+  if (this._activeTab === 'cmdb') {
+    this._renderer.setRelationshipOverlays(this._relationshipOverlayLinks());
+  }
+};
+
+// ---------- Lifecycle Panel ----------
+
+/** CIs, services and groups listed per success-rate ranking. */
+BSMDiscovery.LIFECYCLE_LIST_LIMIT = 10;
+
+BSMDiscovery.prototype._renderLifecyclePanel = function () {
+  var self = this;
+  var data = this._analyticsData.successRates;
+  var limit = BSMDiscovery.LIFECYCLE_LIST_LIMIT;
+
+  function percent(rate) {
+    return Math.round(rate * 100) + '%';
+  }
+
+  // Summary
+  var summaryEl = document.getElementById('lifecycle-summary');
+  if (summaryEl) {
+    var o = data.overall;
+    var sHtml = '';
+    if (o.closed === 0) {
+      sHtml += '<div class="analytics-empty">No closed changes with a close code' +
+        (o.changes > 0 ? ' among ' + o.changes + ' changes' : '') + '</div>';
+    } else {
+      sHtml += '<div class="cluster-stat">Success rate: <strong>' + percent(o.successRate) + '</strong> of ' + o.closed + ' closed</div>';
+      sHtml += '<div class="cluster-stat">Successful: <strong>' + o.successful + '</strong></div>';
+      sHtml += '<div class="cluster-stat">With issues: <strong>' + o.withIssues + '</strong></div>';
+      sHtml += '<div class="cluster-stat">Unsuccessful: <strong>' + o.failed + '</strong></div>';
+      sHtml += '<div class="cluster-stat">Overran plan: <strong>' + o.overran + '</strong></div>';
+    }
+    if (o.open > 0) sHtml += '<div class="cluster-stat">Not closed: <strong>' + o.open + '</strong></div>';
+    if (o.onHold > 0) sHtml += '<div class="cluster-stat">On hold: <strong>' + o.onHold + '</strong></div>';
+    if (o.cabRequired > 0) sHtml += '<div class="cluster-stat">CAB required: <strong>' + o.cabRequired + '</strong></div>';
+    summaryEl.innerHTML = sHtml;
+  }
+
+  // Rankings, worst first; click highlights the CI, or the CIs of the
+  // service's / group's changes
+  function renderRates(elementId, list, highlight) {
+    var el = document.getElementById(elementId);
+    if (!el) return;
+    if (list.length === 0) {
+      el.innerHTML = '<div class="analytics-empty">No closed changes</div>';
+      return;
+    }
+    var shown = list.slice(0, limit);
+    var html = '';
+    for (var i = 0; i < shown.length; i++) {
+      var entry = shown[i];
+      html += '<div class="ranking-item" data-idx="' + i + '">';
+      html += '<span class="ranking-rank">' + (i + 1) + '</span>';
+      html += '<div class="ranking-info">';
+      html += '<div class="ranking-name">' + self._escapeHtml(entry.name) + '</div>';
+      html += '<div class="ranking-detail">' + entry.closed + ' closed \u00b7 ' + entry.failed + ' unsuccessful \u00b7 ' +
+        entry.withIssues + ' with issues</div>';
+      html += '</div>';
+      html += '<div class="ranking-score">' + percent(entry.successRate) + '</div>';
+      html += '<div class="ranking-bar"><div class="ranking-bar-fill" style="width:' + Math.round(entry.successRate * 100) + '%"></div></div>';
+      html += '</div>';
+    }
+    el.innerHTML = html;
+
+    var items = el.querySelectorAll('.ranking-item');
+    items.forEach(function (item) {
+      item.addEventListener('click', function () {
+        items.forEach(function (it) { it.classList.remove('active'); });
+        item.classList.add('active');
+        self._renderer.highlightNodes(highlight(shown[parseInt(item.getAttribute('data-idx'), 10)]));
+      });
+    });
+  }
+
+  function changeMembers(entry) {
+    return self._edgeMembers(entry.changes);
+  }
+
+  renderRates('lifecycle-ci', data.byCi, function (entry) { return [entry.key]; });
+  renderRates('lifecycle-service', data.byService, changeMembers);
+  renderRates('lifecycle-group', data.byGroup, changeMembers);
+};
+
+// ---------- Collisions Panel ----------
+
+/** Collision pairs listed. */
+BSMDiscovery.COLLISION_LIST_LIMIT = 20;
+
+/**
+ * Highlight change hyperedges picked in an analytics panel: their hulls in
+ * the force graph, or their columns (kept in view) in the incidence matrix.
+ *
+ * @param {string[]|null} edgeUids - Change edge uids; null clears
+ */
+BSMDiscovery.prototype._highlightEdges = function (edgeUids) {
+  this._highlightedEdgeUids = edgeUids && edgeUids.length ? edgeUids : null;
+  if (this._primaryView === 'matrix') {
+    if (this._originalGraph) this._renderIncidenceMatrixView();
+    return;
+  }
+  if (!this._highlightedEdgeUids) {
+    this._renderer.clearHighlight();
+    return;
+  }
+  var graph = this._isTransposed ? this._transposedGraph : this._originalGraph;
+  if (graph.isTransposed) {
+    this._renderer.highlightNodes(edgeUids);
+    return;
+  }
+  var edgeMap = this._core.edgeIndex(graph);
+  this._renderer.highlightHyperedges(edgeUids.map(function (uid) { return edgeMap[uid]; }).filter(Boolean));
+};
+
+BSMDiscovery.prototype._renderCollisionsPanel = function () {
+  var self = this;
+  var data = this._analyticsData.collisions;
+  var edgeMap = this._core.edgeIndex(this._originalGraph);
+  var nameMap = this._buildNameMap(this._originalGraph);
+
+  function number(uid) {
+    return self._escapeHtml(edgeMap[uid] ? edgeMap[uid].number : uid);
+  }
+
+  function shortDate(iso) {
+    return self._escapeHtml(iso.slice(0, 16).replace('T', ' '));
+  }
+
+  function bindItems(container, uidLists) {
+    var items = container.querySelectorAll('.ranking-item');
+    items.forEach(function (item) {
+      item.addEventListener('click', function () {
+        items.forEach(function (it) { it.classList.remove('active'); });
+        item.classList.add('active');
+        self._highlightEdges(uidLists[parseInt(item.getAttribute('data-idx'), 10)]);
+      });
+    });
+  }
+
+  // Summary
+  var summaryEl = document.getElementById('collision-summary');
+  if (summaryEl) {
+    var s = data.summary;
+    var sHtml = '';
+    if (s.scheduled === 0) {
+      sHtml += '<div class="analytics-empty">No changes with a planned window</div>';
+    } else {
+      sHtml += '<div class="cluster-stat">Scheduled changes: <strong>' + s.scheduled + '</strong></div>';
+      sHtml += '<div class="cluster-stat">Colliding pairs: <strong>' + s.pairs + '</strong></div>';
+      sHtml += '<div class="cluster-stat">On shared CIs: <strong>' + s.ciPairs + '</strong></div>';
+      sHtml += '<div class="cluster-stat">On a shared service: <strong>' + s.servicePairs + '</strong></div>';
+      sHtml += '<div class="cluster-stat">Groups of 3+: <strong>' + s.groups + '</strong></div>';
+    }
+    summaryEl.innerHTML = sHtml;
+  }
+
+  // Pairs
+  var pairsEl = document.getElementById('collision-pairs');
+  if (pairsEl) {
+    if (data.pairs.length === 0) {
+      pairsEl.innerHTML = '<div class="analytics-empty">No overlapping changes share a CI or service</div>';
+    } else {
+      var shown = data.pairs.slice(0, BSMDiscovery.COLLISION_LIST_LIMIT);
+      var pHtml = '';
+      for (var i = 0; i < shown.length; i++) {
+        var p = shown[i];
+        var shared = p.kind === 'ci'
+          ? p.sharedCis.map(function (uid) { return self._escapeHtml(nameMap[uid] || uid); }).join(', ')
+          : 'Service ' + self._escapeHtml(p.sharedServices.join(', '));
+        pHtml += '<div class="ranking-item" data-idx="' + i + '">';
+        pHtml += '<span class="ranking-rank">' + (i + 1) + '</span>';
+        pHtml += '<div class="ranking-info">';
+        pHtml += '<div class="ranking-name">' + number(p.a) + ' \u2194 ' + number(p.b) + '</div>';
+        pHtml += '<div class="ranking-detail">' + shared + '</div>';
+        pHtml += '<div class="ranking-detail">' + shortDate(p.overlapStart) + ' \u00b7 ' + p.overlapHours + 'h overlap \u00b7 ' +
+          self._escapeHtml((edgeMap[p.a] || {}).risk || 'n/a') + ' + ' + self._escapeHtml((edgeMap[p.b] || {}).risk || 'n/a') + ' risk</div>';
+        pHtml += '</div>';
+        pHtml += '<div class="ranking-score">' + (p.kind === 'ci' ? p.sharedCis.length + ' CI' : 'svc') + '</div>';
+        pHtml += '</div>';
+      }
+      if (data.summary.pairs > shown.length) {
+        pHtml += '<div class="analytics-empty">\u2026 and ' + (data.summary.pairs - shown.length) + ' more</div>';
+      }
+      pairsEl.innerHTML = pHtml;
+      bindItems(pairsEl, shown.map(function (pair) { return [pair.a, pair.b]; }));
+    }
+  }
+
+  // Groups
+  var groupsEl = document.getElementById('collision-groups');
+  if (groupsEl) {
+    if (data.groups.length === 0) {
+      groupsEl.innerHTML = '<div class="analytics-empty">No three or more changes collide together</div>';
+    } else {
+      var gHtml = '';
+      for (var g = 0; g < data.groups.length; g++) {
+        var group = data.groups[g];
+        gHtml += '<div class="ranking-item" data-idx="' + g + '">';
+        gHtml += '<span class="ranking-rank">' + (g + 1) + '</span>';
+        gHtml += '<div class="ranking-info">';
+        gHtml += '<div class="ranking-name">' + group.changes.map(number).join(', ') + '</div>';
+        gHtml += '<div class="ranking-detail">' + group.pairs + ' colliding pairs \u00b7 ' + group.sharedCis.length + ' shared CIs \u00b7 ' +
+          shortDate(group.start) + ' \u2192 ' + shortDate(group.end) + '</div>';
+        gHtml += '</div>';
+        gHtml += '<div class="ranking-score">' + group.changes.length + '</div>';
+        gHtml += '</div>';
+      }
+      groupsEl.innerHTML = gHtml;
+      bindItems(groupsEl, data.groups.map(function (grp) { return grp.changes; }));
+    }
+  }
+};
+
+// ---------- Overlap Panel ----------
+
+/**
+ * s-line analytics of the current graph for the Overlap tab: changes are
+ * adjacent when they share at least s CIs (see HypergraphCore.sLineGraph).
+ *
+ * @param {number} s
+ * @returns {Object} { s, lineGraph, components, profiles, betweenness }
+ */
+BSMDiscovery.prototype._sLineAnalytics = function (s) {
+  var graph = this._originalGraph;
+  var lineGraph = this._core.sLineGraph(graph, s, { nodeType: 'ci' });
+  var components = this._core.sConnectedComponents(graph, s, { lineGraph: lineGraph });
+  return {
+    s: s,
+    lineGraph: lineGraph,
+    components: components,
+    profiles: this._analytics.sComponentProfiles(graph, components.slice(0, 10), { nodeType: 'ci' }),
+    betweenness: this._analytics.sBetweenness(lineGraph)
+  };
+};
+
+BSMDiscovery.prototype._renderOverlapPanel = function () {
+  var self = this;
+  var data = this._analyticsData.sLine;
+  var graph = this._originalGraph;
+  var nameMap = this._buildNameMap(graph);
+  var edgeMap = this._core.edgeIndex(graph);
+
+  function changeLabel(uid) {
+    return edgeMap[uid] ? edgeMap[uid].number : uid;
+  }
+
+  var sSelect = document.getElementById('sline-s');
+  if (sSelect) sSelect.value = String(data.s);
+
+  // Summary
+  var summaryEl = document.getElementById('sline-summary');
+  if (summaryEl) {
+    var links = 0;
+    for (var v = 0; v < data.lineGraph.vertices.length; v++) {
+      links += Object.keys(data.lineGraph.adjacency[data.lineGraph.vertices[v]]).length;
+    }
+    var sHtml = '';
+    sHtml += '<div class="cluster-stat">Changes with ' + data.s + '+ CIs: <strong>' + data.lineGraph.vertices.length + '</strong></div>';
+    sHtml += '<div class="cluster-stat">s-overlaps: <strong>' + (links / 2) + '</strong></div>';
+    sHtml += '<div class="cluster-stat">Families: <strong>' + data.components.length + '</strong></div>';
+    summaryEl.innerHTML = sHtml;
+  }
+
+  // Components
+  var componentsEl = document.getElementById('sline-components');
+  if (componentsEl) {
+    if (data.profiles.length === 0) {
+      componentsEl.innerHTML = '<div class="analytics-empty">No changes share ' + data.s + ' or more CIs</div>';
+    } else {
+      var cHtml = '';
+      for (var ci = 0; ci < data.profiles.length; ci++) {
+        var profile = data.profiles[ci];
+        cHtml += '<div class="cluster-card" data-component="' + ci + '">';
+        cHtml += '<div class="cluster-header">';
+        cHtml += '<strong>Family ' + (ci + 1) + '</strong>';
+        cHtml += '<span class="cluster-stat">' + profile.edgeCount + ' changes, ' + profile.nodeCount + ' CIs</span>';
+        cHtml += '</div>';
+        cHtml += '<div class="ranking-detail">' + profile.edges.slice(0, 8).map(changeLabel).join(', ') +
+          (profile.edgeCount > 8 ? ', …' : '') + '</div>';
+        if (profile.sharedNodes.length > 0) {
+          cHtml += '<div class="ranking-detail">Shared: ' + profile.sharedNodes.map(function (n) {
+            return self._escapeHtml(nameMap[n.uid] || n.uid) + ' (' + n.count + ')';
+          }).join(', ') + '</div>';
+        }
+        cHtml += '</div>';
+      }
+      componentsEl.innerHTML = cHtml;
+
+      var cards = componentsEl.querySelectorAll('.cluster-card');
+      cards.forEach(function (card) {
+        card.addEventListener('click', function () {
+          var profile = data.profiles[parseInt(card.getAttribute('data-component'), 10)];
+          self._renderer.highlightNodes(self._edgeMembers(profile.edges));
+        });
+      });
+    }
+  }
+
+  // s-betweenness
+  var betweennessEl = document.getElementById('sline-betweenness');
+  if (betweennessEl) {
+    var ranked = Object.keys(data.betweenness).filter(function (uid) {
+      return data.betweenness[uid] > 0;
+    });
+    ranked.sort(function (a, b) { return data.betweenness[b] - data.betweenness[a]; });
+    ranked = ranked.slice(0, 10);
+
+    if (ranked.length === 0) {
+      betweennessEl.innerHTML = '<div class="analytics-empty">No change bridges other changes at s = ' + data.s + '</div>';
+    } else {
+      var max = data.betweenness[ranked[0]];
+      var bHtml = '';
+      for (var bi = 0; bi < ranked.length; bi++) {
+        var uid = ranked[bi];
+        var edge = edgeMap[uid];
+        bHtml += '<div class="ranking-item" data-uid="' + uid + '">';
+        bHtml += '<span class="ranking-rank">' + (bi + 1) + '</span>';
+        bHtml += '<div class="ranking-info">';
+        bHtml += '<div class="ranking-name">' + changeLabel(uid) + '</div>';
+        bHtml += '<div class="ranking-detail">' + this._escapeHtml(edge && edge.businessService || '') + '</div>';
+        bHtml += '</div>';
+        bHtml += '<div class="ranking-score">' + data.betweenness[uid] + '</div>';
+        bHtml += '<div class="ranking-bar"><div class="ranking-bar-fill" style="width:' + Math.round(data.betweenness[uid] / max * 100) + '%"></div></div>';
+        bHtml += '</div>';
+      }
+      betweennessEl.innerHTML = bHtml;
+
+      var items = betweennessEl.querySelectorAll('.ranking-item');
+      items.forEach(function (item) {
+        item.addEventListener('click', function () {
+          items.forEach(function (it) { it.classList.remove('active'); });
+          item.classList.add('active');
+          self._renderer.highlightNodes(self._edgeMembers([item.getAttribute('data-uid')]));
+        });
+      });
+    }
+  }
+
+  this._renderSDistance();
+};
+
+/**
+ * s-distance between the two change numbers typed into the Overlap tab.
+ */
+BSMDiscovery.prototype._renderSDistance = function () {
+  var resultEl = document.getElementById('sline-distance');
+  var fromEl = document.getElementById('sline-from');
+  var toEl = document.getElementById('sline-to');
+  if (!resultEl || !fromEl || !toEl) return;
+
+  var from = fromEl.value.trim().toUpperCase();
+  var to = toEl.value.trim().toUpperCase();
+  if (!from || !to) {
+    resultEl.innerHTML = '';
+    return;
+  }
+
+  var data = this._analyticsData.sLine;
+  var graph = this._originalGraph;
+  var missing = [from, to].filter(function (number) { return !graph.edgeById['change:' + number]; });
+  if (missing.length > 0) {
+    resultEl.innerHTML = '<div class="analytics-empty">Not in the current graph: ' + this._escapeHtml(missing.join(', ')) + '</div>';
+    return;
+  }
+
+  var distance = this._core.sDistance(graph, 'change:' + from, 'change:' + to, data.s, { lineGraph: data.lineGraph });
+  resultEl.innerHTML = '<div class="cluster-stat">' + (distance === Infinity
+    ? 'Not connected at s = ' + data.s
+    : 's-distance: <strong>' + distance + '</strong>') + '</div>';
+};
+
+/**
+ * Union of the members of the given hyperedges.
+ * @private
+ */
+BSMDiscovery.prototype._edgeMembers = function (edgeUids) {
+  var edgeMap = this._core.edgeIndex(this._originalGraph);
+  var seen = {};
+  var result = [];
+  for (var i = 0; i < edgeUids.length; i++) {
+    var elements = edgeMap[edgeUids[i]] ? edgeMap[edgeUids[i]].elements : [];
+    for (var j = 0; j < elements.length; j++) {
+      if (seen[elements[j]]) continue;
+      seen[elements[j]] = true;
+      result.push(elements[j]);
+    }
+  }
+  return result;
+};
+
 // ---------- Impact Panel ----------
 
 BSMDiscovery.prototype._renderImpactPanel = function () {
@@ -734,3 +1319,119 @@ BSMDiscovery.prototype._renderIncidentsPanel = function () {
     }
   }
 };
+
+// ---------- Change-Caused Incidents (Incidents tab) ----------
+
+/** Hours before an incident within which a change may have caused it. */
+BSMDiscovery.ATTRIBUTION_WINDOW_HOURS = 24;
+
+/** Incidents, groups and CIs listed in the attribution sections. */
+BSMDiscovery.ATTRIBUTION_LIST_LIMIT = 10;
+
+BSMDiscovery.prototype._renderAttributionPanel = function () {
+  var self = this;
+  var data = this._analyticsData.attribution;
+  var nameMap = this._buildNameMap(this._originalGraph);
+  var limit = BSMDiscovery.ATTRIBUTION_LIST_LIMIT;
+
+  function percent(rate) {
+    return Math.round(rate * 100) + '%';
+  }
+
+  function name(uid) {
+    return self._escapeHtml(nameMap[uid] || uid);
+  }
+
+  // Summary, with the rate per change type
+  var summaryEl = document.getElementById('attribution-summary');
+  if (summaryEl) {
+    var s = data.summary;
+    var sHtml = '';
+    if (s.incidents === 0) {
+      sHtml += '<div class="analytics-empty">No incidents on CIs in the graph</div>';
+    } else {
+      sHtml += '<div class="cluster-stat">Incidents attributed: <strong>' + s.attributed + '</strong> of ' + s.incidents +
+        ' (' + percent(s.attributionRate) + ')</div>';
+      sHtml += '<div class="cluster-stat">Change-caused incident rate: <strong>' + percent(s.rate) + '</strong> of ' + s.changes + ' changes</div>';
+      data.byChangeType.forEach(function (t) {
+        sHtml += '<div class="cluster-stat">' + self._escapeHtml(t.name) + ': <strong>' + percent(t.rate) + '</strong> (' +
+          t.causing + ' of ' + t.changes + ')</div>';
+      });
+    }
+    summaryEl.innerHTML = sHtml;
+  }
+
+  // Incidents with their best candidate; click highlights the change
+  var causesEl = document.getElementById('attribution-incidents');
+  if (causesEl) {
+    var attributed = data.incidents.filter(function (inc) {
+      return inc.candidates.length && inc.candidates[0].score > 0;
+    }).slice(0, limit);
+    if (attributed.length === 0) {
+      causesEl.innerHTML = '<div class="analytics-empty">No incident followed a change on its CI or a neighbour within ' +
+        BSMDiscovery.ATTRIBUTION_WINDOW_HOURS + 'h</div>';
+    } else {
+      var cHtml = '';
+      for (var i = 0; i < attributed.length; i++) {
+        var inc = attributed[i];
+        var best = inc.candidates[0];
+        cHtml += '<div class="ranking-item" data-idx="' + i + '">';
+        cHtml += '<div class="ranking-info">';
+        cHtml += '<div class="ranking-name">' + self._escapeHtml(inc.number) + ' on ' + name(inc.ci) + ' \u2190 ' + self._escapeHtml(best.number) + '</div>';
+        cHtml += '<div class="ranking-detail">' + best.gapHours + 'h before \u00b7 ' +
+          (best.direct ? 'same CI' : 'via ' + name(best.via) + ' (coupling ' + best.coupling + ')') +
+          (inc.candidates.length > 1 ? ' \u00b7 ' + (inc.candidates.length - 1) + ' other candidate' + (inc.candidates.length > 2 ? 's' : '') : '') + '</div>';
+        cHtml += '</div>';
+        cHtml += '<div class="ranking-score">' + best.score + '</div>';
+        cHtml += '</div>';
+      }
+      causesEl.innerHTML = cHtml;
+
+      var causeItems = causesEl.querySelectorAll('.ranking-item');
+      causeItems.forEach(function (item) {
+        item.addEventListener('click', function () {
+          causeItems.forEach(function (it) { it.classList.remove('active'); });
+          item.classList.add('active');
+          self._highlightEdges([attributed[parseInt(item.getAttribute('data-idx'), 10)].candidates[0].change]);
+        });
+      });
+    }
+  }
+
+  // Rates per group and CI; click highlights the causing changes
+  function renderRates(elementId, list) {
+    var el = document.getElementById(elementId);
+    if (!el) return;
+    var shown = list.filter(function (entry) { return entry.causing > 0; }).slice(0, limit);
+    if (shown.length === 0) {
+      el.innerHTML = '<div class="analytics-empty">No change-caused incidents</div>';
+      return;
+    }
+    var html = '';
+    for (var r = 0; r < shown.length; r++) {
+      var entry = shown[r];
+      html += '<div class="ranking-item" data-idx="' + r + '">';
+      html += '<span class="ranking-rank">' + (r + 1) + '</span>';
+      html += '<div class="ranking-info">';
+      html += '<div class="ranking-name">' + self._escapeHtml(entry.name) + '</div>';
+      html += '<div class="ranking-detail">' + entry.causing + ' of ' + entry.changes + ' changes \u00b7 ' + entry.incidents + ' incidents</div>';
+      html += '</div>';
+      html += '<div class="ranking-score">' + percent(entry.rate) + '</div>';
+      html += '<div class="ranking-bar"><div class="ranking-bar-fill" style="width:' + Math.round(entry.rate * 100) + '%"></div></div>';
+      html += '</div>';
+    }
+    el.innerHTML = html;
+
+    var items = el.querySelectorAll('.ranking-item');
+    items.forEach(function (item) {
+      item.addEventListener('click', function () {
+        items.forEach(function (it) { it.classList.remove('active'); });
+        item.classList.add('active');
+        self._highlightEdges(shown[parseInt(item.getAttribute('data-idx'), 10)].causingChanges);
+      });
+    });
+  }
+
+  renderRates('attribution-group', data.byGroup);
+  renderRates('attribution-ci', data.byCi);
+};
@@ -0,0 +1,147 @@
+/**
+ * BSMDiscovery Cache — Table API result cache and its inspector panel
+ *
+ * Extends BSMDiscovery.prototype. Requires app/BSMDiscovery.js.
+ */
+
+/* global SNTableCache */
+
+/**
+ * Build the SNTableCache used by _createApi(), or null when disabled or
+ * SNTableCache.js is not loaded.
+ *
+ * @param {Object|boolean} [options] - SNTableCache options, or false
+ * @returns {SNTableCache|null}
+ */
+BSMDiscovery.prototype._createCache = function (options) {
+  if (options === false || typeof SNTableCache === 'undefined') return null;
+  var self = this;
+  return new SNTableCache(Object.assign({
+    staleWhileRevalidate: true,
+    onRevalidate: function (info) { self._onCacheRevalidated(info); }
+  }, options));
+};
+
+/**
+ * Bind the cache panel: TTL, stale-while-revalidate toggle, refresh and purge.
+ */
+BSMDiscovery.prototype._bindCacheControls = function () {
+  var self = this;
+  var cache = this._tableCache;
+  var section = document.getElementById('cache-section');
+  if (!section) return;
+  if (!cache) {
+    section.classList.add('hidden');
+    return;
+  }
+
+  var ttlInput = document.getElementById('cache-ttl');
+  if (ttlInput) {
+    ttlInput.value = Math.round(cache.ttl / 60000);
+    ttlInput.addEventListener('change', function () {
+      var minutes = parseFloat(ttlInput.value);
+      if (!isNaN(minutes) && minutes >= 0) cache.ttl = minutes * 60000;
+    });
+  }
+
+  var swrToggle = document.getElementById('cache-swr');
+  if (swrToggle) {
+    swrToggle.checked = cache.staleWhileRevalidate;
+    swrToggle.addEventListener('change', function () {
+      cache.staleWhileRevalidate = swrToggle.checked;
+    });
+  }
+
+  var purgeBtn = document.getElementById('cache-purge');
+  if (purgeBtn) {
+    purgeBtn.addEventListener('click', function () {
+      cache.purge().then(function () { self._renderCacheInspector(); });
+    });
+  }
+
+  var refreshBtn = document.getElementById('cache-refresh');
+  if (refreshBtn) {
+    refreshBtn.addEventListener('click', function () { self._renderCacheInspector(); });
+  }
+
+  var list = document.getElementById('cache-entries');
+  if (list) {
+    list.addEventListener('click', function (event) {
+      var key = event.target.getAttribute('data-cache-key');
+      if (!key) return;
+      cache.purge(function (e) { return e.key === key; }).then(function () {
+        self._renderCacheInspector();
+      });
+    });
+  }
+
+  this._renderCacheInspector();
+};
+
+/**
+ * List cache entries with table, rows, size and age.
+ */
+BSMDiscovery.prototype._renderCacheInspector = function () {
+  var self = this;
+  var list = document.getElementById('cache-entries');
+  var summary = document.getElementById('cache-summary');
+  if (!this._tableCache || !list) return;
+
+  this._tableCache.entries().then(function (entries) {
+    var totalSize = 0;
+    list.innerHTML = '';
+    entries.forEach(function (e) {
+      totalSize += e.size;
+      var row = document.createElement('div');
+      row.className = 'cache-entry' + (Date.now() - e.storedAt >= self._tableCache.ttl ? ' stale' : '');
+      row.title = e.key;
+
+      var label = document.createElement('span');
+      label.className = 'cache-entry-label';
+      label.textContent = e.table + ' · ' + e.rows + ' rows · ' +
+        self._formatBytes(e.size) + ' · ' + self._formatAge(e.storedAt);
+      row.appendChild(label);
+
+      var purge = document.createElement('button');
+      purge.className = 'cache-entry-purge';
+      purge.textContent = '×';
+      purge.title = 'Remove this entry';
+      purge.setAttribute('data-cache-key', e.key);
+      row.appendChild(purge);
+
+      list.appendChild(row);
+    });
+    if (summary) {
+      summary.textContent = entries.length
+        ? entries.length + ' entr' + (entries.length === 1 ? 'y' : 'ies') + ', ' + self._formatBytes(totalSize)
+        : 'Empty';
+    }
+  }).catch(function (err) {
+    console.warn('[BSM] Cache inspector failed', err);
+  });
+};
+
+/**
+ * A stale entry was served and the background refresh finished.
+ */
+BSMDiscovery.prototype._onCacheRevalidated = function (info) {
+  var status = document.getElementById('cache-status');
+  if (status && info.changed) {
+    status.textContent = info.table + ' changed on the server — Apply Query to load the refreshed data';
+  }
+  this._renderCacheInspector();
+};
+
+BSMDiscovery.prototype._formatBytes = function (bytes) {
+  if (bytes < 1024) return bytes + ' B';
+  if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+  return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+};
+
+BSMDiscovery.prototype._formatAge = function (timestamp) {
+  var seconds = Math.max(0, Math.round((Date.now() - timestamp) / 1000));
+  if (seconds < 60) return seconds + 's ago';
+  if (seconds < 3600) return Math.round(seconds / 60) + 'm ago';
+  if (seconds < 86400) return Math.round(seconds / 3600) + 'h ago';
+  return Math.round(seconds / 86400) + 'd ago';
+};
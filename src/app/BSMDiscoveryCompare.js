@@ -0,0 +1,349 @@
+/**
+ * BSMDiscovery Compare — diff the loaded hypergraph against a baseline
+ *
+ * The baseline is a second graph (an exported snapshot, or the current graph
+ * pinned with "Use current as baseline") kept in _compare. It goes through
+ * the same filter as the loaded data, and the force graph and incidence
+ * matrix show HypergraphCore.diffGraph of baseline and current view. The
+ * Compare analytics tab lists stats deltas, centrality rank shifts and
+ * community moves.
+ *
+ * Extends BSMDiscovery.prototype. Requires app/BSMDiscovery.js.
+ */
+
+/** Community co-member Jaccard below which a node counts as moved. */
+BSMDiscovery.COMMUNITY_MOVE_THRESHOLD = 0.5;
+
+/**
+ * Compare the loaded graph against a baseline.
+ *
+ * @param {Object} graph - Original (non-transposed) baseline hypergraph
+ * @param {string} [label] - Shown in the Compare summary
+ */
+BSMDiscovery.prototype.setBaseline = function (graph, label) {
+  this._compare = {
+    sourceGraph: graph,
+    label: label || 'Baseline',
+    graph: null,
+    transposedGraph: null,
+    analytics: null
+  };
+  if (!this._sourceGraph) {
+    this._updateCompareSummary();
+    return;
+  }
+  this._deriveComparisonBaseline();
+  this._refreshComparison();
+  this._setVizMode('diff');
+};
+
+BSMDiscovery.prototype.clearBaseline = function () {
+  if (!this._compare) return;
+  this._compare = null;
+  if (this._renderer && this._renderer.getVizMode() === 'diff') this._setVizMode('type');
+  if (this._sourceGraph) this._refreshComparison();
+  this._updateCompareSummary();
+};
+
+/**
+ * Use a snapshot written by exportSnapshot as the baseline.
+ *
+ * @param {Object} obj - Parsed snapshot JSON
+ * @param {string} [label]
+ */
+BSMDiscovery.prototype.loadBaselineSnapshot = function (obj, label) {
+  var core = new HypergraphCore();
+  var graph = core.fromJSON(obj).graph;
+  if (graph.isTransposed) graph = core.untranspose(graph);
+  this.setBaseline(graph, label);
+};
+
+/**
+ * Pin a copy of the loaded (unfiltered) graph as the baseline. A copy,
+ * because incremental refresh mutates the source graph in place.
+ */
+BSMDiscovery.prototype._useCurrentAsBaseline = function () {
+  if (!this._sourceGraph) return;
+  var copy = this._core.fromJSON(this._core.toJSON(this._sourceGraph)).graph;
+  this.setBaseline(copy, 'Loaded at ' + new Date().toLocaleTimeString());
+};
+
+/**
+ * Apply the current filter to the baseline and transpose it. Called from
+ * _deriveFilteredView so baseline and view always share the filter.
+ */
+BSMDiscovery.prototype._deriveComparisonBaseline = function () {
+  var compare = this._compare;
+  var core = this._core || new HypergraphCore();
+  compare.graph = this._isFilterActive()
+    ? core.subgraph(compare.sourceGraph, this._subgraphOptions(compare.sourceGraph))
+    : compare.sourceGraph;
+  compare.transposedGraph = core.transpose(compare.graph);
+  compare.analytics = null;
+  this._updateCompareSummary();
+};
+
+/**
+ * The graph a diff-aware view should draw: the diffGraph of baseline and
+ * graph when a baseline is set, graph itself otherwise.
+ *
+ * @param {Object} graph - Current view graph (either projection)
+ * @returns {Object}
+ */
+BSMDiscovery.prototype._comparisonGraph = function (graph) {
+  if (!this._compare || !graph) return graph;
+  var baseline = graph.isTransposed ? this._compare.transposedGraph : this._compare.graph;
+  return this._core.diffGraph(baseline, graph);
+};
+
+/**
+ * Re-render after the baseline changed: the primary view and the Compare tab.
+ * @private
+ */
+BSMDiscovery.prototype._refreshComparison = function () {
+  this._renderPrimaryView();
+  if (this._analyticsData) this._renderComparePanel();
+};
+
+// ---------- Compare controls ----------
+
+BSMDiscovery.prototype._bindCompareControls = function () {
+  var self = this;
+
+  var loadBtn = document.getElementById('compare-load');
+  var fileInput = document.getElementById('compare-file');
+  if (loadBtn && fileInput) {
+    loadBtn.addEventListener('click', function () {
+      fileInput.click();
+    });
+    fileInput.addEventListener('change', function () {
+      var file = fileInput.files && fileInput.files[0];
+      if (!file) return;
+      self._readDataFile(file).then(function (obj) {
+        self.loadBaselineSnapshot(obj, file.name);
+      }).catch(function (err) {
+        console.error('[BSM] Baseline load failed', err);
+        var summary = document.getElementById('compare-summary');
+        if (summary) summary.textContent = 'Failed to load ' + file.name + ': ' + err.message;
+      });
+      // Allow reloading the same file
+      fileInput.value = '';
+    });
+  }
+
+  var currentBtn = document.getElementById('compare-current');
+  if (currentBtn) {
+    currentBtn.addEventListener('click', function () { self._useCurrentAsBaseline(); });
+  }
+
+  var clearBtn = document.getElementById('compare-clear');
+  if (clearBtn) {
+    clearBtn.addEventListener('click', function () { self.clearBaseline(); });
+  }
+};
+
+BSMDiscovery.prototype._updateCompareSummary = function () {
+  var el = document.getElementById('compare-summary');
+  if (!el) return;
+  if (!this._compare) {
+    el.textContent = 'No baseline';
+    return;
+  }
+  if (!this._originalGraph) {
+    el.textContent = this._compare.label;
+    return;
+  }
+  var delta = this._core.diff(this._compare.graph, this._originalGraph);
+  el.textContent = this._compare.label + ': changes +' + delta.edges.added.length +
+    ' / −' + delta.edges.removed.length + ', entities +' + delta.nodes.added.length +
+    ' / −' + delta.nodes.removed.length;
+};
+
+// ---------- Compare panel ----------
+
+BSMDiscovery.prototype._renderComparePanel = function () {
+  var statsEl = document.getElementById('compare-stats');
+  var rankEl = document.getElementById('compare-centrality');
+  var communityEl = document.getElementById('compare-communities');
+
+  if (!this._compare) {
+    var empty = '<div class="analytics-empty">Load or pin a baseline to compare</div>';
+    if (statsEl) statsEl.innerHTML = empty;
+    if (rankEl) rankEl.innerHTML = '';
+    if (communityEl) communityEl.innerHTML = '';
+    return;
+  }
+
+  var baseline = this._compare.graph;
+  var delta = this._core.diff(baseline, this._originalGraph);
+
+  if (!this._compare.analytics) {
+    this._compare.analytics = {
+      centrality: this._analytics.centrality(baseline).composite,
+      communities: this._analytics.detectCommunities(baseline).communities
+    };
+  }
+  var before = this._compare.analytics;
+  var after = this._analyticsData;
+
+  if (statsEl) statsEl.innerHTML = this._compareStatsHtml(delta);
+  if (rankEl) {
+    var shifts = this._centralityRankShifts(before.centrality, after.centrality.composite);
+    rankEl.innerHTML = this._rankShiftsHtml(shifts.slice(0, 15));
+  }
+  if (communityEl) {
+    var moves = this._communityMoves(before.communities, after.communities.communities, delta.nodes.common);
+    communityEl.innerHTML = this._communityMovesHtml(moves.slice(0, 15));
+  }
+  this._bindCompareHighlights();
+};
+
+BSMDiscovery.prototype._compareStatsHtml = function (delta) {
+  var html = '';
+  html += '<div class="cluster-stat">Changes: <strong>+' + delta.edges.added.length + ' / −' + delta.edges.removed.length + '</strong></div>';
+  html += '<div class="cluster-stat">Entities: <strong>+' + delta.nodes.added.length + ' / −' + delta.nodes.removed.length + '</strong></div>';
+  html += '<div class="cluster-stat">Memberships: <strong>+' + delta.memberships.added.length + ' / −' + delta.memberships.removed.length +
+    '</strong> in ' + delta.changedEdges.length + ' changes</div>';
+
+  html += '<table class="compare-stats-table"><tbody>';
+  var keys = Object.keys(delta.stats);
+  for (var i = 0; i < keys.length; i++) {
+    var s = delta.stats[keys[i]];
+    var cls = s.delta > 0 ? 'diff-added' : (s.delta < 0 ? 'diff-removed' : '');
+    html += '<tr><td>' + keys[i] + '</td><td>' + s.a + '</td><td>' + s.b + '</td>';
+    html += '<td class="' + cls + '">' + (s.delta > 0 ? '+' : '') + s.delta + '</td></tr>';
+  }
+  html += '</tbody></table>';
+  return html;
+};
+
+/**
+ * Composite centrality rank of nodes present in both graphs, before and
+ * after, largest moves first.
+ *
+ * @returns {Array<{uid: string, before: number, after: number, shift: number}>}
+ *   shift > 0 means the node climbed
+ */
+BSMDiscovery.prototype._centralityRankShifts = function (before, after) {
+  function ranks(scores) {
+    var uids = Object.keys(scores);
+    uids.sort(function (a, b) { return scores[b] - scores[a]; });
+    var rank = {};
+    for (var i = 0; i < uids.length; i++) rank[uids[i]] = i + 1;
+    return rank;
+  }
+  var rankBefore = ranks(before || {});
+  var rankAfter = ranks(after || {});
+
+  var shifts = [];
+  Object.keys(rankAfter).forEach(function (uid) {
+    if (!rankBefore[uid]) return;
+    var shift = rankBefore[uid] - rankAfter[uid];
+    if (shift !== 0) shifts.push({ uid: uid, before: rankBefore[uid], after: rankAfter[uid], shift: shift });
+  });
+  shifts.sort(function (a, b) {
+    return Math.abs(b.shift) - Math.abs(a.shift) || a.after - b.after;
+  });
+  return shifts;
+};
+
+/**
+ * Nodes in both graphs whose community changed. Community ids aren't stable
+ * between runs, so a node counts as moved when the Jaccard similarity of its
+ * co-members (restricted to nodes in both graphs) falls below
+ * COMMUNITY_MOVE_THRESHOLD.
+ *
+ * @param {Object} before - Community id -> member uids (baseline)
+ * @param {Object} after - Community id -> member uids (current)
+ * @param {string[]} common - Node uids present in both graphs
+ * @returns {Array<{uid: string, from: string, to: string, similarity: number}>}
+ */
+BSMDiscovery.prototype._communityMoves = function (before, after, common) {
+  var inBoth = {};
+  var i;
+  for (i = 0; i < common.length; i++) inBoth[common[i]] = true;
+
+  function index(communities) {
+    var byNode = {};
+    Object.keys(communities || {}).forEach(function (id) {
+      var members = communities[id].filter(function (uid) { return inBoth[uid]; });
+      for (var k = 0; k < members.length; k++) byNode[members[k]] = { id: id, members: members };
+    });
+    return byNode;
+  }
+  var was = index(before);
+  var now = index(after);
+
+  var moves = [];
+  for (i = 0; i < common.length; i++) {
+    var uid = common[i];
+    if (!was[uid] || !now[uid]) continue;
+    var peersBefore = {};
+    var shared = 0;
+    var union = 0;
+    var j;
+    for (j = 0; j < was[uid].members.length; j++) {
+      if (was[uid].members[j] !== uid) peersBefore[was[uid].members[j]] = true;
+    }
+    union = Object.keys(peersBefore).length;
+    for (j = 0; j < now[uid].members.length; j++) {
+      var peer = now[uid].members[j];
+      if (peer === uid) continue;
+      if (peersBefore[peer]) shared++;
+      else union++;
+    }
+    var similarity = union === 0 ? 1 : shared / union;
+    if (similarity < BSMDiscovery.COMMUNITY_MOVE_THRESHOLD) {
+      moves.push({ uid: uid, from: was[uid].id, to: now[uid].id, similarity: Math.round(similarity * 100) / 100 });
+    }
+  }
+  moves.sort(function (a, b) { return a.similarity - b.similarity; });
+  return moves;
+};
+
+BSMDiscovery.prototype._rankShiftsHtml = function (shifts) {
+  if (shifts.length === 0) return '<div class="analytics-empty">No rank changes</div>';
+  var nameMap = this._buildNameMap(this._originalGraph);
+  var html = '';
+  for (var i = 0; i < shifts.length; i++) {
+    var s = shifts[i];
+    html += '<div class="ranking-item compare-item" data-uid="' + s.uid + '">';
+    html += '<div class="ranking-info">';
+    html += '<div class="ranking-name">' + this._escapeHtml(nameMap[s.uid] || s.uid) + '</div>';
+    html += '<div class="ranking-detail">' + this._typeBadge(s.uid) + ' #' + s.before + ' → #' + s.after + '</div>';
+    html += '</div>';
+    html += '<div class="ranking-score ' + (s.shift > 0 ? 'diff-added' : 'diff-removed') + '">' +
+      (s.shift > 0 ? '▲' + s.shift : '▼' + (-s.shift)) + '</div>';
+    html += '</div>';
+  }
+  return html;
+};
+
+BSMDiscovery.prototype._communityMovesHtml = function (moves) {
+  if (moves.length === 0) return '<div class="analytics-empty">No community moves</div>';
+  var nameMap = this._buildNameMap(this._originalGraph);
+  var html = '';
+  for (var i = 0; i < moves.length; i++) {
+    var m = moves[i];
+    html += '<div class="ranking-item compare-item" data-uid="' + m.uid + '">';
+    html += '<div class="ranking-info">';
+    html += '<div class="ranking-name">' + this._escapeHtml(nameMap[m.uid] || m.uid) + '</div>';
+    html += '<div class="ranking-detail">' + this._typeBadge(m.uid) + ' Cluster ' + m.from + ' → Cluster ' + m.to + '</div>';
+    html += '</div>';
+    html += '<div class="ranking-score">' + m.similarity + '</div>';
+    html += '</div>';
+  }
+  return html;
+};
+
+BSMDiscovery.prototype._bindCompareHighlights = function () {
+  var self = this;
+  var items = document.querySelectorAll('#tab-compare .compare-item');
+  items.forEach(function (item) {
+    item.addEventListener('click', function () {
+      items.forEach(function (it) { it.classList.remove('active'); });
+      item.classList.add('active');
+      self._renderer.highlightNodes([item.getAttribute('data-uid')]);
+    });
+  });
+};
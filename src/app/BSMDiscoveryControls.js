@@ -122,6 +122,14 @@ BSMDiscovery.prototype._bindControls = function () {
     });
   });
 
+  // Viz mode switcher (kept in sync with analytics tabs via _setVizMode)
+  var vizBtns = document.querySelectorAll('.viz-mode-btn');
+  vizBtns.forEach(function (btn) {
+    btn.addEventListener('click', function () {
+      self._setVizMode(btn.getAttribute('data-mode'));
+    });
+  });
+
   // Hull toggle
   var hullToggle = document.getElementById('hull-toggle');
   if (hullToggle) {
@@ -142,17 +150,6 @@ BSMDiscovery.prototype._bindControls = function () {
     });
   }
 
-  // Query parameter controls
-  var queryApplyBtn = document.getElementById('query-apply');
-  if (queryApplyBtn) {
-    queryApplyBtn.addEventListener('click', function () {
-      self.reInit();
-    });
-  }
-
-  // Show initial encoded query
-  this._updateQueryDisplay();
-
   // Click on graph background to clear highlight
   var container = document.querySelector(this.containerSelector);
   if (container) {
@@ -176,6 +173,178 @@ BSMDiscovery.prototype._bindControls = function () {
   });
 };
 
+// ---------- Query Parameter Controls ----------
+
+/**
+ * Bind the query panel (data source, parameters, Apply). Called from init()
+ * before the first load, independently of the graph controls.
+ */
+BSMDiscovery.prototype._bindQueryControls = function () {
+  var self = this;
+
+  var sourceSelect = document.getElementById('query-source');
+  var fileRow = document.getElementById('query-file-row');
+  var fileInput = document.getElementById('query-file');
+  var sampleRow = document.getElementById('query-sample-row');
+  var sampleUrlInput = document.getElementById('query-sample-url');
+  if (sampleUrlInput) {
+    sampleUrlInput.value = this.sampleGraphUrl;
+    sampleUrlInput.addEventListener('input', function () {
+      self._updateQueryDisplay();
+    });
+  }
+  if (sourceSelect) {
+    sourceSelect.value = this.dataSource;
+    var syncSourceRows = function () {
+      if (fileRow) fileRow.classList.toggle('hidden', sourceSelect.value !== 'file');
+      if (sampleRow) sampleRow.classList.toggle('hidden', sourceSelect.value !== 'sample');
+      self._updateQueryDisplay();
+    };
+    sourceSelect.addEventListener('change', syncSourceRows);
+    syncSourceRows();
+  }
+
+  if (fileInput) {
+    fileInput.addEventListener('change', function () {
+      var file = fileInput.files && fileInput.files[0];
+      self._fileData = null;
+      self._fileName = file ? file.name : null;
+      self._updateQueryDisplay();
+      if (!file) return;
+      self._readDataFile(file).then(function (obj) {
+        self._fileData = obj;
+      }, function (err) {
+        console.error('[BSM] ' + err.message);
+        self._fileName = null;
+        self._updateQueryDisplay();
+      });
+    });
+  }
+
+  var extraInput = document.getElementById('query-extra');
+  if (extraInput) {
+    extraInput.value = this.simulatorOptions.extraQuery || '';
+    extraInput.addEventListener('input', function () {
+      self._updateQueryDisplay();
+    });
+  }
+
+  // Paste an encoded query and split it back into the controls
+  var pasteInput = document.getElementById('query-paste');
+  var parseBtn = document.getElementById('query-parse');
+  if (pasteInput && parseBtn) {
+    parseBtn.addEventListener('click', function () {
+      if (!pasteInput.value.trim()) return;
+      try {
+        self._applyEncodedQuery(pasteInput.value);
+        pasteInput.value = '';
+      } catch (err) {
+        var displayEl = document.getElementById('query-encoded');
+        if (displayEl) {
+          displayEl.textContent = err.message;
+          displayEl.classList.add('visible');
+        }
+      }
+    });
+  }
+
+  var queryApplyBtn = document.getElementById('query-apply');
+  if (queryApplyBtn) {
+    queryApplyBtn.addEventListener('click', function () {
+      self.reInit();
+    });
+  }
+
+  var refreshBtn = document.getElementById('query-refresh');
+  if (refreshBtn) {
+    refreshBtn.addEventListener('click', function () {
+      refreshBtn.disabled = true;
+      self.refresh().catch(function () { /* reported in the overlay */ }).then(function () {
+        self._updateRefreshButton();
+      });
+    });
+  }
+
+  var previewBtn = document.getElementById('query-preview');
+  if (previewBtn) {
+    previewBtn.addEventListener('click', function () {
+      previewBtn.disabled = true;
+      self.previewCounts().then(function () {
+        previewBtn.disabled = false;
+      });
+    });
+  }
+
+  // Snapshot export / import
+  var exportBtn = document.getElementById('snapshot-export');
+  if (exportBtn) {
+    exportBtn.addEventListener('click', function () {
+      self.exportSnapshot();
+    });
+  }
+
+  var importBtn = document.getElementById('snapshot-import');
+  var snapshotInput = document.getElementById('snapshot-file');
+  if (importBtn && snapshotInput) {
+    importBtn.addEventListener('click', function () {
+      snapshotInput.click();
+    });
+    snapshotInput.addEventListener('change', function () {
+      var file = snapshotInput.files && snapshotInput.files[0];
+      if (!file) return;
+      self._readDataFile(file).then(function (obj) {
+        self.importSnapshot(obj);
+      }).catch(function (err) {
+        console.error('[BSM] Snapshot import failed', err);
+        self._setLoading(false, 'Failed to import ' + file.name + ': ' + err.message);
+      });
+      // Allow re-importing the same file
+      snapshotInput.value = '';
+    });
+  }
+
+  var loadAllToggle = document.getElementById('query-load-all');
+  if (loadAllToggle) {
+    loadAllToggle.addEventListener('change', function () {
+      self._updateQueryDisplay();
+    });
+  }
+
+  var entitiesToggle = document.getElementById('query-entities');
+  if (entitiesToggle) {
+    entitiesToggle.checked = this.includeEntities;
+    entitiesToggle.addEventListener('change', function () {
+      self._updateQueryDisplay();
+    });
+  }
+
+  // CI inventory options only show while the inventory is enabled
+  var inventoryToggle = document.getElementById('query-inventory');
+  if (inventoryToggle) {
+    var inventory = this.simulatorOptions.inventory;
+    inventoryToggle.checked = !!inventory;
+    var classesInput = document.getElementById('query-inventory-classes');
+    var statusSelect = document.getElementById('query-inventory-status');
+    if (inventory && classesInput) classesInput.value = (inventory.classes || []).join(',');
+    if (inventory && statusSelect && inventory.operationalStatus != null) statusSelect.value = inventory.operationalStatus;
+    var syncInventoryRows = function () {
+      ['query-inventory-classes-row', 'query-inventory-status-row'].forEach(function (id) {
+        var row = document.getElementById(id);
+        if (row) row.classList.toggle('hidden', !inventoryToggle.checked);
+      });
+      self._updateQueryDisplay();
+    };
+    inventoryToggle.addEventListener('change', syncInventoryRows);
+    [classesInput, statusSelect].forEach(function (el) {
+      if (el) el.addEventListener('change', function () { self._updateQueryDisplay(); });
+    });
+    syncInventoryRows();
+  }
+
+  // Show initial encoded query
+  this._updateQueryDisplay();
+};
+
 // ---------- Stats Panel ----------
 
 BSMDiscovery.prototype._updateStats = function (stats, isTransposed) {
@@ -0,0 +1,263 @@
+/**
+ * BSMDiscovery Filter — global filter bar over the loaded hypergraph
+ *
+ * The graph and raw data as loaded are kept in _sourceGraph / _sourceRawData.
+ * _originalGraph, _transposedGraph and _rawData hold the filtered view
+ * derived from them with HypergraphCore.subgraph, so every view and analytics
+ * tab follows the filter without knowing about it. With no filter set the
+ * view is the source graph itself.
+ *
+ * Extends BSMDiscovery.prototype. Requires app/BSMDiscovery.js.
+ */
+
+/**
+ * Filter bar selects. Change fields are matched on the hyperedges. CI
+ * fields are matched on CI nodes (group and service nodes always pass),
+ * and changes left with no matching CI are dropped too.
+ */
+BSMDiscovery.FILTER_FIELDS = [
+  { key: 'changeType', elementId: 'filter-change-type', edgeField: 'changeType' },
+  { key: 'businessService', elementId: 'filter-service', edgeField: 'businessService' },
+  { key: 'region', elementId: 'filter-region', edgeField: 'region' },
+  { key: 'ciClass', elementId: 'filter-ci-class', nodeField: 'className' }
+];
+
+/**
+ * Set the global filter and re-derive every view from the loaded data.
+ *
+ * @param {Object} filter - { changeType, businessService, region, ciClass,
+ *   start, end }; empty / missing values don't filter. start and end are
+ *   'YYYY-MM-DD' days, both inclusive.
+ */
+BSMDiscovery.prototype.setFilter = function (filter) {
+  this._graphFilter = Object.assign({}, filter);
+  this._syncFilterControls();
+  if (this._sourceGraph) this._applyGraphFilter();
+};
+
+BSMDiscovery.prototype._isFilterActive = function () {
+  var filter = this._graphFilter;
+  return Object.keys(filter).some(function (key) { return !!filter[key]; });
+};
+
+/**
+ * Translate the filter into HypergraphCore.subgraph options. CIs from the
+ * loaded inventory that pass the CI filters are kept when isolated, so the
+ * filtered view still has its zero-degree CIs.
+ *
+ * @param {Object} [graph] - Graph the options will be applied to, for CI
+ *   field matching; defaults to the source graph
+ * @private
+ */
+BSMDiscovery.prototype._subgraphOptions = function (graph) {
+  var filter = this._graphFilter;
+  var nodes = (graph || this._sourceGraph).nodes;
+  var edgeChecks = [];
+  var nodeChecks = [];
+  BSMDiscovery.FILTER_FIELDS.forEach(function (field) {
+    var wanted = filter[field.key];
+    if (!wanted) return;
+    if (field.edgeField) {
+      edgeChecks.push(function (edge) { return edge[field.edgeField] === wanted; });
+      return;
+    }
+    var matching = {};
+    for (var i = 0; i < nodes.length; i++) {
+      if (nodes[i].type === 'ci' && nodes[i][field.nodeField] === wanted) matching[nodes[i].uid] = true;
+    }
+    nodeChecks.push(function (node) { return node.type !== 'ci' || !!matching[node.uid]; });
+    edgeChecks.push(function (edge) {
+      return edge.elements.some(function (uid) { return matching[uid]; });
+    });
+  });
+
+  var inventory = {};
+  var items = (this._sourceRawData && this._sourceRawData.inventory) || [];
+  for (var k = 0; k < items.length; k++) inventory['ci:' + items[k].id] = true;
+
+  function all(checks) {
+    if (!checks.length) return null;
+    return function (item) {
+      for (var i = 0; i < checks.length; i++) {
+        if (!checks[i](item)) return false;
+      }
+      return true;
+    };
+  }
+
+  return {
+    edgePredicate: all(edgeChecks),
+    nodePredicate: all(nodeChecks),
+    timeRange: {
+      start: filter.start || null,
+      end: filter.end ? filter.end + 'T23:59:59.999Z' : null
+    },
+    keepIsolated: items.length ? function (node) { return !!inventory[node.uid]; } : false
+  };
+};
+
+/**
+ * Derive _originalGraph, _transposedGraph and _rawData from the source
+ * data and the current filter. Drops the selected hyperedge when it was
+ * filtered out. No rendering.
+ */
+BSMDiscovery.prototype._deriveFilteredView = function () {
+  if (this._isFilterActive()) {
+    this._originalGraph = this._core.subgraph(this._sourceGraph, this._subgraphOptions());
+    this._rawData = this._filterRawData(this._sourceRawData, this._originalGraph);
+  } else {
+    this._originalGraph = this._sourceGraph;
+    this._rawData = this._sourceRawData;
+  }
+  this._transposedGraph = this._core.transpose(this._originalGraph);
+
+  var graph = this._isTransposed ? this._transposedGraph : this._originalGraph;
+  if (this._selectedHyperedgeUid && !this._findEdgeByUid(graph, this._selectedHyperedgeUid)) {
+    this._selectedHyperedgeUid = null;
+  }
+  if (this._compare) this._deriveComparisonBaseline();
+  this._updateFilterSummary();
+};
+
+/**
+ * Raw data restricted to a filtered graph: task_ci rows whose change and
+ * CI survived, incidents on surviving CIs, relationships between them and
+ * their inventory records.
+ * @private
+ */
+BSMDiscovery.prototype._filterRawData = function (rawData, graph) {
+  var taskCiRecords = rawData.taskCiRecords.filter(function (rec) {
+    return !!graph.edgeById['change:' + rec['task.number']] && !!graph.incidence['ci:' + rec['ci_item.sys_id']];
+  });
+
+  var incidents = {};
+  var source = rawData.incidents || {};
+  Object.keys(source).forEach(function (number) {
+    var ci = source[number].affectedCI;
+    if (ci && graph.incidence['ci:' + ci.id]) incidents[number] = source[number];
+  });
+
+  var relationships = (rawData.relationships || []).filter(function (rel) {
+    return !!graph.incidence['ci:' + rel.parent.id] && !!graph.incidence['ci:' + rel.child.id];
+  });
+
+  var inventory = (rawData.inventory || []).filter(function (item) {
+    return !!graph.incidence['ci:' + item.id];
+  });
+
+  return { taskCiRecords: taskCiRecords, incidents: incidents, relationships: relationships, inventory: inventory };
+};
+
+/**
+ * Re-derive the filtered view and re-render in place: the primary view,
+ * projection, search and analytics tab are kept.
+ */
+BSMDiscovery.prototype._applyGraphFilter = function () {
+  var self = this;
+  this._deriveFilteredView();
+
+  this._renderPrimaryView();
+  this._updateViewButtons();
+  this._updateLegendCounts();
+  this._updateCooccurrence();
+
+  this._setLoading(true, 'Running analytics...');
+  setTimeout(function () {
+    self._runAnalytics();
+    self._setLoading(false);
+  }, 50);
+};
+
+// ---------- Filter bar ----------
+
+BSMDiscovery.prototype._bindFilterControls = function () {
+  var self = this;
+
+  function onChange() {
+    self.setFilter(self._readFilterControls());
+  }
+
+  BSMDiscovery.FILTER_FIELDS.forEach(function (field) {
+    var el = document.getElementById(field.elementId);
+    if (el) el.addEventListener('change', onChange);
+  });
+  ['filter-start', 'filter-end'].forEach(function (id) {
+    var el = document.getElementById(id);
+    if (el) el.addEventListener('change', onChange);
+  });
+
+  var clearBtn = document.getElementById('filter-clear');
+  if (clearBtn) {
+    clearBtn.addEventListener('click', function () { self.setFilter({}); });
+  }
+};
+
+BSMDiscovery.prototype._readFilterControls = function () {
+  var filter = {};
+  BSMDiscovery.FILTER_FIELDS.forEach(function (field) {
+    var el = document.getElementById(field.elementId);
+    if (el && el.value) filter[field.key] = el.value;
+  });
+  var startEl = document.getElementById('filter-start');
+  var endEl = document.getElementById('filter-end');
+  if (startEl && startEl.value) filter.start = startEl.value;
+  if (endEl && endEl.value) filter.end = endEl.value;
+  return filter;
+};
+
+BSMDiscovery.prototype._syncFilterControls = function () {
+  var filter = this._graphFilter;
+  BSMDiscovery.FILTER_FIELDS.forEach(function (field) {
+    var el = document.getElementById(field.elementId);
+    if (el) el.value = filter[field.key] || '';
+  });
+  var startEl = document.getElementById('filter-start');
+  var endEl = document.getElementById('filter-end');
+  if (startEl) startEl.value = filter.start || '';
+  if (endEl) endEl.value = filter.end || '';
+};
+
+/**
+ * Fill the filter selects with the values present in the source graph,
+ * keeping the current choice listed even when the new data lacks it.
+ */
+BSMDiscovery.prototype._populateFilterOptions = function () {
+  var graph = this._sourceGraph;
+  var filter = this._graphFilter;
+  var self = this;
+  if (!graph) return;
+
+  BSMDiscovery.FILTER_FIELDS.forEach(function (field) {
+    var el = document.getElementById(field.elementId);
+    if (!el) return;
+
+    var seen = {};
+    var items = field.edgeField ? graph.edges : graph.nodes;
+    for (var i = 0; i < items.length; i++) {
+      if (field.nodeField && items[i].type !== 'ci') continue;
+      var value = items[i][field.edgeField || field.nodeField];
+      if (value) seen[value] = true;
+    }
+    if (filter[field.key]) seen[filter[field.key]] = true;
+
+    var html = '<option value="">All</option>';
+    Object.keys(seen).sort().forEach(function (value) {
+      html += '<option value="' + self._escapeHtml(value) + '">' + self._escapeHtml(value) + '</option>';
+    });
+    el.innerHTML = html;
+    el.value = filter[field.key] || '';
+  });
+};
+
+BSMDiscovery.prototype._updateFilterSummary = function () {
+  var el = document.getElementById('filter-summary');
+  if (!el) return;
+  if (!this._isFilterActive()) {
+    el.textContent = 'No filter';
+    return;
+  }
+  var shown = this._originalGraph.stats;
+  var total = this._sourceGraph.stats;
+  el.textContent = shown.totalEdges + ' of ' + total.totalEdges + ' changes, ' +
+    shown.totalNodes + ' of ' + total.totalNodes + ' entities';
+};
@@ -0,0 +1,201 @@
+/**
+ * BSMDiscovery Inventory — optional cmdb_ci load for true orphan detection
+ *
+ * The graph is built from task_ci, so a CI without changes in the window
+ * is invisible. With the inventory enabled (simulatorOptions.inventory) the
+ * CIs of the chosen classes and operational status are loaded from cmdb_ci
+ * and built in as zero-degree nodes (HypergraphCore.build, data.inventory).
+ * For the ones without changes in the window, a Stats API pass over task_ci
+ * finds their all-time change count and last change, which lets
+ * detectAnomalies tell "not changed in the window" from "never changed".
+ *
+ * Extends BSMDiscovery.prototype. Requires app/BSMDiscovery.js.
+ */
+
+/* global SNQuery */
+
+/**
+ * Read the inventory options from the query panel.
+ *
+ * @returns {Object|null} { classes: string[], operationalStatus: string }, or
+ *   null when the inventory is not wanted. No classes means the classes seen
+ *   in task_ci; an empty operationalStatus means any.
+ */
+BSMDiscovery.prototype._readInventoryControls = function () {
+  var toggle = document.getElementById('query-inventory');
+  if (!toggle || !toggle.checked) return null;
+  var classesEl = document.getElementById('query-inventory-classes');
+  var statusEl = document.getElementById('query-inventory-status');
+  return {
+    classes: (classesEl ? classesEl.value : '').split(',').map(function (c) {
+      return c.trim();
+    }).filter(Boolean),
+    operationalStatus: statusEl ? statusEl.value : '1'
+  };
+};
+
+/**
+ * Classes to load: the configured list, or the classes of the CIs in the
+ * task_ci rows.
+ *
+ * @param {Object} inventory - From _readInventoryControls()
+ * @param {Object[]} taskCiRecords - Raw or adapted task_ci rows
+ * @returns {string[]}
+ */
+BSMDiscovery.prototype._inventoryClasses = function (inventory, taskCiRecords) {
+  if (inventory.classes.length) return inventory.classes;
+  var seen = {};
+  var classes = [];
+  for (var i = 0; i < taskCiRecords.length; i++) {
+    var cls = this._snValue(taskCiRecords[i]['ci_item.sys_class_name']);
+    if (cls && !seen[cls]) {
+      seen[cls] = true;
+      classes.push(cls);
+    }
+  }
+  return classes;
+};
+
+/**
+ * Load the cmdb_ci inventory and the earlier change history of the CIs
+ * not in taskCiRecords. A failed history pass leaves that history unknown
+ * (null) rather than failing the load.
+ *
+ * @param {SNTableAPI} api
+ * @param {Object} inventory - From _readInventoryControls()
+ * @param {Object[]} taskCiRecords - Raw task_ci rows of this load
+ * @returns {Promise<Object[]>} Adapted inventory (see _adaptSNInventory)
+ */
+BSMDiscovery.prototype._fetchInventory = function (api, inventory, taskCiRecords) {
+  var self = this;
+  var classes = this._inventoryClasses(inventory, taskCiRecords);
+  if (!classes.length) return Promise.resolve([]);
+
+  var query = new SNQuery().where('sys_class_name', 'IN', classes);
+  if (inventory.operationalStatus) query.and('operational_status', '=', inventory.operationalStatus);
+
+  var records;
+  return this._fetchRecords(api, 'cmdb_ci', {
+    query: query.toString(),
+    fields: BSMDiscovery.QUERY_FIELDS.cmdb_ci,
+    limit: BSMDiscovery.INVENTORY_LIMIT,
+    displayValue: 'all'
+  }).then(function (rows) {
+    records = rows;
+    if (self._loadCancelled) return null;
+
+    var inWindow = {};
+    for (var i = 0; i < taskCiRecords.length; i++) {
+      inWindow[self._snValue(taskCiRecords[i]['ci_item.sys_id'])] = true;
+    }
+    var unchanged = [];
+    for (var j = 0; j < records.length; j++) {
+      var id = self._snValue(records[j].sys_id);
+      if (id && !inWindow[id]) unchanged.push(id);
+    }
+    return self._fetchChangeHistory(api, unchanged).catch(function (error) {
+      console.warn('[BSM] task_ci stats failed, change history of idle CIs unknown', error);
+      return null;
+    });
+  }).then(function (history) {
+    return self._adaptSNInventory(records, history);
+  });
+};
+
+/**
+ * All-time change count and last change per CI, from the Stats API grouped
+ * by ci_item, REL_CI_CHUNK_SIZE CIs per request. CIs of a queried chunk
+ * without any change are absent from the groups and get a count of 0; CIs
+ * of chunks skipped by a cancelled load get no entry (history unknown).
+ *
+ * @param {SNTableAPI} api
+ * @param {string[]} ciIds - CI sys_ids
+ * @returns {Promise<Object>} { sys_id: { count, lastChangedAt } }
+ */
+BSMDiscovery.prototype._fetchChangeHistory = function (api, ciIds) {
+  var self = this;
+  var history = {};
+  var chunks = [];
+  for (var i = 0; i < ciIds.length; i++) {
+    if (i % BSMDiscovery.REL_CI_CHUNK_SIZE === 0) chunks.push([]);
+    chunks[chunks.length - 1].push(ciIds[i]);
+  }
+
+  return chunks.reduce(function (previous, chunk) {
+    return previous.then(function () {
+      if (self._loadCancelled) return;
+      return api.aggregate('task_ci', {
+        query: SNQuery.parse(BSMDiscovery.QUERY_FIELDS.filter).and('ci_item', 'IN', chunk).toString(),
+        groupBy: ['ci_item'],
+        count: true,
+        max: ['task.sys_created_on']
+      }).then(function (rows) {
+        for (var k = 0; k < chunk.length; k++) history[chunk[k]] = { count: 0, lastChangedAt: null };
+        for (var j = 0; j < rows.length; j++) {
+          var id = rows[j].groupBy.ci_item.value;
+          if (!history[id]) continue;
+          history[id].count = rows[j].count || 0;
+          history[id].lastChangedAt = self._snDate(rows[j].max && rows[j].max['task.sys_created_on']);
+        }
+      });
+    });
+  }, Promise.resolve()).then(function () {
+    return history;
+  });
+};
+
+/**
+ * cmdb_ci rows -> [{ id, name, className, role, ipAddress, model, os,
+ * sysUpdatedOn, operationalStatus, lifetimeChanges, lastChangedAt }].
+ * lifetimeChanges / lastChangedAt come from history and are null when it
+ * has no entry for the CI. Rows already in that shape (simulator output,
+ * exported rawData) pass through.
+ *
+ * @param {Object[]} records
+ * @param {Object|null} history - From _fetchChangeHistory()
+ */
+BSMDiscovery.prototype._adaptSNInventory = function (records, history) {
+  var inventory = [];
+  for (var i = 0; i < records.length; i++) {
+    var raw = records[i];
+    if (raw.id) {
+      inventory.push(raw);
+      continue;
+    }
+    var id = this._snValue(raw.sys_id);
+    if (!id) continue;
+    var known = history && history[id];
+    inventory.push({
+      id: id,
+      name: this._snDisplay(raw.name),
+      className: this._snDisplay(raw.sys_class_name),
+      role: this._snDisplay(raw.u_role),
+      ipAddress: this._snDisplay(raw.ip_address),
+      model: this._snDisplay(raw.model_id),
+      os: this._snDisplay(raw.os),
+      sysUpdatedOn: this._snDisplay(raw.sys_updated_on),
+      operationalStatus: this._snValue(raw.operational_status),
+      lifetimeChanges: known ? known.count : null,
+      lastChangedAt: known ? known.lastChangedAt : null
+    });
+  }
+  return inventory;
+};
+
+/**
+ * Apply the inventory class and status options to an already-adapted
+ * inventory (the simulator's).
+ *
+ * @param {Object[]} items - Adapted inventory
+ * @param {Object} inventory - From _readInventoryControls()
+ * @param {Object[]} taskCiRecords
+ * @returns {Object[]}
+ */
+BSMDiscovery.prototype._filterInventory = function (items, inventory, taskCiRecords) {
+  var classes = {};
+  this._inventoryClasses(inventory, taskCiRecords).forEach(function (cls) { classes[cls] = true; });
+  return (items || []).filter(function (item) {
+    return classes[item.className] &&
+      (!inventory.operationalStatus || item.operationalStatus === inventory.operationalStatus);
+  });
+};
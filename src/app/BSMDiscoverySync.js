@@ -0,0 +1,296 @@
+/**
+ * BSMDiscovery Sync — incremental refresh of a loaded ServiceNow window
+ *
+ * After a complete servicenow load ("load all", or every table under its
+ * row limit), refresh() queries only task_ci and incident rows with
+ * sys_updated_on at or after the last watermark, merges them into _rawData
+ * by sys_id, and drops rows that no longer match the window (deleted
+ * task_ci rows, i.e. CIs removed from a change) with a sys_id-only
+ * reconciliation pass. Only the hyperedges of touched changes
+ * are rebuilt; the current view, projection, search and selection are kept.
+ *
+ * Extends BSMDiscovery.prototype. Requires app/BSMDiscovery.js.
+ */
+
+/* global SNQuery, HypergraphCore */
+
+/**
+ * Remember what a full load fetched so refresh() can ask for the delta.
+ *
+ * @param {{taskCi: SNQuery, incident: SNQuery}} queries - Window queries used for the load
+ * @param {Object[]} taskCiRecords - Raw Table API task_ci rows (display_value=all)
+ * @param {Object[]} incidentRecords - Raw Table API incident rows
+ */
+BSMDiscovery.prototype._recordSyncState = function (queries, taskCiRecords, incidentRecords) {
+  var incidents = {};
+  for (var i = 0; i < incidentRecords.length; i++) {
+    var id = this._snValue(incidentRecords[i].sys_id);
+    if (id) incidents[id] = incidentRecords[i];
+  }
+  this._syncState = {
+    taskCiQuery: queries.taskCi.toString(),
+    incidentQuery: queries.incident.toString(),
+    watermark: this._maxUpdatedOn(taskCiRecords.concat(incidentRecords), ''),
+    incidents: incidents, // sys_id -> raw record, re-adapted as a whole on each sync
+    lastSync: Date.now()
+  };
+  this._updateRefreshButton();
+};
+
+/**
+ * Whether a load fetched its whole window. "Load all" pages through every
+ * row; otherwise a table that filled its row limit was cut short, and a
+ * refresh would add recently updated rows to an arbitrary first page.
+ *
+ * @param {Object[]} taskCiRecords - Raw task_ci rows as loaded
+ * @param {Object[]} incidentRecords - Raw incident rows as loaded
+ * @returns {boolean}
+ */
+BSMDiscovery.prototype._isCompleteLoad = function (taskCiRecords, incidentRecords) {
+  if (this.simulatorOptions.loadAll) return true;
+  var limit = this.simulatorOptions.limit || 100;
+  return taskCiRecords.length < limit && incidentRecords.length < limit;
+};
+
+/**
+ * Latest sys_updated_on (internal 'YYYY-MM-DD HH:mm:ss' value, so it sorts
+ * as text) across raw records, including the dot-walked change's.
+ */
+BSMDiscovery.prototype._maxUpdatedOn = function (records, since) {
+  var max = since || '';
+  for (var i = 0; i < records.length; i++) {
+    var own = this._snValue(records[i].sys_updated_on);
+    var task = this._snValue(records[i]['task.sys_updated_on']);
+    if (own > max) max = own;
+    if (task > max) max = task;
+  }
+  return max;
+};
+
+/**
+ * Bring the loaded window up to date without a full reload.
+ *
+ * @returns {Promise<Object|null>} { added, updated, removed, incidents, changes }
+ *   counts, or null when there is nothing to refresh
+ */
+BSMDiscovery.prototype.refresh = function () {
+  var self = this;
+  var state = this._syncState;
+  if (!state || !this._sourceRawData) return Promise.resolve(null);
+
+  var records = this._sourceRawData.taskCiRecords;
+  for (var i = 0; i < records.length; i++) {
+    if (!records[i].sys_id) {
+      // Loaded before sys_id was part of the field list: only a reload can reconcile it
+      this.reInit();
+      return Promise.resolve(null);
+    }
+  }
+
+  var api = this._api = this._createApi({
+    onRetry: function (info) { self._onApiRetry(info); }
+  });
+  var watermark = state.watermark;
+  var taskDelta = SNQuery.parse(state.taskCiQuery);
+  var incidentDelta = SNQuery.parse(state.incidentQuery);
+  if (watermark) {
+    // A change edited without touching its task_ci rows still counts
+    taskDelta.and('sys_updated_on', '>=', watermark).or('task.sys_updated_on', '>=', watermark);
+    incidentDelta.and('sys_updated_on', '>=', watermark);
+  }
+
+  this._loadCancelled = false;
+  this._setLoading(true, 'Fetching changes since ' + (watermark || 'last load') + '...');
+
+  var fetches = [
+    this._fetchAllPages(api, 'task_ci', {
+      query: taskDelta.toString(),
+      fields: BSMDiscovery.QUERY_FIELDS.task_ci,
+      displayValue: 'all'
+    }),
+    this._fetchAllPages(api, 'incident', {
+      query: incidentDelta.toString(),
+      fields: BSMDiscovery.QUERY_FIELDS.incident,
+      displayValue: 'all'
+    }).catch(function (error) {
+      console.warn('[BSM] Incident delta failed, keeping current incidents', error);
+      return null;
+    }),
+    // Reconciliation: every sys_id still in the window
+    this._fetchAllPages(api, 'task_ci', { query: state.taskCiQuery, fields: ['sys_id'] }),
+    this._fetchAllPages(api, 'incident', { query: state.incidentQuery, fields: ['sys_id'] }).catch(function () {
+      return null;
+    })
+  ];
+
+  return Promise.all(fetches).then(function (results) {
+    self._setLoading(true, 'Merging updates...');
+    var merged = self._mergeDelta(results[0], results[1], results[2], results[3]);
+    var summary = merged.summary;
+    state.watermark = self._maxUpdatedOn(results[0].concat(results[1] || []), state.watermark);
+    state.lastSync = Date.now();
+
+    if (summary.added || summary.updated || summary.removed || summary.incidents) {
+      self._applyRefreshedData(merged.rawData, summary.changes);
+    } else {
+      self._setLoading(false);
+    }
+    self._showSyncStatus(summary);
+    return summary;
+  }).catch(function (error) {
+    console.error('[BSM] Refresh failed', error);
+    self._setLoading(false, error.aborted ? 'Refresh cancelled' : 'Refresh failed: ' + error.message);
+    throw error;
+  });
+};
+
+/**
+ * Collect every page of a query, bypassing the result cache.
+ * @private
+ */
+BSMDiscovery.prototype._fetchAllPages = function (api, table, opts) {
+  var rows = [];
+  var pageOpts = Object.assign({}, opts, {
+    limit: BSMDiscovery.PAGE_SIZE,
+    offset: 0,
+    orderBy: 'sys_id',
+    cache: false
+  });
+  return api.paginate(table, pageOpts, function (records) {
+    for (var i = 0; i < records.length; i++) rows.push(records[i]);
+  }).then(function () {
+    return rows;
+  });
+};
+
+/**
+ * Merge delta rows into _rawData and drop rows missing from the live
+ * sys_id lists. Incident arguments may be null when the incident queries
+ * failed; incidents are then left as they are.
+ *
+ * @returns {{rawData: Object, summary: Object}} Merged { taskCiRecords, incidents, relationships, inventory }
+ *   and counts { added, updated, removed, incidents, changes }, where changes
+ *   lists the numbers of the changes whose CI links were touched
+ */
+BSMDiscovery.prototype._mergeDelta = function (taskCiDelta, incidentDelta, liveTaskCiIds, liveIncidentIds) {
+  var state = this._syncState;
+  var summary = { added: 0, updated: 0, removed: 0, incidents: 0, changes: [] };
+  var touched = {};
+  var i;
+
+  var live = {};
+  for (i = 0; i < liveTaskCiIds.length; i++) live[this._snValue(liveTaskCiIds[i].sys_id)] = true;
+
+  var byId = {};
+  var current = this._sourceRawData.taskCiRecords;
+  for (i = 0; i < current.length; i++) byId[current[i].sys_id] = i;
+
+  var merged = current.slice();
+  var upserts = this._adaptSNData(taskCiDelta).taskCiRecords;
+  for (i = 0; i < upserts.length; i++) {
+    var rec = upserts[i];
+    if (byId.hasOwnProperty(rec.sys_id)) {
+      var previous = merged[byId[rec.sys_id]];
+      if (JSON.stringify(previous) === JSON.stringify(rec)) continue;
+      touched[previous['task.number']] = true;
+      merged[byId[rec.sys_id]] = rec;
+      summary.updated++;
+    } else {
+      byId[rec.sys_id] = merged.length;
+      merged.push(rec);
+      summary.added++;
+    }
+    touched[rec['task.number']] = true;
+  }
+
+  var kept = [];
+  for (i = 0; i < merged.length; i++) {
+    if (live[merged[i].sys_id]) {
+      kept.push(merged[i]);
+    } else {
+      touched[merged[i]['task.number']] = true;
+      summary.removed++;
+    }
+  }
+
+  var incidents = this._sourceRawData.incidents;
+  if (incidentDelta && liveIncidentIds) {
+    var liveIncidents = {};
+    for (i = 0; i < liveIncidentIds.length; i++) liveIncidents[this._snValue(liveIncidentIds[i].sys_id)] = true;
+    for (i = 0; i < incidentDelta.length; i++) {
+      var incId = this._snValue(incidentDelta[i].sys_id);
+      if (JSON.stringify(state.incidents[incId]) !== JSON.stringify(incidentDelta[i])) summary.incidents++;
+      state.incidents[incId] = incidentDelta[i];
+    }
+    Object.keys(state.incidents).forEach(function (id) {
+      if (!liveIncidents[id]) {
+        delete state.incidents[id];
+        summary.incidents++;
+      }
+    });
+    if (summary.incidents) {
+      var all = Object.keys(state.incidents).map(function (id) { return state.incidents[id]; });
+      incidents = this._adaptSNIncidents(all);
+    }
+  }
+
+  summary.changes = Object.keys(touched).filter(Boolean);
+  // Relationships and the CI inventory are not delta-synced; they stay as first loaded
+  var rawData = {
+    taskCiRecords: kept,
+    incidents: incidents,
+    relationships: this._sourceRawData.relationships,
+    inventory: this._sourceRawData.inventory
+  };
+  return { rawData: rawData, summary: summary };
+};
+
+/**
+ * Apply the merged raw data and re-render in place: only the hyperedges of
+ * the touched changes are rebuilt (HypergraphCore.updateChanges), the rest
+ * of the source graph is edited in place, then the filtered view is
+ * re-derived (_applyGraphFilter).
+ *
+ * @param {Object} rawData - Merged { taskCiRecords, incidents, relationships, inventory }
+ * @param {string[]} changes - Numbers of the changes whose CI links changed
+ */
+BSMDiscovery.prototype._applyRefreshedData = function (rawData, changes) {
+  var options = { includeEntities: this.includeEntities, inventory: rawData.inventory };
+  this._sourceRawData = rawData;
+  if (this._sourceGraph) {
+    this._core.updateChanges(this._sourceGraph, rawData.taskCiRecords, changes, options);
+  } else {
+    this._sourceGraph = this._core.build(rawData, options);
+  }
+  this._populateFilterOptions();
+  this._applyGraphFilter();
+};
+
+// ---------- Refresh controls ----------
+
+BSMDiscovery.prototype._updateRefreshButton = function () {
+  var btn = document.getElementById('query-refresh');
+  if (btn) btn.disabled = !this._syncState;
+};
+
+/** Leave Refresh disabled after a load it cannot bring up to date, saying why. */
+BSMDiscovery.prototype._showSyncUnavailable = function (message) {
+  this._syncState = null;
+  this._updateRefreshButton();
+  var el = document.getElementById('query-sync-status');
+  if (el) el.textContent = message;
+};
+
+BSMDiscovery.prototype._showSyncStatus = function (summary) {
+  var el = document.getElementById('query-sync-status');
+  if (!el) return;
+  var parts = [];
+  if (summary.added) parts.push('+' + summary.added);
+  if (summary.updated) parts.push('~' + summary.updated);
+  if (summary.removed) parts.push('−' + summary.removed);
+  var text = parts.length
+    ? 'CI links ' + parts.join(' / ') + ' across ' + summary.changes.length + ' changes'
+    : 'No CI link changes';
+  if (summary.incidents) text += ', ' + summary.incidents + ' incidents updated';
+  el.textContent = text + ' (synced ' + new Date(this._syncState.lastSync).toLocaleTimeString() + ')';
+};
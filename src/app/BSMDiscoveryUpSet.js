@@ -40,8 +40,10 @@ BSMDiscovery.prototype._renderPrimaryView = function () {
 // ---------- Force / UpSet ----------
 
 BSMDiscovery.prototype._renderForceView = function () {
-  var graph = this._isTransposed ? this._transposedGraph : this._originalGraph;
+  var viewGraph = this._isTransposed ? this._transposedGraph : this._originalGraph;
   if (!this._renderer) return;
+  // Union with the baseline while comparing (see app/BSMDiscoveryCompare.js)
+  var graph = this._comparisonGraph(viewGraph);
 
   if (this._upsetRenderer) this._upsetRenderer.destroy();
   this._isUpSetView = false;
@@ -60,7 +62,7 @@ BSMDiscovery.prototype._renderForceView = function () {
     }
   }
 
-  this._updateStats(graph.stats, graph.isTransposed);
+  this._updateStats(viewGraph.stats, viewGraph.isTransposed);
   this._updateLegendCounts();
   this._updateCooccurrence();
   var viewLabel = document.getElementById('view-label');
@@ -128,6 +130,7 @@ BSMDiscovery.prototype._renderIncidenceMatrixView = function () {
   }
 
   var selectedEdge = slice.edgeLookup[selectedUid];
+  var memberStatus = slice.memberStatus || {};
   var html = '';
   html += '<div class="hyper-view-shell">';
   html += '<div class="hyper-view-header">';
@@ -142,6 +145,8 @@ BSMDiscovery.prototype._renderIncidenceMatrixView = function () {
   for (i = 0; i < slice.edges.length; i++) {
     var edge = slice.edges[i];
     var selClass = edge.uid === selectedUid ? ' incidence-col-selected' : '';
+    if (slice.highlighted[edge.uid]) selClass += ' incidence-col-highlighted';
+    if (edge.diffStatus) selClass += ' diff-' + edge.diffStatus;
     html += '<th class="' + selClass + '"><button class="incidence-col-btn" data-edge-uid="' + edge.uid + '">' + edge.number + '</button></th>';
   }
   html += '</tr></thead><tbody>';
@@ -150,13 +155,18 @@ BSMDiscovery.prototype._renderIncidenceMatrixView = function () {
     var entity = slice.entities[i];
     var degree = this._originalGraph.incidence[entity.uid] ? this._originalGraph.incidence[entity.uid].size : 0;
     html += '<tr>';
-    html += '<td class="entity-col">' + this._escapeHtml(entity.name) + ' <span style="color:var(--text-muted)">(' + degree + ')</span></td>';
+    html += '<td class="entity-col' + (entity.diffStatus ? ' diff-' + entity.diffStatus : '') + '">' + this._escapeHtml(entity.name) + ' <span style="color:var(--text-muted)">(' + degree + ')</span></td>';
     for (var j = 0; j < slice.edges.length; j++) {
       var colEdge = slice.edges[j];
       var isMember = !!slice.edgeMembers[colEdge.uid][entity.uid];
       var cellClass = colEdge.uid === selectedUid ? ' incidence-col-selected' : '';
+      if (slice.highlighted[colEdge.uid]) cellClass += ' incidence-col-highlighted';
       if (isMember) {
-        html += '<td class="' + cellClass + '"><button class="incidence-cell member" data-edge-uid="' + colEdge.uid + '" title="Member"></button></td>';
+        var status = (memberStatus[colEdge.uid] && memberStatus[colEdge.uid][entity.uid]) ||
+          (colEdge.diffStatus === 'added' || colEdge.diffStatus === 'removed' ? colEdge.diffStatus : null) ||
+          (entity.diffStatus === 'added' || entity.diffStatus === 'removed' ? entity.diffStatus : null);
+        var statusClass = status ? ' diff-' + status : '';
+        html += '<td class="' + cellClass + '"><button class="incidence-cell member' + statusClass + '" data-edge-uid="' + colEdge.uid + '" title="' + (status ? 'Member (' + status + ')' : 'Member') + '"></button></td>';
       } else {
         html += '<td class="' + cellClass + '"><span class="incidence-cell"></span></td>';
       }
@@ -321,8 +331,8 @@ BSMDiscovery.prototype._renderHyperedgeExplorerView = function () {
 };
 
 BSMDiscovery.prototype._buildMatrixSlice = function () {
-  var graph = this._originalGraph;
-  if (!graph) return null;
+  if (!this._originalGraph) return null;
+  var graph = this._comparisonGraph(this._originalGraph);
 
   var search = (this._searchTerm || '').toLowerCase().trim();
   var nodeById = {};
@@ -339,7 +349,19 @@ BSMDiscovery.prototype._buildMatrixSlice = function () {
     return (n.name || '').toLowerCase().indexOf(search) !== -1;
   });
 
+  // Highlighted hyperedges (see _highlightEdges) keep their CIs in view
+  var pinned = {};
+  var pinnedMembers = {};
+  var edgeIndex = this._core.edgeIndex(graph);
+  (this._highlightedEdgeUids || []).forEach(function (uid) {
+    var pinnedEdge = edgeIndex[uid];
+    if (!pinnedEdge) return;
+    pinned[uid] = true;
+    pinnedEdge.elements.forEach(function (m) { pinnedMembers[m] = true; });
+  });
+
   entities.sort(function (a, b) {
+    if (!!pinnedMembers[b.uid] !== !!pinnedMembers[a.uid]) return pinnedMembers[b.uid] ? 1 : -1;
     var da = graph.incidence[a.uid] ? graph.incidence[a.uid].size : 0;
     var db = graph.incidence[b.uid] ? graph.incidence[b.uid].size : 0;
     if (db !== da) return db - da;
@@ -372,6 +394,7 @@ BSMDiscovery.prototype._buildMatrixSlice = function () {
   }
 
   edges.sort(function (a, b) {
+    if (!!pinned[b.uid] !== !!pinned[a.uid]) return pinned[b.uid] ? 1 : -1;
     if (b._visibleOverlap !== a._visibleOverlap) return b._visibleOverlap - a._visibleOverlap;
     if (b.elements.length !== a.elements.length) return b.elements.length - a.elements.length;
     if ((a.createdAt || '') < (b.createdAt || '')) return 1;
@@ -385,7 +408,9 @@ BSMDiscovery.prototype._buildMatrixSlice = function () {
     edges: edges,
     edgeLookup: edgeLookup,
     edgeMembers: edgeMembers,
-    nodeById: nodeById
+    nodeById: nodeById,
+    memberStatus: graph.memberStatus || null,
+    highlighted: pinned
   };
 };
 
@@ -410,6 +435,24 @@ BSMDiscovery.prototype._renderHyperedgeDetail = function (edge, nodeById) {
   html += '<div class="hyperedge-meta-item"><strong>Group</strong>' + this._escapeHtml(edge.assignmentGroup || 'n/a') + '</div>';
   html += '<div class="hyperedge-meta-item"><strong>Service</strong>' + this._escapeHtml(edge.businessService || 'n/a') + '</div>';
   html += '<div class="hyperedge-meta-item"><strong>Created</strong>' + this._escapeHtml(edge.createdAt || 'n/a') + '</div>';
+  if (edge.state) {
+    html += '<div class="hyperedge-meta-item"><strong>State</strong>' + this._escapeHtml(edge.state) +
+      (edge.onHold ? ' (on hold)' : '') + '</div>';
+  }
+  if (edge.closeCode) {
+    html += '<div class="hyperedge-meta-item"><strong>Close code</strong>' + this._escapeHtml(edge.closeCode) + '</div>';
+  }
+  if (edge.plannedStart || edge.plannedEnd) {
+    html += '<div class="hyperedge-meta-item"><strong>Planned</strong>' +
+      this._escapeHtml((edge.plannedStart || '?') + ' \u2192 ' + (edge.plannedEnd || '?')) + '</div>';
+  }
+  if (edge.workStart || edge.workEnd) {
+    html += '<div class="hyperedge-meta-item"><strong>Work</strong>' +
+      this._escapeHtml((edge.workStart || '?') + ' \u2192 ' + (edge.workEnd || '?')) + '</div>';
+  }
+  if (edge.cabRequired) {
+    html += '<div class="hyperedge-meta-item"><strong>CAB</strong>Required</div>';
+  }
   html += '</div>';
   html += '<div class="member-chip-list">';
   for (i = 0; i < Math.min(24, members.length); i++) {
@@ -452,10 +495,7 @@ BSMDiscovery.prototype._hideHypergraphView = function () {
 
 BSMDiscovery.prototype._findEdgeByUid = function (graph, uid) {
   if (!graph || !uid) return null;
-  for (var i = 0; i < graph.edges.length; i++) {
-    if (graph.edges[i].uid === uid) return graph.edges[i];
-  }
-  return null;
+  return this._core.edgeIndex(graph)[uid] || null;
 };
 
 BSMDiscovery.prototype._escapeHtml = function (value) {
@@ -495,7 +535,7 @@ BSMDiscovery.prototype._updateViewButtons = function () {
 };
 
 BSMDiscovery.prototype._syncSidebarByView = function () {
-  var forceSections = ['hull-section', 'cooccurrence-section', 'force-controls-section'];
+  var forceSections = ['viz-mode-section', 'hull-section', 'cooccurrence-section', 'force-controls-section'];
   var showForceSections = this._primaryView === 'force' || this._primaryView === 'upset';
   for (var i = 0; i < forceSections.length; i++) {
     var section = document.getElementById(forceSections[i]);